@@ -0,0 +1,444 @@
+import React, { useState } from "react";
+import {
+  describeExpression,
+  getExpressionOutputs,
+  previewExpression,
+  validateExpression,
+} from "../services/columnExpressions";
+
+// Output names used in the preview before the user has named any
+const PLACEHOLDER_OUTPUTS = ["Part 1", "Part 2", "Part 3"];
+
+/**
+ * ColumnExpressionEditor: Builds virtual columns for the mapper
+ * Combine several file columns into one, or split one column into several
+ * by delimiter or regular expression, with a live preview on sample rows
+ */
+export default function ColumnExpressionEditor({
+  fileColumns, // All mappable columns (file + virtual): [{name, virtual, ...}, ...]
+  sampleRows, // File rows used for the preview
+  expressions, // Expressions already added
+  onAdd, // Callback with a new expression
+  onRemove, // Callback with the index of an expression to remove
+}) {
+  // ===== STATE MANAGEMENT =====
+  const [isOpen, setIsOpen] = useState(expressions.length > 0);
+  const [type, setType] = useState("combine"); // 'combine' | 'split'
+
+  // Combine settings
+  const [sources, setSources] = useState([]);
+  const [separator, setSeparator] = useState(" ");
+  const [combinedName, setCombinedName] = useState("");
+
+  // Split settings
+  const [source, setSource] = useState("");
+  const [mode, setMode] = useState("delimiter"); // 'delimiter' | 'regex'
+  const [pattern, setPattern] = useState(" ");
+  const [outputNames, setOutputNames] = useState(""); // Comma-separated
+
+  // Only columns read from the file can feed an expression
+  const sourceColumns = fileColumns.filter((column) => !column.virtual);
+
+  // ===== CURRENT EXPRESSION =====
+  const outputs = outputNames
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const expression =
+    type === "combine"
+      ? { type, sources, separator, name: combinedName.trim() }
+      : { type, source, mode, pattern, outputs };
+  const error = validateExpression(
+    expression,
+    fileColumns.map((column) => column.name)
+  );
+
+  // Live preview - placeholder names until the user names the outputs
+  let preview = [];
+  const canPreview =
+    type === "combine" ? sources.length > 0 : Boolean(source && pattern);
+  if (canPreview) {
+    try {
+      preview = previewExpression(
+        type === "split" && outputs.length === 0
+          ? { ...expression, outputs: PLACEHOLDER_OUTPUTS }
+          : expression,
+        sampleRows
+      );
+    } catch (previewError) {
+      preview = []; // Regex still being typed
+    }
+  }
+
+  // Combine sources keep the order they were ticked in
+  const toggleSource = (columnName) => {
+    setSources((prev) =>
+      prev.includes(columnName)
+        ? prev.filter((name) => name !== columnName)
+        : [...prev, columnName]
+    );
+  };
+
+  const handleAdd = () => {
+    onAdd(expression);
+    // Start a fresh expression of the same type
+    setSources([]);
+    setCombinedName("");
+    setSource("");
+    setOutputNames("");
+  };
+
+  // Shared styling for the setting controls
+  const controlStyle = {
+    width: "100%",
+    padding: "6px 8px",
+    border: "1px solid #d1d5db",
+    borderRadius: "4px",
+    fontSize: "13px",
+    backgroundColor: "white",
+  };
+  const labelStyle = {
+    display: "block",
+    fontSize: "12px",
+    fontWeight: "500",
+    color: "#374151",
+    marginBottom: "4px",
+  };
+  const formatValue = (value) =>
+    value === null || value === undefined ? "" : String(value);
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#f9fafb",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "12px 16px",
+        marginBottom: "24px",
+      }}
+    >
+      {/* ===== HEADER ===== */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <div style={{ fontSize: "14px", fontWeight: "600", color: "#374151" }}>
+          🔀 Combine & Split Columns
+          {expressions.length > 0 && ` (${expressions.length})`}
+        </div>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          style={{
+            backgroundColor: "white",
+            color: "#374151",
+            padding: "4px 10px",
+            borderRadius: "4px",
+            border: "1px solid #d1d5db",
+            fontSize: "12px",
+            cursor: "pointer",
+          }}
+        >
+          {isOpen ? "Hide" : "Show"}
+        </button>
+      </div>
+
+      {isOpen && (
+        <>
+          {/* ===== EXISTING EXPRESSIONS ===== */}
+          {expressions.map((existing, index) => (
+            <div
+              key={getExpressionOutputs(existing).join("|")}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginTop: "8px",
+                padding: "6px 8px",
+                backgroundColor: "white",
+                border: "1px solid #e5e7eb",
+                borderRadius: "4px",
+                fontSize: "12px",
+                color: "#374151",
+              }}
+            >
+              <span>
+                {describeExpression(existing)} →{" "}
+                <strong>{getExpressionOutputs(existing).join(", ")}</strong>
+              </span>
+              <button
+                onClick={() => onRemove(index)}
+                style={{
+                  backgroundColor: "transparent",
+                  color: "#b91c1c",
+                  border: "none",
+                  fontSize: "12px",
+                  cursor: "pointer",
+                }}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+
+          {/* ===== EXPRESSION TYPE ===== */}
+          <div style={{ display: "flex", gap: "16px", margin: "12px 0" }}>
+            {[
+              { value: "combine", label: "Combine columns into one" },
+              { value: "split", label: "Split one column into several" },
+            ].map((option) => (
+              <label
+                key={option.value}
+                style={{
+                  fontSize: "13px",
+                  color: "#374151",
+                  cursor: "pointer",
+                }}
+              >
+                <input
+                  type="radio"
+                  checked={type === option.value}
+                  onChange={() => setType(option.value)}
+                  style={{ marginRight: "4px" }}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          {/* ===== SETTINGS ===== */}
+          {type === "combine" ? (
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "2fr 1fr 1fr",
+                gap: "12px",
+              }}
+            >
+              <div>
+                <label style={labelStyle}>Columns (in order)</label>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+                  {sourceColumns.map((column) => {
+                    const position = sources.indexOf(column.name);
+                    return (
+                      <label
+                        key={column.name}
+                        style={{
+                          fontSize: "12px",
+                          padding: "2px 6px",
+                          borderRadius: "4px",
+                          cursor: "pointer",
+                          backgroundColor:
+                            position >= 0 ? "#dbeafe" : "#f3f4f6", // Blue when picked
+                          color: "#374151",
+                        }}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={position >= 0}
+                          onChange={() => toggleSource(column.name)}
+                          style={{ marginRight: "4px" }}
+                        />
+                        {position >= 0 && `${position + 1}. `}
+                        {column.name}
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+              <div>
+                <label style={labelStyle}>Separator</label>
+                <input
+                  value={separator}
+                  onChange={(e) => setSeparator(e.target.value)}
+                  style={controlStyle}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>New column name</label>
+                <input
+                  value={combinedName}
+                  onChange={(e) => setCombinedName(e.target.value)}
+                  placeholder="e.g. Name"
+                  style={controlStyle}
+                />
+              </div>
+            </div>
+          ) : (
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "repeat(4, 1fr)",
+                gap: "12px",
+              }}
+            >
+              <div>
+                <label style={labelStyle}>Column</label>
+                <select
+                  value={source}
+                  onChange={(e) => setSource(e.target.value)}
+                  style={controlStyle}
+                >
+                  <option value="">-- Select column --</option>
+                  {sourceColumns.map((column) => (
+                    <option key={column.name} value={column.name}>
+                      {column.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Split by</label>
+                <select
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value)}
+                  style={controlStyle}
+                >
+                  <option value="delimiter">Delimiter</option>
+                  <option value="regex">Regular expression</option>
+                </select>
+              </div>
+              <div>
+                {/* Regex capture groups fill the new columns in order */}
+                <label style={labelStyle}>
+                  {mode === "regex"
+                    ? "Pattern (one group per column)"
+                    : "Delimiter"}
+                </label>
+                <input
+                  value={pattern}
+                  onChange={(e) => setPattern(e.target.value)}
+                  placeholder={
+                    mode === "regex" ? "^(\\w+) (\\d+)m (\\w+)$" : "e.g. ,"
+                  }
+                  style={controlStyle}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>
+                  New column names (comma-separated)
+                </label>
+                <input
+                  value={outputNames}
+                  onChange={(e) => setOutputNames(e.target.value)}
+                  placeholder="e.g. Gender, Distance, Stroke"
+                  style={controlStyle}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* ===== LIVE PREVIEW ===== */}
+          {preview.length > 0 && (
+            <table
+              style={{
+                width: "100%",
+                borderCollapse: "collapse",
+                fontSize: "12px",
+                marginTop: "12px",
+                backgroundColor: "white",
+                border: "1px solid #e5e7eb",
+              }}
+            >
+              <thead style={{ backgroundColor: "#f9fafb" }}>
+                <tr>
+                  {Object.keys(preview[0].input).map((column) => (
+                    <th
+                      key={`in-${column}`}
+                      style={{
+                        padding: "6px 8px",
+                        textAlign: "left",
+                        color: "#6b7280",
+                        borderBottom: "1px solid #e5e7eb",
+                      }}
+                    >
+                      {column}
+                    </th>
+                  ))}
+                  {Object.keys(preview[0].output).map((column) => (
+                    <th
+                      key={`out-${column}`}
+                      style={{
+                        padding: "6px 8px",
+                        textAlign: "left",
+                        color: "#2563eb", // New columns in blue
+                        borderBottom: "1px solid #e5e7eb",
+                      }}
+                    >
+                      → {column}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {Object.entries(row.input).map(([column, value]) => (
+                      <td
+                        key={`in-${column}`}
+                        style={{
+                          padding: "6px 8px",
+                          color: "#6b7280",
+                          borderBottom: "1px solid #f3f4f6",
+                        }}
+                      >
+                        {formatValue(value)}
+                      </td>
+                    ))}
+                    {Object.entries(row.output).map(([column, value]) => (
+                      <td
+                        key={`out-${column}`}
+                        style={{
+                          padding: "6px 8px",
+                          color: "#374151",
+                          borderBottom: "1px solid #f3f4f6",
+                        }}
+                      >
+                        {formatValue(value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {/* ===== ACTIONS ===== */}
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "flex-end",
+              alignItems: "center",
+              gap: "12px",
+              marginTop: "12px",
+            }}
+          >
+            {error && (
+              <span style={{ fontSize: "12px", color: "#6b7280" }}>
+                {error}
+              </span>
+            )}
+            <button
+              onClick={handleAdd}
+              disabled={Boolean(error)}
+              style={{
+                backgroundColor: error ? "#d1d5db" : "#2563eb",
+                color: error ? "#9ca3af" : "white",
+                padding: "6px 12px",
+                borderRadius: "4px",
+                border: "none",
+                fontSize: "14px",
+                cursor: error ? "not-allowed" : "pointer",
+                fontWeight: "500",
+              }}
+            >
+              Add {type === "combine" ? "Column" : "Columns"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,22 +1,57 @@
 // ===== 4. ENHANCED COLUMN MAPPER COMPONENT - WITH INLINE COMMENTS =====
 // ColumnMapper.jsx - Handles user review and adjustment of column mappings
-import React, { useState } from "react";
-import { generateSmartMappings } from "../services/mappingEngine";
+import React, { useMemo, useState } from "react";
+import {
+  explainAlternatives,
+  generateMappingCandidates,
+  generateSmartMappings,
+  DEFAULT_AUTO_MAP_THRESHOLD,
+} from "../services/mappingEngine";
+import { fieldKey } from "../services/modelAnalyzer";
+import { getExpressionOutputs } from "../services/columnExpressions";
+import ColumnExpressionEditor from "./ColumnExpressionEditor";
+import MappingTemplatePanel from "./MappingTemplatePanel";
+import TransformEditor from "./TransformEditor";
+
+// Show numbers with at most 2 decimals, everything else as-is
+function formatStat(value) {
+  if (typeof value !== "number") return String(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
 
 export default function SimpleColumnMapper({
   fileColumns, // Array of file column objects: [{name, type, sampleValues}, ...]
-  qlikFields, // Array of available Qlik fields: [{name, type}, ...]
+  qlikFields, // Array of available Qlik fields: [{name, type, tables, isKey, ...}, ...]
   suggestions, // Auto-generated mappings from smart matcher
+  mappingOptions, // Options for generateSmartMappings (dictionary, autoMapThreshold)
   onMappingConfirm, // Callback function when user confirms mappings
+  learnedCount, // File column names remembered from earlier confirmations
+  onForgetLearned, // Callback to clear the mapping memory
+  sampleRows, // File rows for the combine/split preview
+  expressions, // Combine/split expressions behind the virtual columns
+  onExpressionsChange, // Callback with the new expression list
+  templates, // Saved mapping templates
+  templateMatch, // Template matching this file: {template, exact, applied, missingFields}
+  onApplyTemplate, // Callback with a template to apply
+  onSaveTemplate, // Async callback with a template name and the current mappings
+  onDeleteTemplate, // Async callback with a template name
+  onImportTemplates, // Async callback with exported template JSON
 }) {
   // ===== STATE MANAGEMENT =====
   // Store current mapping state - starts with auto-generated suggestions
   const [mappings, setMappings] = useState(suggestions || {});
 
+  // Every scored candidate per column - reused by auto-map and "why not"
+  const candidates = useMemo(
+    () => generateMappingCandidates(fileColumns, qlikFields, mappingOptions),
+    [fileColumns, qlikFields, mappingOptions]
+  );
+
   // ===== MANUAL MAPPING HANDLER =====
   // User manually changes a mapping via dropdown selection
-  const handleMappingChange = (fileColumn, qlikFieldName) => {
-    const qlikField = qlikFields.find((f) => f.name === qlikFieldName);
+  // The dropdown value is the field's fieldKey (master items can share names)
+  const handleMappingChange = (fileColumn, qlikFieldKey) => {
+    const qlikField = qlikFields.find((f) => fieldKey(f) === qlikFieldKey);
 
     if (qlikField) {
       // Add or update mapping
@@ -27,6 +62,8 @@ export default function SimpleColumnMapper({
           confidence: 0.9, // High confidence for manual selection
           matchType: "manual", // Mark as user-selected
           reason: "Manually selected", // Human-readable explanation
+          status: "accepted", // The user's choice needs no review
+          transforms: prev[fileColumn]?.transforms || [], // Keep the column's pipeline
         },
       }));
     } else {
@@ -39,9 +76,39 @@ export default function SimpleColumnMapper({
 
   // ===== AUTO-MAPPING FUNCTIONS =====
   // Re-run smart mapping algorithm to auto-map columns
+  // Accepted pairs (manual picks, templates, accepted suggestions) stay and
+  // keep their fields; the other columns get fresh suggestions, keeping any
+  // transforms already set up for them
   const autoMapLowThreshold = () => {
-    const smartMappings = generateSmartMappings(fileColumns, qlikFields);
-    setMappings(smartMappings); // Replace all current mappings
+    const kept = Object.fromEntries(
+      Object.entries(mappings).filter(
+        ([, mapping]) => mapping.status === "accepted"
+      )
+    );
+    const takenFields = new Set(
+      Object.values(kept).map((mapping) => fieldKey(mapping.qlikField))
+    );
+    const openColumns = fileColumns.filter((column) => !kept[column.name]);
+    const openCandidates = Object.fromEntries(
+      openColumns.map((column) => [
+        column.name,
+        (candidates[column.name] || []).filter(
+          (candidate) => !takenFields.has(fieldKey(candidate.qlikField))
+        ),
+      ])
+    );
+
+    const smartMappings = generateSmartMappings(openColumns, qlikFields, {
+      ...mappingOptions,
+      candidates: openCandidates,
+    });
+    const suggested = Object.fromEntries(
+      Object.entries(smartMappings).map(([column, mapping]) => [
+        column,
+        { ...mapping, transforms: mappings[column]?.transforms || [] },
+      ])
+    );
+    setMappings({ ...kept, ...suggested });
   };
 
   // Force map ALL columns even with low confidence
@@ -55,20 +122,147 @@ export default function SimpleColumnMapper({
           confidence: 0.8, // Medium confidence for forced mapping
           matchType: "forced", // Mark as force-mapped
           reason: "Force mapped", // Explanation
+          status: "review", // Round-robin guesses always need a look
         };
       }
     });
     setMappings(newMappings);
   };
 
+  // ===== REVIEW HANDLERS =====
+  // Move a below-threshold suggestion into the accepted bucket
+  const acceptMapping = (fileColumn) => {
+    setMappings((prev) => ({
+      ...prev,
+      [fileColumn]: { ...prev[fileColumn], status: "accepted" },
+    }));
+  };
+
+  // Accept every suggestion still waiting for review
+  const acceptAllReview = () => {
+    setMappings((prev) =>
+      Object.entries(prev).reduce((acc, [column, mapping]) => {
+        acc[column] =
+          mapping.status === "review"
+            ? { ...mapping, status: "accepted" }
+            : mapping;
+        return acc;
+      }, {})
+    );
+  };
+
+  // ===== TRANSFORM HANDLER =====
+  // Value transform pipeline of one mapping (applied when rows enter the editor)
+  const updateTransforms = (fileColumn, transforms) => {
+    setMappings((prev) => ({
+      ...prev,
+      [fileColumn]: { ...prev[fileColumn], transforms },
+    }));
+  };
+
+  // ===== COMBINE / SPLIT HANDLERS =====
+  const addExpression = (expression) => {
+    onExpressionsChange([...expressions, expression]);
+  };
+
+  // Mappings of the removed virtual columns go with them
+  const removeExpression = (index) => {
+    const removed = getExpressionOutputs(expressions[index]);
+    setMappings((prev) => {
+      const next = { ...prev };
+      removed.forEach((name) => delete next[name]);
+      return next;
+    });
+    onExpressionsChange(expressions.filter((_, i) => i !== index));
+  };
+
   // Clear all mappings - start over
   const clearAll = () => {
     setMappings({});
   };
 
+  // ===== COLUMN PROFILE =====
+  // Range, most frequent values and value patterns for a file column
+  const renderProfile = (profile) => (
+    <div
+      style={{
+        marginTop: "4px",
+        fontSize: "11px",
+        color: "#6b7280",
+        display: "flex",
+        flexDirection: "column",
+        gap: "2px",
+      }}
+    >
+      {/* Range (numbers, swim times in seconds, dates) */}
+      {profile.min !== null && (
+        <div>
+          Range: {formatStat(profile.min)} – {formatStat(profile.max)}
+          {profile.mean !== null &&
+            ` • mean ${formatStat(profile.mean)} ± ${formatStat(
+              profile.stddev
+            )}`}
+        </div>
+      )}
+
+      {/* Most frequent values with their counts */}
+      {profile.topValues.length > 0 && (
+        <div>
+          Top:{" "}
+          {profile.topValues
+            .map((top) => `${top.value} (${top.count})`)
+            .join(", ")}
+        </div>
+      )}
+
+      {/* Value shapes, e.g. 9:99.99 for swim times */}
+      {profile.patterns.length > 0 && (
+        <div>
+          Patterns:{" "}
+          {profile.patterns
+            .map((pattern) => `${pattern.pattern} (${pattern.count})`)
+            .join(", ")}
+        </div>
+      )}
+    </div>
+  );
+
   // ===== STATISTICS CALCULATION =====
   const mappedCount = Object.keys(mappings).length; // Number of mapped columns
   const totalColumns = fileColumns.length; // Total columns in file
+  const autoMapThreshold =
+    mappingOptions?.autoMapThreshold ?? DEFAULT_AUTO_MAP_THRESHOLD;
+
+  // ===== REVIEW BUCKETS =====
+  // Suggestions below autoMapThreshold need a look before they're trusted
+  const needsReview = (column) => mappings[column.name]?.status === "review";
+  const reviewColumns = fileColumns.filter(
+    (c) => mappings[c.name] && needsReview(c)
+  );
+  const acceptedColumns = fileColumns.filter(
+    (c) => mappings[c.name] && !needsReview(c)
+  );
+  const unmappedColumns = fileColumns.filter((c) => !mappings[c.name]);
+  const buckets = [
+    {
+      key: "review",
+      title: `Needs review (below ${Math.round(autoMapThreshold * 100)}%)`,
+      color: "#d97706", // Orange
+      columns: reviewColumns,
+    },
+    {
+      key: "accepted",
+      title: "Accepted",
+      color: "#059669", // Green
+      columns: acceptedColumns,
+    },
+    {
+      key: "unmapped",
+      title: "Unmapped",
+      color: "#6b7280", // Gray
+      columns: unmappedColumns,
+    },
+  ];
 
   // Calculate average confidence across all mappings
   const avgConfidence =
@@ -121,8 +315,9 @@ export default function SimpleColumnMapper({
               color: "#9ca3af",
             }}
           >
-            Suggestions available: {mappedCount} Mapping active: {mappedCount}{" "}
-            Auto-mapped: {mappedCount}
+            Accepted: {acceptedColumns.length} • Needs review:{" "}
+            {reviewColumns.length} • Threshold:{" "}
+            {Math.round(autoMapThreshold * 100)}%
           </p>
         </div>
 
@@ -182,6 +377,25 @@ export default function SimpleColumnMapper({
           Auto-Map All (Low Threshold)
         </button>
 
+        {/* Accept every suggestion in the review bucket */}
+        {reviewColumns.length > 0 && (
+          <button
+            onClick={acceptAllReview}
+            style={{
+              backgroundColor: "#d97706", // Orange
+              color: "white",
+              padding: "6px 12px",
+              borderRadius: "4px",
+              border: "none",
+              fontSize: "14px",
+              cursor: "pointer",
+              fontWeight: "500",
+            }}
+          >
+            Accept All Suggestions ({reviewColumns.length})
+          </button>
+        )}
+
         {/* Force map every column to some Qlik field */}
         <button
           onClick={forceMapAll}
@@ -215,8 +429,52 @@ export default function SimpleColumnMapper({
         >
           Clear All
         </button>
+
+        {/* Drop pairs learned from earlier uploads */}
+        {learnedCount > 0 && (
+          <button
+            onClick={onForgetLearned}
+            title="Suggestions stop using pairs confirmed in earlier uploads"
+            style={{
+              backgroundColor: "white",
+              color: "#374151",
+              padding: "6px 12px",
+              borderRadius: "4px",
+              border: "1px solid #d1d5db",
+              fontSize: "14px",
+              cursor: "pointer",
+              fontWeight: "500",
+            }}
+          >
+            Forget Learned Mappings ({learnedCount})
+          </button>
+        )}
       </div>
 
+      {/* ===== MAPPING TEMPLATES ===== */}
+      {onSaveTemplate && (
+        <MappingTemplatePanel
+          templates={templates}
+          templateMatch={templateMatch}
+          mappedCount={mappedCount}
+          onApply={onApplyTemplate}
+          onSave={(name) => onSaveTemplate(name, mappings)}
+          onDelete={onDeleteTemplate}
+          onImport={onImportTemplates}
+        />
+      )}
+
+      {/* ===== COMBINE / SPLIT COLUMNS ===== */}
+      {onExpressionsChange && (
+        <ColumnExpressionEditor
+          fileColumns={fileColumns}
+          sampleRows={sampleRows}
+          expressions={expressions}
+          onAdd={addExpression}
+          onRemove={removeExpression}
+        />
+      )}
+
       {/* ===== MAIN LAYOUT ===== */}
       {/* Two-column layout: File columns on left, statistics on right */}
       <div
@@ -249,164 +507,324 @@ export default function SimpleColumnMapper({
               paddingRight: "8px", // Space for scrollbar
             }}
           >
-            {fileColumns.map((column, index) => {
-              // Get current mapping for this column
-              const mapping = mappings[column.name];
-              const confidence = mapping
-                ? Math.round(mapping.confidence * 100)
-                : 0;
-
-              return (
-                <div
-                  key={index}
-                  style={{
-                    marginBottom: "12px",
-                    // Green border if mapped, gray if not
-                    border: mapping ? "2px solid #10b981" : "1px solid #e5e7eb",
-                    borderRadius: "8px",
-                    padding: "12px",
-                    // Green background if mapped, white if not
-                    backgroundColor: mapping ? "#ecfdf5" : "white",
-                  }}
-                >
-                  {/* Column header with info and confidence badge */}
-                  <div
-                    style={{
-                      display: "flex",
-                      justifyContent: "space-between",
-                      alignItems: "flex-start",
-                      marginBottom: "8px",
-                    }}
-                  >
-                    {/* Left side - Column information */}
-                    <div style={{ flex: 1 }}>
-                      {/* Column name */}
-                      <div
-                        style={{
-                          fontWeight: "600",
-                          fontSize: "14px",
-                          color: "#374151",
-                        }}
-                      >
-                        {column.name}
-                      </div>
-
-                      {/* Column metadata */}
-                      <div
-                        style={{
-                          fontSize: "12px",
-                          color: "#6b7280",
-                          marginBottom: "4px",
-                        }}
-                      >
-                        Type: {column.type} •{" "}
-                        {column.sampleValues ? column.sampleValues.length : 0}{" "}
-                        values • 0 unique
-                      </div>
+            {buckets.map(
+              (bucket) =>
+                bucket.columns.length > 0 && (
+                  <div key={bucket.key} style={{ marginBottom: "16px" }}>
+                    {/* Bucket heading */}
+                    <h4
+                      style={{
+                        margin: "0 0 8px 0",
+                        fontSize: "14px",
+                        fontWeight: "600",
+                        color: bucket.color,
+                      }}
+                    >
+                      {bucket.title} ({bucket.columns.length})
+                    </h4>
+                    {bucket.columns.map((column) => {
+                      // Get current mapping for this column
+                      const mapping = mappings[column.name];
+                      const isReview = needsReview(column);
 
-                      {/* Sample data preview */}
-                      <div
-                        style={{
-                          fontSize: "11px",
-                          color: "#9ca3af",
-                        }}
-                      >
-                        Sample:{" "}
-                        {column.sampleValues
-                          ? column.sampleValues.join(", ")
-                          : "No samples"}
-                      </div>
-                    </div>
+                      // Orange if it needs review, green if accepted, gray if not mapped
+                      let cardBorder = "1px solid #e5e7eb";
+                      let cardBackground = "white";
+                      if (isReview) {
+                        cardBorder = "2px solid #f59e0b";
+                        cardBackground = "#fffbeb";
+                      } else if (mapping) {
+                        cardBorder = "2px solid #10b981";
+                        cardBackground = "#ecfdf5";
+                      }
+                      const confidence = mapping
+                        ? Math.round(mapping.confidence * 100)
+                        : 0;
+                      // Runner-up candidates and why they lost
+                      const alternatives = explainAlternatives(
+                        column.name,
+                        candidates,
+                        mappings
+                      );
 
-                    {/* Right side - Confidence badge (only if mapped) */}
-                    {mapping && (
-                      <div
-                        style={{
-                          marginLeft: "12px",
-                          textAlign: "right",
-                        }}
-                      >
-                        {/* Confidence percentage */}
+                      return (
                         <div
+                          key={column.name}
                           style={{
-                            fontSize: "14px",
-                            fontWeight: "bold",
-                            color: confidence === 100 ? "#059669" : "#d97706", // Green for 100%, orange for less
+                            marginBottom: "12px",
+                            border: cardBorder,
+                            borderRadius: "8px",
+                            padding: "12px",
+                            backgroundColor: cardBackground,
                           }}
                         >
-                          {confidence}%
-                        </div>
+                          {/* Column header with info and confidence badge */}
+                          <div
+                            style={{
+                              display: "flex",
+                              justifyContent: "space-between",
+                              alignItems: "flex-start",
+                              marginBottom: "8px",
+                            }}
+                          >
+                            {/* Left side - Column information */}
+                            <div style={{ flex: 1 }}>
+                              {/* Column name */}
+                              <div
+                                style={{
+                                  fontWeight: "600",
+                                  fontSize: "14px",
+                                  color: "#374151",
+                                }}
+                              >
+                                {column.name}
+                                {/* Virtual columns show what they're built from */}
+                                {column.virtual && (
+                                  <span
+                                    style={{
+                                      marginLeft: "6px",
+                                      fontSize: "11px",
+                                      fontWeight: "normal",
+                                      color: "#2563eb",
+                                    }}
+                                  >
+                                    🔀 {column.expression}
+                                  </span>
+                                )}
+                              </div>
 
-                        {/* Match type label */}
-                        <div
-                          style={{
-                            fontSize: "10px",
-                            color: "#059669",
-                            fontWeight: "500",
-                          }}
-                        >
-                          exact
-                        </div>
-                      </div>
-                    )}
-                  </div>
+                              {/* Column metadata */}
+                              <div
+                                style={{
+                                  fontSize: "12px",
+                                  color: "#6b7280",
+                                  marginBottom: "4px",
+                                }}
+                              >
+                                Type: {column.type}
+                                {column.typeConfidence !== undefined &&
+                                  ` (${Math.round(
+                                    column.typeConfidence * 100
+                                  )}%)`}
+                                {column.profile
+                                  ? ` • ${column.profile.count} values • ${
+                                      column.profile.distinctCount
+                                    } unique • ${
+                                      column.profile.nullCount
+                                    } empty${
+                                      column.profile.sampledRows
+                                        ? ` (in ${column.profile.sampledRows} sampled rows)`
+                                        : ""
+                                    }`
+                                  : ` • ${
+                                      column.sampleValues
+                                        ? column.sampleValues.length
+                                        : 0
+                                    } values`}
+                              </div>
 
-                  {/* ===== MAPPING DROPDOWN ===== */}
-                  {/* User can manually select which Qlik field to map to */}
-                  <select
-                    value={mapping ? mapping.qlikField.name : "none"}
-                    onChange={(e) =>
-                      handleMappingChange(column.name, e.target.value)
-                    }
-                    style={{
-                      width: "100%",
-                      padding: "8px",
-                      border: "1px solid #d1d5db",
-                      borderRadius: "4px",
-                      fontSize: "14px",
-                      backgroundColor: "white",
-                    }}
-                  >
-                    <option value="none">-- Select Qlik Field --</option>
-                    {qlikFields.map((field) => (
-                      <option key={field.name} value={field.name}>
-                        {field.name} ({field.type})
-                      </option>
-                    ))}
-                  </select>
-
-                  {/* ===== MAPPING INFO BADGES ===== */}
-                  {/* Show mapping details if column is mapped */}
-                  {mapping && (
-                    <div
-                      style={{
-                        marginTop: "8px",
-                        fontSize: "11px",
-                        color: "#059669",
-                        backgroundColor: "#d1fae5", // Light green background
-                        padding: "6px 8px",
-                        borderRadius: "4px",
-                      }}
-                    >
-                      ✓ {mapping.reason} ({Math.round(mapping.confidence * 100)}
-                      % confidence)
-                    </div>
-                  )}
-
-                  {/* Static "exact match" indicator */}
-                  <div
-                    style={{
-                      marginTop: "8px",
-                      fontSize: "11px",
-                      color: "#2563eb",
-                      cursor: "pointer",
-                    }}
-                  >
-                    ✓ Exact name match
+                              {/* Sample data preview */}
+                              <div
+                                style={{
+                                  fontSize: "11px",
+                                  color: "#9ca3af",
+                                }}
+                              >
+                                Sample:{" "}
+                                {column.sampleValues
+                                  ? column.sampleValues.join(", ")
+                                  : "No samples"}
+                              </div>
+
+                              {/* Column profile statistics */}
+                              {column.profile && renderProfile(column.profile)}
+                            </div>
+
+                            {/* Right side - Confidence badge (only if mapped) */}
+                            {mapping && (
+                              <div
+                                style={{
+                                  marginLeft: "12px",
+                                  textAlign: "right",
+                                }}
+                              >
+                                {/* Confidence percentage */}
+                                <div
+                                  style={{
+                                    fontSize: "14px",
+                                    fontWeight: "bold",
+                                    color:
+                                      confidence === 100
+                                        ? "#059669"
+                                        : "#d97706", // Green for 100%, orange for less
+                                  }}
+                                >
+                                  {confidence}%
+                                </div>
+
+                                {/* Match type label */}
+                                <div
+                                  style={{
+                                    fontSize: "10px",
+                                    color: "#059669",
+                                    fontWeight: "500",
+                                  }}
+                                >
+                                  {mapping.matchType}
+                                </div>
+
+                                {/* Accept a below-threshold suggestion */}
+                                {isReview && (
+                                  <button
+                                    onClick={() => acceptMapping(column.name)}
+                                    style={{
+                                      marginTop: "4px",
+                                      backgroundColor: "#d97706", // Orange
+                                      color: "white",
+                                      padding: "2px 8px",
+                                      borderRadius: "4px",
+                                      border: "none",
+                                      fontSize: "11px",
+                                      cursor: "pointer",
+                                    }}
+                                  >
+                                    Accept
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                          </div>
+
+                          {/* ===== MAPPING DROPDOWN ===== */}
+                          {/* User can manually select which Qlik field to map to */}
+                          <select
+                            value={
+                              mapping ? fieldKey(mapping.qlikField) : "none"
+                            }
+                            onChange={(e) =>
+                              handleMappingChange(column.name, e.target.value)
+                            }
+                            style={{
+                              width: "100%",
+                              padding: "8px",
+                              border: "1px solid #d1d5db",
+                              borderRadius: "4px",
+                              fontSize: "14px",
+                              backgroundColor: "white",
+                            }}
+                          >
+                            <option value="none">
+                              -- Select Qlik Field --
+                            </option>
+                            {qlikFields.map((field) => (
+                              <option
+                                key={fieldKey(field)}
+                                value={fieldKey(field)}
+                              >
+                                {field.source === "master"
+                                  ? `⭐ ${field.name} (master ${field.type})`
+                                  : `${field.name} (${field.type}${
+                                      field.isKey ? ", key" : ""
+                                    })`}
+                              </option>
+                            ))}
+                          </select>
+
+                          {/* ===== MAPPING INFO BADGES ===== */}
+                          {/* Show mapping details if column is mapped */}
+                          {mapping && (
+                            <div
+                              style={{
+                                marginTop: "8px",
+                                fontSize: "11px",
+                                color: "#059669",
+                                backgroundColor: "#d1fae5", // Light green background
+                                padding: "6px 8px",
+                                borderRadius: "4px",
+                              }}
+                            >
+                              ✓ {mapping.reason} (
+                              {Math.round(mapping.confidence * 100)}%
+                              confidence)
+                            </div>
+                          )}
+
+                          {/* ===== VALUE TRANSFORMS ===== */}
+                          {/* Clean up or convert values on the way into the table */}
+                          {mapping && (
+                            <details
+                              open={mapping.transforms?.length > 0}
+                              style={{
+                                marginTop: "8px",
+                                fontSize: "11px",
+                                color: "#6b7280",
+                              }}
+                            >
+                              <summary style={{ cursor: "pointer" }}>
+                                Transforms ({mapping.transforms?.length || 0})
+                              </summary>
+                              <TransformEditor
+                                steps={mapping.transforms || []}
+                                sampleValues={(
+                                  column.profile?.distinctSample ||
+                                  column.sampleValues ||
+                                  []
+                                ).slice(0, 5)}
+                                onChange={(transforms) =>
+                                  updateTransforms(column.name, transforms)
+                                }
+                              />
+                            </details>
+                          )}
+
+                          {/* ===== WHY NOT ===== */}
+                          {/* Runner-up Qlik fields for this column and why they lost */}
+                          {alternatives.length > 0 && (
+                            <details
+                              style={{
+                                marginTop: "8px",
+                                fontSize: "11px",
+                                color: "#6b7280",
+                              }}
+                            >
+                              <summary style={{ cursor: "pointer" }}>
+                                Why not… ({alternatives.length} other
+                                candidates)
+                              </summary>
+                              {alternatives.map((alternative) => (
+                                <div
+                                  key={fieldKey(alternative.qlikField)}
+                                  title={alternative.reason}
+                                  style={{
+                                    marginTop: "2px",
+                                    paddingLeft: "12px",
+                                  }}
+                                >
+                                  {alternative.qlikField.name} (
+                                  {Math.round(alternative.confidence * 100)}%) —{" "}
+                                  {alternative.whyNot}
+                                </div>
+                              ))}
+                            </details>
+                          )}
+
+                          {/* Static "exact match" indicator */}
+                          <div
+                            style={{
+                              marginTop: "8px",
+                              fontSize: "11px",
+                              color: "#2563eb",
+                              cursor: "pointer",
+                            }}
+                          >
+                            ✓ Exact name match
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
-                </div>
-              );
-            })}
+                )
+            )}
           </div>
 
           {/* Summary at bottom of file columns */}
@@ -492,17 +910,16 @@ export default function SimpleColumnMapper({
                 </span>
               </div>
 
-              {/* Confidence breakdown */}
+              {/* Review buckets */}
               <div
                 style={{
                   display: "flex",
                   justifyContent: "space-between",
                 }}
               >
-                <span style={{ color: "#065f46" }}>High confidence:</span>
+                <span style={{ color: "#065f46" }}>Accepted:</span>
                 <span style={{ fontWeight: "600", color: "#065f46" }}>
-                  {mappedCount}{" "}
-                  {/* All mappings shown as high confidence for demo */}
+                  {acceptedColumns.length}
                 </span>
               </div>
 
@@ -512,18 +929,10 @@ export default function SimpleColumnMapper({
                   justifyContent: "space-between",
                 }}
               >
-                <span style={{ color: "#065f46" }}>Medium confidence:</span>
-                <span style={{ fontWeight: "600", color: "#065f46" }}>0</span>
-              </div>
-
-              <div
-                style={{
-                  display: "flex",
-                  justifyContent: "space-between",
-                }}
-              >
-                <span style={{ color: "#065f46" }}>Low confidence:</span>
-                <span style={{ fontWeight: "600", color: "#065f46" }}>0</span>
+                <span style={{ color: "#065f46" }}>Needs review:</span>
+                <span style={{ fontWeight: "600", color: "#d97706" }}>
+                  {reviewColumns.length}
+                </span>
               </div>
 
               {/* Unmapped count */}
@@ -609,8 +1018,16 @@ export default function SimpleColumnMapper({
                         {/* Left side - Mapping details */}
                         <div>
                           <strong>{fileCol}</strong> → {mapping.qlikField.name}
-                          <div style={{ color: "#6b7280", fontSize: "10px" }}>
+                          <div
+                            style={{ color: "#6b7280", fontSize: "10px" }}
+                            title={mapping.reason} // e.g. "3 of 3 values found in field"
+                          >
                             {mapping.matchType} • {mapping.qlikField.type}
+                            {mapping.qlikField.tables?.length > 0 &&
+                              ` • ${mapping.qlikField.tables.join(", ")}`}
+                            {mapping.qlikField.isKey && " • 🔑 key field"}
+                            {mapping.qlikField.source === "master" &&
+                              ` • ⭐ ${mapping.qlikField.expression}`}
                           </div>
                         </div>
 
@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from "react";
+import { previewCSVFile } from "../services/fileParser";
+
+// Choices offered in the dialect dropdowns
+const DELIMITER_OPTIONS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\t", label: "Tab" },
+  { value: "|", label: "Pipe (|)" },
+];
+const QUOTE_OPTIONS = [
+  { value: '"', label: 'Double quote (")' },
+  { value: "'", label: "Single quote (')" },
+];
+const ENCODING_OPTIONS = [
+  { value: "utf-8", label: "UTF-8" },
+  { value: "windows-1252", label: "Windows-1252 (Western European)" },
+  { value: "iso-8859-1", label: "ISO-8859-1 (Latin-1)" },
+  { value: "utf-16le", label: "UTF-16 LE" },
+  { value: "utf-16be", label: "UTF-16 BE" },
+];
+const DECIMAL_OPTIONS = [
+  { value: ".", label: "Point (12.5)" },
+  { value: ",", label: "Comma (12,5)" },
+];
+
+/**
+ * CsvDialectPanel: Shows the sniffed CSV dialect with a live preview
+ * The user can override delimiter, quote char, encoding, header row,
+ * rows to skip and decimal separator before the file is fully parsed
+ */
+export default function CsvDialectPanel({
+  file, // The selected CSV File object
+  initialDialect, // Dialect guessed by sniffCSVDialect
+  onConfirm, // Callback with the final dialect
+  onCancel, // Callback to discard the file
+}) {
+  // ===== STATE MANAGEMENT =====
+  // Current dialect settings (starts with the sniffed guess)
+  const [dialect, setDialect] = useState(initialDialect);
+
+  // Preview rows parsed with the current settings: {fields, rows}
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+
+  // ===== LIVE PREVIEW =====
+  // Re-parse the start of the file whenever a setting changes
+  useEffect(() => {
+    let isCurrent = true; // Ignore results of outdated previews
+    previewCSVFile(file, dialect)
+      .then((result) => {
+        if (!isCurrent) return;
+        setPreview(result);
+        setPreviewError(null);
+      })
+      .catch((error) => {
+        if (!isCurrent) return;
+        setPreview(null);
+        setPreviewError(error.message);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [file, dialect]);
+
+  // Update a single dialect setting
+  const updateSetting = (key, value) => {
+    setDialect((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Shared styling for the setting controls
+  const controlStyle = {
+    width: "100%",
+    padding: "6px 8px",
+    border: "1px solid #d1d5db",
+    borderRadius: "4px",
+    fontSize: "13px",
+    backgroundColor: "white",
+  };
+  const labelStyle = {
+    display: "block",
+    fontSize: "12px",
+    fontWeight: "500",
+    color: "#374151",
+    marginBottom: "4px",
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#f9fafb",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "16px",
+        marginBottom: "24px",
+      }}
+    >
+      {/* ===== HEADER ===== */}
+      <div
+        style={{
+          fontSize: "16px",
+          fontWeight: "bold",
+          color: "#374151",
+          marginBottom: "4px",
+        }}
+      >
+        ⚙️ CSV Settings for {file.name}
+      </div>
+      <div style={{ fontSize: "13px", color: "#6b7280", marginBottom: "16px" }}>
+        We detected these settings. Adjust them if the preview looks wrong.
+      </div>
+
+      {/* ===== SETTINGS GRID ===== */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(3, 1fr)",
+          gap: "12px",
+          marginBottom: "16px",
+        }}
+      >
+        <div>
+          <label style={labelStyle}>Delimiter</label>
+          <select
+            value={dialect.delimiter}
+            onChange={(e) => updateSetting("delimiter", e.target.value)}
+            style={controlStyle}
+          >
+            {DELIMITER_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label style={labelStyle}>Quote character</label>
+          <select
+            value={dialect.quoteChar}
+            onChange={(e) => updateSetting("quoteChar", e.target.value)}
+            style={controlStyle}
+          >
+            {QUOTE_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label style={labelStyle}>Encoding</label>
+          <select
+            value={dialect.encoding}
+            onChange={(e) => updateSetting("encoding", e.target.value)}
+            style={controlStyle}
+          >
+            {ENCODING_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          {/* Shown 1-based; blank lines are skipped before rows are counted,
+              so this is the n-th non-blank line, not the editor line number */}
+          <label style={labelStyle}>Header row (blank lines not counted)</label>
+          <input
+            type="number"
+            min="1"
+            value={dialect.headerRow + 1}
+            onChange={(e) =>
+              updateSetting(
+                "headerRow",
+                Math.max(0, (parseInt(e.target.value, 10) || 1) - 1)
+              )
+            }
+            style={controlStyle}
+          />
+        </div>
+
+        <div>
+          <label style={labelStyle}>Rows to skip below header</label>
+          <input
+            type="number"
+            min="0"
+            value={dialect.skipRows}
+            onChange={(e) =>
+              updateSetting(
+                "skipRows",
+                Math.max(0, parseInt(e.target.value, 10) || 0)
+              )
+            }
+            style={controlStyle}
+          />
+        </div>
+
+        <div>
+          <label style={labelStyle}>Decimal separator</label>
+          <select
+            value={dialect.decimalSeparator}
+            onChange={(e) => updateSetting("decimalSeparator", e.target.value)}
+            style={controlStyle}
+          >
+            {DECIMAL_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* ===== PREVIEW TABLE ===== */}
+      <div
+        style={{
+          overflow: "auto",
+          maxHeight: "220px",
+          border: "1px solid #e5e7eb",
+          borderRadius: "4px",
+          backgroundColor: "white",
+          marginBottom: "16px",
+        }}
+      >
+        {previewError && (
+          <div style={{ padding: "12px", fontSize: "13px", color: "#b91c1c" }}>
+            Preview failed: {previewError}
+          </div>
+        )}
+        {preview && (
+          <table
+            style={{
+              width: "100%",
+              borderCollapse: "collapse",
+              fontSize: "12px",
+            }}
+          >
+            <thead style={{ backgroundColor: "#f9fafb" }}>
+              <tr>
+                {preview.fields.map((field) => (
+                  <th
+                    key={field}
+                    style={{
+                      padding: "6px 8px",
+                      textAlign: "left",
+                      borderBottom: "1px solid #e5e7eb",
+                      color: "#374151",
+                      whiteSpace: "nowrap",
+                    }}
+                  >
+                    {field}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {preview.fields.map((field) => (
+                    <td
+                      key={field}
+                      style={{
+                        padding: "6px 8px",
+                        borderBottom: "1px solid #f3f4f6",
+                        color: "#6b7280",
+                        whiteSpace: "nowrap",
+                        // Right-align values that were read as numbers
+                        textAlign:
+                          typeof row[field] === "number" ? "right" : "left",
+                      }}
+                    >
+                      {row[field] === null ? "" : String(row[field])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* ===== ACTIONS ===== */}
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: "8px" }}>
+        <button
+          onClick={onCancel}
+          style={{
+            backgroundColor: "#6b7280", // Gray
+            color: "white",
+            padding: "6px 12px",
+            borderRadius: "4px",
+            border: "none",
+            fontSize: "14px",
+            cursor: "pointer",
+            fontWeight: "500",
+          }}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(dialect)}
+          style={{
+            backgroundColor: "#059669", // Green
+            color: "white",
+            padding: "6px 12px",
+            borderRadius: "4px",
+            border: "none",
+            fontSize: "14px",
+            cursor: "pointer",
+            fontWeight: "500",
+          }}
+        >
+          Parse File
+        </button>
+      </div>
+    </div>
+  );
+}
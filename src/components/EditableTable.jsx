@@ -1,6 +1,8 @@
 // ===== PHASE 3: EDITABLE TABLE COMPONENT =====
 // EditableTable.jsx - Core interactive table with cell editing functionality
 import React, { useState, useEffect, useRef } from "react";
+import { inferColumnType } from "../services/columnProfiler";
+import { compilePipeline } from "../services/valueTransforms";
 
 /**
  * EditableTable: Main interactive data table component
@@ -38,6 +40,9 @@ export default function EditableTable({
   const [isLoading, setIsLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  // Types of the transformed columns, inferred from the pipeline's output
+  const [transformedTypes, setTransformedTypes] = useState({});
+
   // Reference for auto-focusing input cells
   const inputRefs = useRef({});
 
@@ -47,17 +52,41 @@ export default function EditableTable({
     if (parsedData && parsedData.rows && columnMappings) {
       console.log("Initializing editable table data...");
 
+      // Compile each mapping's value transforms once for all rows
+      const pipelines = Object.fromEntries(
+        Object.entries(columnMappings).map(([fileColumn, mapping]) => [
+          fileColumn,
+          compilePipeline(mapping.transforms),
+        ])
+      );
+
       // Transform original data into editable format
-      const editableRows = parsedData.rows.map((row, index) => ({
-        id: `original_${index}`, // Unique row identifier
-        originalIndex: index, // Reference to original data
-        status: "saved", // saved | modified | new
-        isNew: false, // Track if this is a newly added row
-        data: extractMappedData(row, columnMappings), // Only mapped columns
-        originalData: extractMappedData(row, columnMappings), // Backup for change detection
-      }));
+      const editableRows = parsedData.rows.map((row, index) => {
+        const data = extractMappedData(row, columnMappings, pipelines); // Only mapped columns
+        return {
+          id: `original_${index}`, // Unique row identifier
+          originalIndex: index, // Reference to original data
+          status: "saved", // saved | modified | new
+          isNew: false, // Track if this is a newly added row
+          data,
+          originalData: { ...data }, // Backup for change detection
+        };
+      });
 
       setTableData(editableRows);
+
+      // A pipeline can change what a column holds (toSeconds turns 1:23.45
+      // into 83.45) - its cells are typed by the values it produces
+      setTransformedTypes(
+        Object.fromEntries(
+          Object.entries(columnMappings)
+            .filter(([, mapping]) => mapping.transforms?.length)
+            .map(([fileColumn]) => [
+              fileColumn,
+              inferColumnType(editableRows.map((row) => row.data[fileColumn])),
+            ])
+        )
+      );
       console.log(`Initialized ${editableRows.length} editable rows`);
     }
   }, [parsedData, columnMappings]);
@@ -89,12 +118,13 @@ export default function EditableTable({
   // ===== HELPER FUNCTIONS =====
 
   /**
-   * Extract only mapped columns from a data row
+   * Extract only mapped columns from a data row, running each column's
+   * value transforms (the transformed value is the row's original value)
    */
-  function extractMappedData(row, mappings) {
+  function extractMappedData(row, mappings, pipelines) {
     const mappedData = {};
     Object.keys(mappings).forEach((fileColumn) => {
-      mappedData[fileColumn] = row[fileColumn] || "";
+      mappedData[fileColumn] = pipelines[fileColumn](row[fileColumn]) ?? "";
     });
     return mappedData;
   }
@@ -116,6 +146,13 @@ export default function EditableTable({
    * Determine input type based on field name and Qlik field type
    */
   function getFieldType(fileColumn, qlikField) {
+    // Values after the column's transforms outrank any hint from its name
+    const transformed = transformedTypes[fileColumn];
+    if (transformed) {
+      const byValues = getInputTypeFromValues(transformed);
+      if (byValues) return byValues;
+    }
+
     const columnLower = fileColumn.toLowerCase();
 
     // Swimming-specific field type detection
@@ -136,29 +173,63 @@ export default function EditableTable({
       return "dropdown";
     }
 
+    // Use the type inferred from the file's values when it is reliable
+    // (a transformed column's file values no longer describe its cells)
+    const fileColumnInfo = parsedData?.columns?.find(
+      (column) => column.name === fileColumn
+    );
+    if (fileColumnInfo && !transformed) {
+      const byValues = getInputTypeFromValues({
+        type: fileColumnInfo.type,
+        confidence: fileColumnInfo.typeConfidence,
+      });
+      if (byValues) return byValues;
+    }
+
+    // Fall back to what the Qlik data model says about the field
+    if (qlikField.numFormat?.qType === "IV") {
+      return "time"; // Interval format, e.g. race times stored as durations
+    }
+    if (qlikField.dataType === "numeric") {
+      return "number";
+    }
+
     // Default based on Qlik field type
     return qlikField.type === "measure" ? "number" : "text";
   }
 
+  /**
+   * Input type for an inferred column type, null when the inference is
+   * unreliable or says nothing about the input
+   */
+  function getInputTypeFromValues({ type, confidence }) {
+    if (confidence < 0.9) return null;
+    switch (type) {
+      case "integer":
+      case "decimal":
+        return "number";
+      case "swim_time":
+      case "duration":
+        return "time";
+      case "categorical":
+        return "dropdown"; // Pick from the values already in the file
+      default:
+        return null;
+    }
+  }
+
   /**
    * Get unique values for dropdown fields
+   * Taken from the table rows, i.e. after the column's transforms - a value
+   * reconciled away in the file never comes back as an option
    */
   function getDropdownOptions(columnKey) {
     const uniqueValues = new Set();
 
-    // Get values from original data
-    if (parsedData && parsedData.rows) {
-      parsedData.rows.forEach((row) => {
-        if (row[columnKey] && row[columnKey] !== "") {
-          uniqueValues.add(row[columnKey]);
-        }
-      });
-    }
-
-    // Add values from current table data
     tableData.forEach((row) => {
-      if (row.data[columnKey] && row.data[columnKey] !== "") {
-        uniqueValues.add(row.data[columnKey]);
+      const value = row.data[columnKey];
+      if (value !== null && value !== undefined && value !== "") {
+        uniqueValues.add(value);
       }
     });
 
@@ -485,7 +556,7 @@ export default function EditableTable({
   function renderEditableCell(row, column, fieldType) {
     const isEditing =
       editingCell?.rowId === row.id && editingCell?.column === column;
-    const cellValue = row.data[column] || "";
+    const cellValue = row.data[column] ?? "";
     const inputKey = `${row.id}_${column}`;
 
     // Common input props
@@ -579,7 +650,9 @@ export default function EditableTable({
           onMouseEnter={(e) => (e.target.style.backgroundColor = "#f8fafc")}
           onMouseLeave={(e) => (e.target.style.backgroundColor = "transparent")}
         >
-          {cellValue || (
+          {cellValue !== "" ? (
+            String(cellValue)
+          ) : (
             <span style={{ color: "#9ca3af", fontStyle: "italic" }}>
               Click to edit
             </span>
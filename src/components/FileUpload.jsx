@@ -1,10 +1,30 @@
 import React, { useState, useRef } from "react";
+import {
+  sniffCSVDialect,
+  isDelimitedTextFile,
+  clipboardToFile,
+} from "../services/fileParser";
+import CsvDialectPanel from "./CsvDialectPanel";
+import ParseIssuesPanel from "./ParseIssuesPanel";
 
 /**
  * FileUpload: Enhanced drag-and-drop file upload component with inline comments
  * Handles file selection, validation, and shows Qlik field information
  */
-export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
+export default function FileUpload({
+  onFileUpload,
+  isLoading,
+  progress, // Parse progress for large files: {rowsParsed, percent, ...}
+  onCancel, // Cancels the parse in flight
+  pendingParse, // Parsed data with malformed rows awaiting review (or null)
+  onIssuesResolved, // Callback with the user's accept/skip/fix decisions
+  onIssuesCancelled, // Callback to discard a file with problems
+  qlikFields,
+  fieldsStatus, // 'loading' | 'ready' | 'error'
+  fieldsError, // Message shown when the fields failed to load
+  onRetryFields, // Reloads the Qlik fields
+  isDemoMode, // Fields come from the demo catalogue, not the app
+}) {
   // ===== STATE MANAGEMENT =====
   // Track drag-over state for visual feedback
   const [isDragOver, setIsDragOver] = useState(false);
@@ -12,6 +32,12 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
   // Store file preview information after selection
   const [previewData, setPreviewData] = useState(null);
 
+  // CSV waiting for dialect confirmation: {file, dialect}
+  const [pendingCsv, setPendingCsv] = useState(null);
+
+  // Pasted clipboard content: {html, text} (html is dropped once the text is edited)
+  const [pasted, setPasted] = useState({ html: "", text: "" });
+
   // Reference to hidden file input element
   const fileInputRef = useRef(null);
 
@@ -22,10 +48,24 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
     "application/vnd.ms-excel", // .xls
     "text/csv", // .csv
     "application/csv", // Alternative CSV MIME type
+    "text/tab-separated-values", // .tsv
+    "application/json", // .json
+    "application/x-ndjson", // .ndjson / .jsonl
   ];
 
   // Accepted file extensions as fallback validation
-  const supportedExtensions = [".xlsx", ".xls", ".csv"];
+  const supportedExtensions = [
+    ".xlsx",
+    ".xls",
+    ".csv",
+    ".tsv",
+    ".tab",
+    ".json",
+    ".ndjson",
+    ".jsonl",
+    ".cl2", // SDIF results from Meet Manager
+    ".sd3",
+  ];
 
   // ===== DRAG AND DROP HANDLERS =====
   /**
@@ -41,7 +81,9 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
     if (file && isValidFile(file)) {
       handleFileSelect(file); // Process valid file
     } else {
-      alert("Please upload a valid Excel (.xlsx, .xls) or CSV file"); // User feedback
+      alert(
+        "Please upload a valid Excel (.xlsx, .xls), CSV, TSV, JSON (.json, .ndjson) or SDIF (.cl2, .sd3) file"
+      ); // User feedback
     }
   };
 
@@ -84,8 +126,94 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
       lastModified: new Date(file.lastModified).toLocaleDateString(), // Format date
     });
 
-    // Call parent component's upload handler
-    await onFileUpload(file);
+    // Excel workbooks and JSON don't need dialect settings - parse straight away
+    if (!isDelimitedTextFile(file)) {
+      await onFileUpload(file);
+      return;
+    }
+
+    // CSV/TSV: sniff delimiter/encoding/etc. and let the user confirm them first
+    try {
+      const dialect = await sniffCSVDialect(file);
+      setPendingCsv({ file, dialect });
+    } catch (error) {
+      console.warn("Dialect detection failed, using defaults:", error);
+      await onFileUpload(file);
+    }
+  };
+
+  /**
+   * User confirmed the CSV settings - hand the file to the parent for parsing
+   */
+  const handleDialectConfirm = async (dialect) => {
+    const { file } = pendingCsv;
+    setPendingCsv(null);
+    await onFileUpload(file, { dialect }); // Call parent component's upload handler
+  };
+
+  /**
+   * User discarded the CSV in the settings panel
+   */
+  const handleDialectCancel = () => {
+    setPendingCsv(null);
+    setPreviewData(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ""; // Allow picking the same file again
+    }
+  };
+
+  /**
+   * User cancelled the parse - the cancelled file's preview goes with it
+   */
+  const handleParseCancel = () => {
+    setPreviewData(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ""; // Allow picking the same file again
+    }
+    onCancel();
+  };
+
+  // ===== CLIPBOARD HANDLERS =====
+  /**
+   * Capture both the HTML and plain-text flavours of a paste
+   * (web results pages only keep their table structure in the HTML)
+   */
+  const handlePaste = (e) => {
+    e.preventDefault();
+    setPasted({
+      html: e.clipboardData.getData("text/html"),
+      text: e.clipboardData.getData("text/plain"),
+    });
+  };
+
+  /**
+   * Send the pasted range through the same pipeline as an uploaded file
+   */
+  const handlePasteSubmit = async () => {
+    let file;
+    try {
+      file = clipboardToFile(pasted);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    setPreviewData({
+      name: "Pasted data",
+      size: (file.size / 1024).toFixed(1) + " KB",
+      type: pasted.html ? "HTML table" : "Tab-separated text",
+      lastModified: new Date().toLocaleDateString(),
+    });
+    setPasted({ html: "", text: "" });
+
+    // Pasted data is always tab-separated - sniff the rest (header row, decimals)
+    let dialect = {};
+    try {
+      dialect = await sniffCSVDialect(file);
+    } catch (error) {
+      console.warn("Dialect detection failed, using defaults:", error);
+    }
+    await onFileUpload(file, { dialect: { ...dialect, delimiter: "\t" } });
   };
 
   // ===== DRAG EVENT HANDLERS =====
@@ -127,8 +255,8 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
             color: "#6b7280",
           }}
         >
-          Upload an Excel or CSV file and we'll automatically map columns to
-          your Qlik data model
+          Upload an Excel, CSV, TSV or JSON file and we'll automatically map
+          columns to your Qlik data model
         </p>
       </div>
 
@@ -156,7 +284,7 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".xlsx,.xls,.csv" // Limit file picker to supported types
+          accept={supportedExtensions.join(",")} // Limit file picker to supported types
           onChange={handleFileInputChange}
           style={{ display: "none" }} // Hide from view
         />
@@ -187,7 +315,8 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
 
         {/* Supported formats reminder */}
         <div style={{ fontSize: "14px", color: "#6b7280" }}>
-          Supported formats: Excel (.xlsx, .xls) and CSV files
+          Supported formats: Excel (.xlsx, .xls), CSV, TSV, JSON, NDJSON and
+          Meet Manager SDIF results (.cl2, .sd3)
         </div>
 
         {/* Loading indicator (shown during file processing) */}
@@ -199,15 +328,165 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
               color: "#2563eb",
               fontWeight: "500",
             }}
+            onClick={(e) => e.stopPropagation()} // Don't reopen the file dialog
           >
             🔄 Processing file...
+            {/* Progress bar - only available for streamed CSV files */}
+            {progress && (
+              <div style={{ marginTop: "12px" }}>
+                <div
+                  style={{
+                    height: "8px",
+                    backgroundColor: "#dbeafe", // Light blue track
+                    borderRadius: "4px",
+                    overflow: "hidden",
+                    maxWidth: "400px",
+                    margin: "0 auto",
+                  }}
+                >
+                  <div
+                    style={{
+                      width: `${progress.percent}%`,
+                      height: "100%",
+                      backgroundColor: "#2563eb",
+                      transition: "width 0.2s ease",
+                    }}
+                  />
+                </div>
+                <div
+                  style={{
+                    marginTop: "6px",
+                    fontSize: "13px",
+                    color: "#6b7280",
+                    fontWeight: "normal",
+                  }}
+                >
+                  {progress.percent}% • {progress.rowsParsed.toLocaleString()}{" "}
+                  rows read
+                </div>
+              </div>
+            )}
+            {/* Cancel the parse in flight */}
+            {onCancel && (
+              <button
+                onClick={handleParseCancel}
+                style={{
+                  marginTop: "12px",
+                  backgroundColor: "#6b7280", // Gray
+                  color: "white",
+                  padding: "6px 12px",
+                  borderRadius: "4px",
+                  border: "none",
+                  fontSize: "12px",
+                  cursor: "pointer",
+                  fontWeight: "500",
+                }}
+              >
+                Cancel
+              </button>
+            )}
           </div>
         )}
       </div>
 
+      {/* ===== PASTE SECTION ===== */}
+      {/* Alternative to uploading: paste a copied spreadsheet range or web table */}
+      {!isLoading && !pendingCsv && !pendingParse && (
+        <div
+          style={{
+            border: "1px solid #e5e7eb",
+            borderRadius: "8px",
+            padding: "16px",
+            marginBottom: "24px",
+          }}
+        >
+          <div
+            style={{
+              fontSize: "14px",
+              fontWeight: "500",
+              color: "#374151",
+              marginBottom: "8px",
+            }}
+          >
+            📋 Or paste data copied from a spreadsheet or results page
+          </div>
+          <textarea
+            rows={4}
+            value={pasted.text}
+            onPaste={handlePaste}
+            onChange={(e) => setPasted({ html: "", text: e.target.value })}
+            placeholder="Click here and press Ctrl+V (Cmd+V on Mac)"
+            style={{
+              width: "100%",
+              padding: "8px",
+              border: "1px solid #d1d5db",
+              borderRadius: "4px",
+              fontFamily: "monospace",
+              fontSize: "12px",
+              boxSizing: "border-box",
+              whiteSpace: "pre",
+            }}
+          />
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              marginTop: "8px",
+            }}
+          >
+            <div style={{ fontSize: "12px", color: "#6b7280" }}>
+              {pasted.html
+                ? "Table detected - columns will be kept as pasted"
+                : "First row should contain the column names"}
+            </div>
+            <button
+              onClick={handlePasteSubmit}
+              disabled={pasted.text.trim() === ""}
+              style={{
+                backgroundColor:
+                  pasted.text.trim() === "" ? "#d1d5db" : "#2563eb",
+                color: "white",
+                padding: "6px 12px",
+                borderRadius: "4px",
+                border: "none",
+                fontSize: "14px",
+                cursor: pasted.text.trim() === "" ? "not-allowed" : "pointer",
+                fontWeight: "500",
+              }}
+            >
+              Use Pasted Data
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ===== CSV DIALECT SECTION ===== */}
+      {/* Shown after a CSV is selected, before it is parsed */}
+      {pendingCsv && !isLoading && (
+        <CsvDialectPanel
+          file={pendingCsv.file} // Selected CSV file
+          initialDialect={pendingCsv.dialect} // Sniffed settings
+          onConfirm={handleDialectConfirm} // Parse with the chosen settings
+          onCancel={handleDialectCancel} // Discard the file
+        />
+      )}
+
+      {/* ===== PARSE PROBLEMS SECTION ===== */}
+      {/* Shown when some rows could not be read cleanly */}
+      {pendingParse && !isLoading && (
+        <ParseIssuesPanel
+          issues={pendingParse.issues} // Malformed rows with line numbers
+          format={pendingParse.format} // How corrected rows are read
+          totalRows={pendingParse.totalRows} // Rows that parsed cleanly
+          onResolve={onIssuesResolved} // Continue with accepted/fixed rows
+          onCancel={onIssuesCancelled} // Discard the file
+        />
+      )}
+
       {/* ===== FILE PREVIEW SECTION ===== */}
       {/* Only shown after successful file selection and not during loading */}
-      {previewData && !isLoading && (
+      {previewData && !isLoading && !pendingCsv && !pendingParse && (
         <div
           style={{
             backgroundColor: "#dcfce7", // Light green background
@@ -278,6 +557,22 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
           }}
         >
           📊 Available Qlik Fields
+          {/* Make it obvious these aren't the app's real fields */}
+          {isDemoMode && (
+            <span
+              style={{
+                fontSize: "11px",
+                fontWeight: "600",
+                color: "#92400e",
+                backgroundColor: "#fef3c7",
+                border: "1px solid #fbbf24",
+                borderRadius: "4px",
+                padding: "2px 6px",
+              }}
+            >
+              DEMO MODE
+            </span>
+          )}
         </div>
 
         {/* Check if Qlik fields are loaded */}
@@ -402,6 +697,31 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
               </div>
             </div>
 
+            {/* ===== MASTER ITEMS ===== */}
+            {/* Library dimensions/measures can be mapped like fields */}
+            {(qlikFields.masterDimensions?.length > 0 ||
+              qlikFields.masterMeasures?.length > 0) && (
+              <div
+                style={{
+                  fontSize: "12px",
+                  color: "#6b7280",
+                  marginBottom: "16px",
+                }}
+              >
+                ⭐ <strong>Master items:</strong>{" "}
+                {qlikFields.masterDimensions?.length || 0} dimensions,{" "}
+                {qlikFields.masterMeasures?.length || 0} measures (
+                {[
+                  ...(qlikFields.masterDimensions || []),
+                  ...(qlikFields.masterMeasures || []),
+                ]
+                  .slice(0, 5)
+                  .map((item) => item.name)
+                  .join(", ")}
+                )
+              </div>
+            )}
+
             {/* ===== SMART MAPPING READY INDICATOR ===== */}
             <div
               style={{
@@ -416,6 +736,43 @@ export default function FileUpload({ onFileUpload, isLoading, qlikFields }) {
               suggest the best field matches for your uploaded columns
             </div>
           </div>
+        ) : fieldsStatus === "error" ? (
+          // Error state - the fields could not be read (no silent fallback)
+          <div
+            style={{
+              padding: "12px",
+              backgroundColor: "#fee2e2", // Light red
+              border: "1px solid #fca5a5",
+              borderRadius: "4px",
+              fontSize: "14px",
+              color: "#991b1b",
+            }}
+          >
+            <div style={{ fontWeight: "bold", marginBottom: "4px" }}>
+              ❌ Could not load the Qlik data model
+            </div>
+            <div style={{ marginBottom: "8px" }}>{fieldsError}</div>
+            <button
+              onClick={onRetryFields}
+              style={{
+                backgroundColor: "#dc2626", // Red
+                color: "white",
+                padding: "6px 12px",
+                borderRadius: "4px",
+                border: "none",
+                fontSize: "12px",
+                cursor: "pointer",
+                fontWeight: "500",
+              }}
+            >
+              Retry
+            </button>
+          </div>
+        ) : fieldsStatus === "ready" ? (
+          // Loaded, but the app has no fields to map to
+          <div style={{ fontSize: "14px", color: "#6b7280" }}>
+            This app has no fields yet. Load data into the app first.
+          </div>
         ) : (
           // Loading state when Qlik fields haven't loaded yet
           <div style={{ fontSize: "14px", color: "#6b7280" }}>
@@ -0,0 +1,291 @@
+import React, { useRef, useState } from "react";
+import { exportTemplates } from "../services/mappingTemplates";
+
+/**
+ * MappingTemplatePanel: Saves, applies and shares mapping templates
+ * Shows which saved template matches the uploaded file; templates are stored
+ * in the extension's properties and can be exported/imported as JSON
+ */
+export default function MappingTemplatePanel({
+  templates, // Saved templates: [{name, columns, mappings, savedAt, ...}, ...]
+  templateMatch, // Template matching this file: {template, exact, applied, missingFields} or null
+  mappedCount, // Columns currently mapped (nothing to save when 0)
+  onApply, // Callback with the template to apply
+  onSave, // Async callback with the template name (saves the current mappings)
+  onDelete, // Async callback with the name of the template to delete
+  onImport, // Async callback with exported JSON text; resolves to the number imported
+}) {
+  // ===== STATE MANAGEMENT =====
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState(templateMatch?.template.name || "");
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null); // {type: 'success' | 'error', text}
+
+  // Hidden file input behind the Import button
+  const importInputRef = useRef(null);
+
+  // Run a save/delete/import and report how it went
+  const runAction = async (action, successText) => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      setMessage({ type: "success", text: successText(result) });
+    } catch (error) {
+      console.error("Template action failed:", error);
+      setMessage({ type: "error", text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    const replaces = templates.some((t) => t.name === trimmed);
+    runAction(
+      () => onSave(trimmed),
+      () => `${replaces ? "Updated" : "Saved"} template "${trimmed}"`
+    );
+  };
+
+  const handleDelete = (templateName) => {
+    runAction(
+      () => onDelete(templateName),
+      () => `Deleted template "${templateName}"`
+    );
+  };
+
+  const handleImportFile = async (e) => {
+    const importFile = e.target.files[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!importFile) return;
+    const text = await importFile.text();
+    runAction(
+      () => onImport(text),
+      (count) => `Imported ${count} template${count === 1 ? "" : "s"}`
+    );
+  };
+
+  // Download every template as one JSON file
+  const handleExport = () => {
+    const blob = new Blob([exportTemplates(templates)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "mapping-templates.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Shared styling for the small buttons
+  const smallButtonStyle = {
+    backgroundColor: "white",
+    color: "#374151",
+    padding: "4px 10px",
+    borderRadius: "4px",
+    border: "1px solid #d1d5db",
+    fontSize: "12px",
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#f9fafb",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "12px 16px",
+        marginBottom: "24px",
+      }}
+    >
+      {/* ===== HEADER ===== */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <div style={{ fontSize: "14px", fontWeight: "600", color: "#374151" }}>
+          📋 Mapping Templates
+          {templates.length > 0 && ` (${templates.length})`}
+        </div>
+        <button onClick={() => setIsOpen(!isOpen)} style={smallButtonStyle}>
+          {isOpen ? "Hide" : "Show"}
+        </button>
+      </div>
+
+      {/* ===== MATCHING TEMPLATE ===== */}
+      {/* Shown even when the panel is closed - it explains the mappings */}
+      {templateMatch && (
+        <div
+          style={{
+            marginTop: "8px",
+            padding: "8px",
+            borderRadius: "4px",
+            fontSize: "13px",
+            backgroundColor: templateMatch.applied ? "#ecfdf5" : "#eff6ff",
+            color: templateMatch.applied ? "#065f46" : "#1e40af",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "12px",
+          }}
+        >
+          <span>
+            {templateMatch.applied
+              ? `✓ Applied template "${templateMatch.template.name}"`
+              : `This file looks like template "${templateMatch.template.name}"`}
+            {!templateMatch.exact && " (some columns differ)"}
+            {templateMatch.missingFields?.length > 0 &&
+              ` • Fields no longer in the app: ${templateMatch.missingFields.join(
+                ", "
+              )}`}
+          </span>
+          {!templateMatch.applied && (
+            <button
+              onClick={() => onApply(templateMatch.template)}
+              style={{
+                ...smallButtonStyle,
+                backgroundColor: "#2563eb",
+                color: "white",
+                border: "none",
+              }}
+            >
+              Apply
+            </button>
+          )}
+        </div>
+      )}
+
+      {isOpen && (
+        <>
+          {/* ===== SAVE CURRENT MAPPINGS ===== */}
+          <div
+            style={{
+              display: "flex",
+              gap: "8px",
+              alignItems: "center",
+              marginTop: "12px",
+            }}
+          >
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Template name, e.g. Weekly results export"
+              style={{
+                flex: 1,
+                padding: "6px 8px",
+                border: "1px solid #d1d5db",
+                borderRadius: "4px",
+                fontSize: "13px",
+              }}
+            />
+            <button
+              onClick={handleSave}
+              disabled={isBusy || !name.trim() || mappedCount === 0}
+              style={{
+                ...smallButtonStyle,
+                backgroundColor:
+                  isBusy || !name.trim() || mappedCount === 0
+                    ? "#d1d5db"
+                    : "#059669",
+                color: "white",
+                border: "none",
+                fontSize: "13px",
+                padding: "6px 12px",
+              }}
+            >
+              Save Current Mappings
+            </button>
+          </div>
+          <div style={{ fontSize: "11px", color: "#9ca3af", marginTop: "4px" }}>
+            Saves mappings, transforms, combine/split columns, the target table
+            and the threshold. A template with the same name is replaced.
+          </div>
+
+          {/* ===== SAVED TEMPLATES ===== */}
+          {templates.map((template) => (
+            <div
+              key={template.name}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginTop: "8px",
+                padding: "6px 8px",
+                backgroundColor: "white",
+                border: "1px solid #e5e7eb",
+                borderRadius: "4px",
+                fontSize: "12px",
+                color: "#374151",
+              }}
+            >
+              <span>
+                <strong>{template.name}</strong> •{" "}
+                {Object.keys(template.mappings).length} mappings
+                {template.targetTable && ` • ${template.targetTable}`} • saved{" "}
+                {new Date(template.savedAt).toLocaleDateString()}
+              </span>
+              <span style={{ display: "flex", gap: "6px" }}>
+                <button
+                  onClick={() => onApply(template)}
+                  style={smallButtonStyle}
+                >
+                  Apply
+                </button>
+                <button
+                  onClick={() => handleDelete(template.name)}
+                  disabled={isBusy}
+                  style={{ ...smallButtonStyle, color: "#b91c1c" }}
+                >
+                  Delete
+                </button>
+              </span>
+            </div>
+          ))}
+
+          {/* ===== SHARE ===== */}
+          <div style={{ display: "flex", gap: "8px", marginTop: "12px" }}>
+            <button
+              onClick={handleExport}
+              disabled={templates.length === 0}
+              style={smallButtonStyle}
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={() => importInputRef.current.click()}
+              disabled={isBusy}
+              style={smallButtonStyle}
+            >
+              Import JSON
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImportFile}
+              style={{ display: "none" }}
+            />
+          </div>
+
+          {/* Result of the last save/delete/import */}
+          {message && (
+            <div
+              style={{
+                marginTop: "8px",
+                fontSize: "12px",
+                color: message.type === "error" ? "#b91c1c" : "#059669",
+              }}
+            >
+              {message.text}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
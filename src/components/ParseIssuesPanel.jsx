@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import { validateIssueFix } from "../services/fileParser";
+
+// Problem rows listed per page to keep the panel fast
+const ISSUE_PAGE_SIZE = 100;
+
+// Human-readable labels for the issue types reported by fileParser
+const ISSUE_LABELS = {
+  TooFewFields: "Too few fields",
+  TooManyFields: "Too many fields",
+  MissingQuotes: "Missing closing quote",
+  InvalidQuotes: "Broken quoting",
+  InvalidJSON: "Invalid JSON",
+};
+
+/**
+ * ParseIssuesPanel: "Problems found" review for malformed CSV/NDJSON rows
+ * Lets the user accept, skip or fix each row before column mapping
+ */
+export default function ParseIssuesPanel({
+  issues, // Row-level issues from the parser: [{id, line, type, message, raw, fields}, ...]
+  format, // Parsed file format ("csv", "ndjson", ...) - decides how fixes are read
+  totalRows, // Number of rows that parsed cleanly
+  onResolve, // Callback with {issueId: {action, text}}
+  onCancel, // Callback to discard the file
+}) {
+  // ===== STATE MANAGEMENT =====
+  // Decision per issue - rows are skipped unless the user says otherwise
+  const [resolutions, setResolutions] = useState(() =>
+    issues.reduce((acc, issue) => {
+      acc[issue.id] = { action: "skip", text: issue.raw };
+      return acc;
+    }, {})
+  );
+  // Issues listed so far (more are shown a page at a time)
+  const [visibleCount, setVisibleCount] = useState(ISSUE_PAGE_SIZE);
+
+  // Update the action or corrected text for one issue
+  const updateResolution = (issueId, changes) => {
+    setResolutions((prev) => ({
+      ...prev,
+      [issueId]: { ...prev[issueId], ...changes },
+    }));
+  };
+
+  // Apply the same action to every issue
+  // Rows without readable fields (invalid JSON) can't be accepted as read
+  const setAllActions = (action) => {
+    setResolutions((prev) =>
+      issues.reduce((acc, issue) => {
+        acc[issue.id] = {
+          ...prev[issue.id],
+          action: action === "accept" && !issue.fields ? "skip" : action,
+        };
+        return acc;
+      }, {})
+    );
+  };
+
+  // Why each fixed row can't be read yet: {issueId: message}
+  const fixErrors = issues.reduce((acc, issue) => {
+    const resolution = resolutions[issue.id];
+    const error =
+      resolution.action === "fix" && validateIssueFix(format, resolution.text);
+    if (error) acc[issue.id] = error;
+    return acc;
+  }, {});
+  const fixErrorCount = Object.keys(fixErrors).length;
+
+  // Counts for the summary line
+  const keptCount = Object.values(resolutions).filter(
+    (r) => r.action !== "skip"
+  ).length;
+
+  // Issues not listed yet still follow their (bulk) action
+  const hiddenIssues = issues.slice(visibleCount);
+  const hiddenKeptCount = hiddenIssues.filter(
+    (issue) => resolutions[issue.id].action !== "skip"
+  ).length;
+
+  // Shared small button styling
+  const smallButtonStyle = {
+    backgroundColor: "#6b7280",
+    color: "white",
+    padding: "4px 10px",
+    borderRadius: "4px",
+    border: "none",
+    fontSize: "12px",
+    cursor: "pointer",
+    fontWeight: "500",
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: "#fef3c7", // Light yellow
+        border: "1px solid #fbbf24",
+        borderRadius: "8px",
+        padding: "16px",
+        marginBottom: "24px",
+        color: "#92400e",
+      }}
+    >
+      {/* ===== HEADER ===== */}
+      <div
+        style={{ fontSize: "16px", fontWeight: "bold", marginBottom: "4px" }}
+      >
+        ⚠️ Problems Found: {issues.length} row
+        {issues.length === 1 ? "" : "s"} could not be read cleanly
+      </div>
+      <div style={{ fontSize: "13px", marginBottom: "12px" }}>
+        {totalRows} rows parsed without problems. Decide what to do with the
+        rows below before mapping ({keptCount} kept, {issues.length - keptCount}{" "}
+        skipped).
+      </div>
+
+      {/* ===== BULK ACTIONS ===== */}
+      <div style={{ display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <button
+          onClick={() => setAllActions("accept")}
+          style={smallButtonStyle}
+        >
+          Accept All
+        </button>
+        <button onClick={() => setAllActions("skip")} style={smallButtonStyle}>
+          Skip All
+        </button>
+      </div>
+
+      {/* ===== ISSUE LIST ===== */}
+      <div
+        style={{
+          maxHeight: "320px",
+          overflowY: "auto",
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+        }}
+      >
+        {issues.slice(0, visibleCount).map((issue) => {
+          const resolution = resolutions[issue.id];
+          return (
+            <div
+              key={issue.id}
+              style={{
+                backgroundColor: "white",
+                border: "1px solid #fde68a",
+                borderRadius: "4px",
+                padding: "8px",
+                fontSize: "12px",
+              }}
+            >
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: "8px",
+                }}
+              >
+                {/* Row number, issue type and details */}
+                <div>
+                  <strong>Line {issue.line}</strong> •{" "}
+                  {ISSUE_LABELS[issue.type] || issue.type} • {issue.message}
+                </div>
+
+                {/* What to do with this row */}
+                <select
+                  value={resolution.action}
+                  onChange={(e) =>
+                    updateResolution(issue.id, { action: e.target.value })
+                  }
+                  style={{
+                    padding: "4px",
+                    border: "1px solid #d1d5db",
+                    borderRadius: "4px",
+                    fontSize: "12px",
+                  }}
+                >
+                  {issue.fields && (
+                    <option value="accept">Accept as read</option>
+                  )}
+                  <option value="skip">Skip row</option>
+                  <option value="fix">Fix row</option>
+                </select>
+              </div>
+
+              {/* Raw text, editable when fixing */}
+              {resolution.action === "fix" ? (
+                <>
+                  <textarea
+                    rows={2} // Rows with broken quotes can span several lines
+                    value={resolution.text}
+                    onChange={(e) =>
+                      updateResolution(issue.id, { text: e.target.value })
+                    }
+                    style={{
+                      marginTop: "6px",
+                      width: "100%",
+                      padding: "4px 6px",
+                      border: "1px solid #d1d5db",
+                      borderRadius: "4px",
+                      fontFamily: "monospace",
+                      fontSize: "12px",
+                      boxSizing: "border-box",
+                    }}
+                  />
+                  {fixErrors[issue.id] && (
+                    <div style={{ marginTop: "4px", color: "#b91c1c" }}>
+                      {fixErrors[issue.id]}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div
+                  style={{
+                    marginTop: "6px",
+                    fontFamily: "monospace",
+                    color: "#6b7280",
+                    whiteSpace: "pre-wrap",
+                    wordBreak: "break-all",
+                  }}
+                >
+                  {issue.raw}
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {/* Issues not listed yet - say what will happen to them */}
+        {hiddenIssues.length > 0 && (
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: "8px",
+              fontSize: "12px",
+            }}
+          >
+            <span style={{ fontStyle: "italic" }}>
+              {hiddenIssues.length} more problem row
+              {hiddenIssues.length === 1 ? " is" : "s are"} not listed:{" "}
+              {hiddenKeptCount} will be accepted as read and{" "}
+              {hiddenIssues.length - hiddenKeptCount} skipped (change them with
+              Accept All / Skip All).
+            </span>
+            <button
+              onClick={() => setVisibleCount(visibleCount + ISSUE_PAGE_SIZE)}
+              style={smallButtonStyle}
+            >
+              Show {Math.min(ISSUE_PAGE_SIZE, hiddenIssues.length)} more
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* ===== ACTIONS ===== */}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "flex-end",
+          gap: "8px",
+          marginTop: "16px",
+        }}
+      >
+        <button
+          onClick={onCancel}
+          style={{ ...smallButtonStyle, padding: "6px 12px", fontSize: "14px" }}
+        >
+          Cancel
+        </button>
+        {fixErrorCount > 0 && (
+          <span style={{ alignSelf: "center", fontSize: "12px" }}>
+            {fixErrorCount} fixed row{fixErrorCount === 1 ? "" : "s"} still
+            can't be read
+          </span>
+        )}
+        <button
+          onClick={() => onResolve(resolutions)}
+          disabled={fixErrorCount > 0}
+          style={{
+            ...smallButtonStyle,
+            backgroundColor: fixErrorCount > 0 ? "#d1d5db" : "#059669", // Green
+            padding: "6px 12px",
+            fontSize: "14px",
+            cursor: fixErrorCount > 0 ? "not-allowed" : "pointer",
+          }}
+        >
+          Continue to Mapping
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import React, { useState } from "react";
+import { combineSheets, haveIdenticalHeaders } from "../services/fileParser";
+
+/**
+ * SheetSelector: Lets the user pick which workbook sheet(s) to map
+ * Shows each sheet with row/column counts and sample values, and can stack
+ * several sheets with identical headers into one dataset
+ */
+export default function SheetSelector({
+  sheets, // Parsed sheets: [{name, columns, rows, totalRows, totalColumns}, ...]
+  onSheetsSelected, // Callback with the final parsedData for mapping
+  onCancel, // Callback to go back to file upload
+}) {
+  // ===== STATE MANAGEMENT =====
+  // Names of sheets ticked for stacking (defaults to the first non-empty sheet)
+  const [selectedNames, setSelectedNames] = useState(() => {
+    const firstWithData = sheets.find((sheet) => sheet.totalRows > 0);
+    return firstWithData ? [firstWithData.name] : [];
+  });
+
+  // Selected sheets in workbook order
+  const selectedSheets = sheets.filter((sheet) =>
+    selectedNames.includes(sheet.name)
+  );
+  const canStack =
+    selectedSheets.length > 1 && haveIdenticalHeaders(selectedSheets);
+  const canMap = selectedSheets.length === 1 || canStack;
+  const selectedRowCount = selectedSheets.reduce(
+    (sum, sheet) => sum + sheet.totalRows,
+    0
+  );
+
+  // ===== SELECTION HANDLERS =====
+  // Tick or untick a sheet for stacking
+  const toggleSheet = (sheetName) => {
+    setSelectedNames((prev) =>
+      prev.includes(sheetName)
+        ? prev.filter((name) => name !== sheetName)
+        : [...prev, sheetName]
+    );
+  };
+
+  // Map a single sheet straight away
+  const mapSingleSheet = (sheet) => {
+    const { name, ...sheetData } = sheet;
+    onSheetsSelected({ ...sheetData, sourceSheets: [name] });
+  };
+
+  // Stack all ticked sheets into one parsedData
+  const mapSelectedSheets = () => {
+    if (selectedSheets.length === 1) {
+      mapSingleSheet(selectedSheets[0]);
+      return;
+    }
+    try {
+      onSheetsSelected(combineSheets(selectedSheets));
+    } catch (error) {
+      alert(error.message); // Headers differ - shouldn't happen with canStack
+    }
+  };
+
+  // Short preview of a sheet's first columns and values
+  const describeSamples = (sheet) =>
+    sheet.columns
+      .slice(0, 4)
+      .map(
+        (column) =>
+          `${column.name}: ${column.sampleValues
+            .filter((v) => v !== null && v !== undefined && v !== "")
+            .slice(0, 2)
+            .join(", ")}`
+      )
+      .join(" • ");
+
+  return (
+    <div style={{ maxWidth: "1200px", margin: "0 auto" }}>
+      {/* ===== HEADER SECTION ===== */}
+      <div style={{ marginBottom: "24px" }}>
+        <h2
+          style={{
+            margin: "0 0 4px 0",
+            fontSize: "24px",
+            fontWeight: "600",
+            color: "#374151",
+          }}
+        >
+          Select Sheet
+        </h2>
+        <p style={{ margin: 0, fontSize: "14px", color: "#6b7280" }}>
+          This workbook has {sheets.length} sheets. Map one sheet, or tick
+          several sheets with identical headers to stack them together.
+        </p>
+      </div>
+
+      {/* ===== SHEET LIST ===== */}
+      <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+        {sheets.map((sheet) => {
+          const isSelected = selectedNames.includes(sheet.name);
+          const isEmpty = sheet.totalRows === 0;
+
+          return (
+            <div
+              key={sheet.name}
+              style={{
+                // Blue border if ticked, gray if not
+                border: isSelected ? "2px solid #2563eb" : "1px solid #e5e7eb",
+                borderRadius: "8px",
+                padding: "12px",
+                backgroundColor: isSelected ? "#eff6ff" : "white",
+                opacity: isEmpty ? 0.6 : 1, // Dim sheets without data
+                display: "flex",
+                alignItems: "center",
+                gap: "12px",
+              }}
+            >
+              {/* Stacking checkbox */}
+              <input
+                type="checkbox"
+                checked={isSelected}
+                disabled={isEmpty}
+                onChange={() => toggleSheet(sheet.name)}
+              />
+
+              {/* Sheet information */}
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div
+                  style={{
+                    fontWeight: "600",
+                    fontSize: "14px",
+                    color: "#374151",
+                  }}
+                >
+                  {sheet.name}
+                </div>
+                <div style={{ fontSize: "12px", color: "#6b7280" }}>
+                  {sheet.totalRows} rows • {sheet.totalColumns} columns
+                </div>
+                <div
+                  style={{
+                    fontSize: "11px",
+                    color: "#9ca3af",
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                  }}
+                >
+                  {isEmpty ? "No data rows" : describeSamples(sheet)}
+                </div>
+              </div>
+
+              {/* Map this sheet on its own */}
+              <button
+                onClick={() => mapSingleSheet(sheet)}
+                disabled={isEmpty}
+                style={{
+                  backgroundColor: isEmpty ? "#d1d5db" : "#2563eb",
+                  color: "white",
+                  padding: "6px 12px",
+                  borderRadius: "4px",
+                  border: "none",
+                  fontSize: "12px",
+                  cursor: isEmpty ? "not-allowed" : "pointer",
+                  fontWeight: "500",
+                }}
+              >
+                Map this sheet
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* ===== STACKING HINT ===== */}
+      {selectedSheets.length > 1 && !canStack && (
+        <div
+          style={{
+            marginTop: "16px",
+            padding: "12px",
+            backgroundColor: "#fef3c7", // Light yellow
+            border: "1px solid #fbbf24",
+            borderRadius: "4px",
+            fontSize: "14px",
+            color: "#92400e",
+          }}
+        >
+          ⚠️ The selected sheets have different headers and can't be stacked.
+        </div>
+      )}
+
+      {/* ===== BOTTOM ACTION AREA ===== */}
+      <div
+        style={{
+          marginTop: "32px",
+          paddingTop: "24px",
+          borderTop: "1px solid #e5e7eb", // Separator line
+          display: "flex",
+          justifyContent: "center",
+          gap: "12px",
+        }}
+      >
+        <button
+          onClick={onCancel}
+          style={{
+            backgroundColor: "#6b7280", // Gray
+            color: "white",
+            padding: "12px 24px",
+            borderRadius: "6px",
+            border: "none",
+            fontSize: "14px",
+            cursor: "pointer",
+            fontWeight: "500",
+          }}
+        >
+          Back
+        </button>
+
+        {/* Enabled for one sheet, or several sheets with identical headers */}
+        <button
+          onClick={mapSelectedSheets}
+          disabled={!canMap}
+          style={{
+            backgroundColor: canMap ? "#059669" : "#d1d5db", // Green if enabled, gray if disabled
+            color: canMap ? "white" : "#9ca3af",
+            padding: "12px 24px",
+            borderRadius: "6px",
+            border: "none",
+            fontSize: "14px",
+            fontWeight: "500",
+            cursor: canMap ? "pointer" : "not-allowed",
+          }}
+        >
+          {selectedSheets.length > 1
+            ? `Stack ${selectedSheets.length} sheets (${selectedRowCount} rows)`
+            : `Map selected sheet (${selectedRowCount} rows)`}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,45 @@
 // ===== 5. SIMPLE MAIN COMPONENT WITH ENHANCED UI =====
 // SmartWritebackTable.jsx - Main orchestrator component with inline comments
-import React, { useState, useEffect } from "react";
-import { parseCSVFile } from "../services/fileParser";
-import { getQlikFields } from "../services/modelAnalyzer";
-import { generateSmartMappings } from "../services/mappingEngine";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { parseFile, applyIssueResolutions } from "../services/fileParser";
+import {
+  getQlikFields,
+  getDemoQlikFields,
+  getFieldsForTable,
+  getAllFieldValues,
+  fieldKey,
+} from "../services/modelAnalyzer";
+import {
+  generateSmartMappings,
+  DEFAULT_AUTO_MAP_THRESHOLD,
+} from "../services/mappingEngine";
+import { getDomainDictionary } from "../services/domainDictionaries";
+import { applyColumnExpressions } from "../services/columnExpressions";
+import {
+  applyTemplate,
+  createTemplate,
+  findMatchingTemplate,
+  getTemplateExpressions,
+  parseTemplatesJson,
+  saveTemplates,
+  upsertTemplate,
+} from "../services/mappingTemplates";
+import {
+  getReconcilableColumns,
+  MAX_RECONCILE_VALUES,
+} from "../services/valueReconciler";
+import {
+  loadMappingMemory,
+  recordConfirmedMappings,
+  clearMappingMemory,
+  countLearnedColumns,
+} from "../services/mappingMemory";
 import SimpleColumnMapper from "./ColumnMapper";
 import FileUpload from "./FileUpload";
 import MappedTable from "./MappedTable";
+import SheetSelector from "./SheetSelector";
+import TableSelector from "./TableSelector";
+import ValueReconciler from "./ValueReconciler";
 
 export default function SmartWritebackTable({
   app,
@@ -16,14 +49,20 @@ export default function SmartWritebackTable({
 }) {
   // ===== STATE MANAGEMENT =====
   // Tracks which step user is currently on in the 3-step workflow
-  const [step, setStep] = useState("upload"); // 'upload' | 'mapping' | 'complete'
+  const [step, setStep] = useState("upload"); // 'upload' | 'sheets' | 'table' | 'mapping' | 'reconcile' | 'complete'
 
   // Stores the uploaded file object for reference
   const [file, setFile] = useState(null);
 
-  // Contains parsed CSV data: {columns: [], rows: [], totalRows: number, totalColumns: number}
+  // Contains parsed file data: {columns: [], rows: [], totalRows: number, totalColumns: number}
   const [parsedData, setParsedData] = useState(null);
 
+  // Parsed CSV data with malformed rows the user still has to review
+  const [pendingParse, setPendingParse] = useState(null);
+
+  // Every sheet of an uploaded workbook, shown in the sheet picker
+  const [workbookSheets, setWorkbookSheets] = useState([]);
+
   // Qlik field structure: {all: [], dimensions: [], measures: []}
   const [qlikFields, setQlikFields] = useState({
     all: [],
@@ -31,93 +70,160 @@ export default function SmartWritebackTable({
     measures: [],
   });
 
+  // Destination Qlik table picked before mapping (null = all tables)
+  const [targetTable, setTargetTable] = useState(null);
+
+  // Combine/split expressions adding virtual columns to the parsed data
+  const [columnExpressions, setColumnExpressions] = useState([]);
+
   // Column mappings: {fileColumnName: {qlikField, confidence, matchType, reason}}
   const [mappings, setMappings] = useState({});
 
+  // Existing Qlik values per mapped column for reconciliation: {fileColumnName: [...]}
+  // (null while they are being fetched)
+  const [reconcileFieldValues, setReconcileFieldValues] = useState(null);
+
+  // Columns whose field values were only partly read: {fileColumnName: {read, total}}
+  // (total is null when only sample values are known)
+  const [reconcileIncomplete, setReconcileIncomplete] = useState({});
+
+  // Saved template matching the current file: {template, exact, applied, missingFields}
+  const [templateMatch, setTemplateMatch] = useState(null);
+
+  // Threshold of an applied template (null = the property panel's threshold)
+  const [templateThreshold, setTemplateThreshold] = useState(null);
+
+  // Bumped when a template replaces the mappings, so the mapper starts over
+  const [mapperKey, setMapperKey] = useState(0);
+
+  // Confirmed column → field pairs from earlier uploads into this app
+  // (browser storage)
+  const appId = app?.id;
+  const [mappingMemory, setMappingMemory] = useState(() =>
+    loadMappingMemory(appId)
+  );
+
   // Loading state for UI feedback during file processing
   const [isLoading, setIsLoading] = useState(false);
 
+  // Parse progress for large files: {rowsParsed, bytesParsed, totalBytes, percent}
+  const [parseProgress, setParseProgress] = useState(null);
+
+  // Lets the user cancel a parse that is still running
+  const parseAbortRef = useRef(null);
+
   // ===== QLIK FIELDS INITIALIZATION =====
-  // Load available Qlik fields when component mounts or app changes
+  // Field loading state: 'loading' | 'ready' | 'error' (fieldsError has the message)
+  const [fieldsStatus, setFieldsStatus] = useState("loading");
+  const [fieldsError, setFieldsError] = useState(null);
+
+  // Demo mode maps against a field catalogue instead of the app's data model
+  const isDemoMode = layout?.demoMode?.enabled === true;
+  const demoCatalog = layout?.demoMode?.fieldCatalog || "";
+
+  // Load available Qlik fields (or the demo catalogue); also used by Retry
+  const loadQlikFields = async () => {
+    setFieldsStatus("loading");
+    setFieldsError(null);
+    try {
+      let fields;
+      if (isDemoMode) {
+        console.log("🎭 Demo mode: loading field catalogue...");
+        fields = getDemoQlikFields(demoCatalog);
+      } else {
+        console.log("🔌 Loading Qlik fields...");
+        fields = await getQlikFields(app);
+      }
+      setQlikFields(fields); // Store {all, dimensions, measures, ...} structure
+      setFieldsStatus("ready");
+      console.log("Qlik fields loaded:", fields.all.length);
+    } catch (error) {
+      // Surface the failure - never map against fields the app doesn't have
+      console.error("Failed to load Qlik fields:", error);
+      setQlikFields({ all: [], dimensions: [], measures: [] });
+      setFieldsError(error.message);
+      setFieldsStatus("error");
+    }
+  };
+
+  // Reload when the app or the demo settings change
   useEffect(() => {
-    if (app) {
-      console.log("🔌 Loading Qlik fields...");
-      // Try to get real Qlik fields from the app
-      getQlikFields(app)
-        .then((fields) => {
-          setQlikFields(fields); // Store {all, dimensions, measures} structure
-          console.log("Qlik fields loaded:", fields.all.length);
-        })
-        .catch((error) => {
-          console.error("Failed to load Qlik fields:", error);
-          // Fallback to mock swimming competition fields for demo
-          setQlikFields({
-            all: [
-              { name: "name", type: "dimension" },
-              { name: "competition", type: "dimension" },
-              { name: "distance", type: "dimension" },
-              { name: "dq", type: "dimension" }, // disqualification
-              { name: "event", type: "dimension" },
-              { name: "heat", type: "dimension" },
-              { name: "lane", type: "dimension" },
-              { name: "lap_time", type: "dimension" },
-              { name: "place", type: "dimension" },
-              { name: "reaction_time", type: "dimension" },
-              { name: "team", type: "dimension" },
-              { name: "time", type: "dimension" },
-            ],
-            dimensions: [
-              { name: "name", type: "dimension" },
-              { name: "competition", type: "dimension" },
-              { name: "distance", type: "dimension" },
-              { name: "dq", type: "dimension" },
-              { name: "event", type: "dimension" },
-              { name: "heat", type: "dimension" },
-              { name: "lane", type: "dimension" },
-              { name: "lap_time", type: "dimension" },
-              { name: "place", type: "dimension" },
-              { name: "reaction_time", type: "dimension" },
-              { name: "team", type: "dimension" },
-              { name: "time", type: "dimension" },
-            ],
-            measures: [], // No measures in this mock data
-          });
-        });
-    } else {
-      // No Qlik app provided - use basic mock fields
-      console.warn("No Qlik app provided, using mock fields");
-      setQlikFields({
-        all: [
-          { name: "name", type: "dimension" },
-          { name: "athlete", type: "dimension" },
-          { name: "team", type: "dimension" },
-          { name: "event", type: "dimension" },
-          { name: "time", type: "measure" },
-          { name: "place", type: "measure" },
-        ],
-        dimensions: [
-          { name: "name", type: "dimension" },
-          { name: "athlete", type: "dimension" },
-          { name: "team", type: "dimension" },
-          { name: "event", type: "dimension" },
-        ],
-        measures: [
-          { name: "time", type: "measure" },
-          { name: "place", type: "measure" },
-        ],
-      });
+    loadQlikFields();
+  }, [app, isDemoMode, demoCatalog]); // Re-run when app or demo settings change
+
+  // ===== MAPPING SETTINGS =====
+  // Domain vocabulary chosen in the property panel (smartMapping.domain),
+  // switched off entirely by smartMapping.enableSwimmingOptimization
+  // Memoised so the mapper's candidate scores are only recomputed on change
+  const domain = layout?.smartMapping?.domain;
+  const customDictionary = layout?.smartMapping?.customDictionary;
+  const useDomainKnowledge =
+    layout?.smartMapping?.enableSwimmingOptimization !== false;
+  const autoMapThreshold =
+    templateThreshold ??
+    layout?.smartMapping?.autoMapThreshold ??
+    DEFAULT_AUTO_MAP_THRESHOLD;
+  const { mappingOptions, dictionaryError } = useMemo(() => {
+    try {
+      return {
+        mappingOptions: {
+          dictionary: getDomainDictionary(
+            useDomainKnowledge ? domain : "none",
+            customDictionary
+          ),
+          autoMapThreshold,
+          memory: mappingMemory,
+        },
+        dictionaryError: null,
+      };
+    } catch (error) {
+      // A broken custom dictionary turns domain matching off (and says so)
+      return {
+        mappingOptions: {
+          dictionary: getDomainDictionary("none"),
+          autoMapThreshold,
+          memory: mappingMemory,
+        },
+        dictionaryError: error.message,
+      };
     }
-  }, [app]); // Re-run when app object changes
+  }, [
+    domain,
+    customDictionary,
+    useDomainKnowledge,
+    autoMapThreshold,
+    mappingMemory,
+  ]);
+
+  // Custom dictionary entries that were left out because of their shape
+  const dictionaryWarnings = mappingOptions.dictionary.warnings || [];
+
+  // Mapping templates saved in the extension's properties (shared by everyone
+  // using the sheet)
+  const templates = layout?.mappingTemplates || [];
+
+  // Parsed data plus the virtual columns - what mapping and editing work on
+  const mappedData = useMemo(
+    () => parsedData && applyColumnExpressions(parsedData, columnExpressions),
+    [parsedData, columnExpressions]
+  );
 
   // ===== FILE UPLOAD HANDLER =====
   // Processes uploaded file through the complete pipeline
-  const handleFileUpload = async (uploadedFile) => {
+  // uploadOptions: { dialect } - CSV settings confirmed in FileUpload
+  const handleFileUpload = async (uploadedFile, uploadOptions = {}) => {
     try {
       setIsLoading(true); // Show loading spinner in UI
+      setParseProgress(null);
       console.log("📁 Processing file:", uploadedFile.name);
 
-      // Step 1: Parse CSV file into structured data
-      const parsed = await parseCSVFile(uploadedFile);
+      // Step 1: Parse CSV or Excel file into structured data (streamed, cancellable)
+      parseAbortRef.current = new AbortController();
+      const parsed = await parseFile(uploadedFile, {
+        ...uploadOptions,
+        onProgress: setParseProgress, // Feed progress into the upload UI
+        signal: parseAbortRef.current.signal,
+      });
       console.log(
         "File parsed:",
         parsed.totalRows,
@@ -125,45 +231,271 @@ export default function SmartWritebackTable({
         parsed.totalColumns,
         "columns"
       );
+      setFile(uploadedFile);
 
-      // Step 2: Generate smart column mappings using AI-like matching
-      const smartMappings = generateSmartMappings(
-        parsed.columns,
-        qlikFields.all
-      );
-      console.log(
-        "Smart mappings generated:",
-        Object.keys(smartMappings).length
-      );
+      // Malformed rows are reviewed in the upload step before mapping
+      if (parsed.issues && parsed.issues.length > 0) {
+        console.log("Parse problems found:", parsed.issues.length);
+        setPendingParse(parsed);
+        return;
+      }
 
-      // Step 3: Update state and move to mapping review step
-      setFile(uploadedFile);
-      setParsedData(parsed);
-      setMappings(smartMappings);
-      setStep("mapping"); // Advance workflow to mapping review
+      // Workbooks with several sheets go through the sheet picker first
+      if (parsed.sheets && parsed.sheets.length > 1) {
+        setWorkbookSheets(parsed.sheets);
+        setStep("sheets");
+        return;
+      }
+
+      startMapping(parsed);
     } catch (error) {
+      // A cancelled parse is a user choice, not a failure
+      if (error.name === "AbortError") {
+        console.log("File processing cancelled by user");
+        return;
+      }
       console.error("File processing failed:", error);
       alert("File processing failed: " + error.message); // User-friendly error
     } finally {
+      parseAbortRef.current = null;
+      setParseProgress(null);
       setIsLoading(false); // Hide loading spinner
     }
   };
 
+  // ===== PARSE CANCEL HANDLER =====
+  // Stops a parse that is still reading the file
+  const handleCancelParse = () => {
+    if (parseAbortRef.current) {
+      parseAbortRef.current.abort();
+    }
+  };
+
+  // ===== PARSE PROBLEMS HANDLER =====
+  // User decided to accept, skip or fix each malformed row
+  const handleIssuesResolved = (resolutions) => {
+    let resolved;
+    try {
+      resolved = applyIssueResolutions(pendingParse, resolutions);
+    } catch (error) {
+      // The panel checks fixes first; keep the rows on screen if one slips through
+      console.error("Could not apply row fixes:", error);
+      alert(`A fixed row could not be read: ${error.message}`);
+      return;
+    }
+    setPendingParse(null);
+    startMapping(resolved);
+  };
+
+  // ===== SHEET SELECTION HANDLER =====
+  // User picked one sheet (or stacked several) from a multi-sheet workbook
+  const handleSheetsSelected = (sheetData) => {
+    console.log("Sheets selected:", sheetData.sourceSheets.join(", "));
+    startMapping(sheetData);
+  };
+
+  // ===== TARGET TABLE =====
+  // Models with several tables pick a destination table before mapping
+  const startMapping = (parsed) => {
+    setParsedData(parsed);
+    setColumnExpressions([]); // Expressions belong to the previous file
+    setTemplateMatch(null);
+    setTemplateThreshold(null);
+    if (fieldsStatus !== "ready") {
+      alert(
+        "The Qlik fields could not be loaded, so there is nothing to map to yet. Retry loading the fields first."
+      );
+      return;
+    }
+
+    // A file with a saved template's exact header skips straight to its mappings;
+    // a close match is offered in the mapper
+    const match = findMatchingTemplate(templates, parsed.columns);
+    if (match?.exact) {
+      console.log("Header matches template:", match.template.name);
+      applyMappingTemplate(match.template, parsed, true);
+      return;
+    }
+    setTemplateMatch(match && { ...match, applied: false });
+
+    if (qlikFields.tables && qlikFields.tables.length > 1) {
+      setStep("table");
+      return;
+    }
+    runSmartMapping(parsed, qlikFields.all);
+  };
+
+  // User chose the destination table (null = match against all tables)
+  const handleTableSelected = (tableName) => {
+    console.log("Target table selected:", tableName || "all tables");
+    setTargetTable(tableName);
+    runSmartMapping(parsedData, getMappingFields(tableName));
+  };
+
+  // Fields the mapping may target for the chosen table
+  const getMappingFields = (tableName) =>
+    tableName ? getFieldsForTable(qlikFields, tableName) : qlikFields.all;
+
+  // ===== SMART MAPPING =====
+  // Generates mapping suggestions for the final parsed data and opens review
+  const runSmartMapping = (parsed, fields) => {
+    // Step 2: Generate smart column mappings using AI-like matching
+    const smartMappings = generateSmartMappings(
+      parsed.columns,
+      fields,
+      mappingOptions
+    );
+    console.log("Smart mappings generated:", Object.keys(smartMappings).length);
+
+    // Step 3: Update state and move to mapping review step
+    setParsedData(parsed);
+    setMappings(smartMappings);
+    setStep("mapping"); // Advance workflow to mapping review
+  };
+
+  // ===== MAPPING TEMPLATES =====
+  // Replace the current mappings with a template's setup
+  // Columns the template doesn't cover still get smart suggestions
+  const applyMappingTemplate = (
+    template,
+    parsed = parsedData,
+    exact = false
+  ) => {
+    const expressions = getTemplateExpressions(template, parsed.columns);
+    const fileColumns = applyColumnExpressions(parsed, expressions).columns;
+    const fields = getMappingFields(template.targetTable);
+    const { mappings: templateMappings, missingFields } = applyTemplate(
+      template,
+      fileColumns,
+      fields
+    );
+
+    const usedFields = new Set(
+      Object.values(templateMappings).map((m) => fieldKey(m.qlikField))
+    );
+    const suggestions = generateSmartMappings(
+      fileColumns.filter((column) => !templateMappings[column.name]),
+      fields.filter((field) => !usedFields.has(fieldKey(field))),
+      {
+        ...mappingOptions,
+        autoMapThreshold: template.autoMapThreshold ?? autoMapThreshold,
+      }
+    );
+
+    setParsedData(parsed);
+    setTargetTable(template.targetTable || null);
+    setColumnExpressions(expressions);
+    setTemplateThreshold(template.autoMapThreshold ?? null);
+    setMappings({ ...suggestions, ...templateMappings });
+    setTemplateMatch({ template, exact, applied: true, missingFields });
+    setMapperKey((key) => key + 1); // Mapper re-reads the new suggestions
+    setStep("mapping");
+  };
+
+  // Save the mapper's current mappings under a name (replaces same-named templates)
+  const handleSaveTemplate = async (name, currentMappings) => {
+    const template = createTemplate(name, {
+      fileColumns: mappedData.columns,
+      mappings: currentMappings,
+      expressions: columnExpressions,
+      targetTable,
+      autoMapThreshold,
+    });
+    await saveTemplates(model, upsertTemplate(templates, template));
+  };
+
+  const handleDeleteTemplate = async (name) => {
+    await saveTemplates(
+      model,
+      templates.filter((template) => template.name !== name)
+    );
+  };
+
+  // Imported templates replace saved ones with the same name
+  const handleImportTemplates = async (text) => {
+    const imported = parseTemplatesJson(text);
+    await saveTemplates(
+      model,
+      imported.reduce(
+        (list, template) => upsertTemplate(list, template),
+        templates
+      )
+    );
+    return imported.length;
+  };
+
   // ===== MAPPING CONFIRMATION HANDLER =====
   // User confirms their mapping choices and moves to table generation
   const handleMappingConfirm = (finalMappings) => {
     console.log("Mappings confirmed:", Object.keys(finalMappings).length);
     setMappings(finalMappings); // Store user's final mapping decisions
+    setMappingMemory(recordConfirmedMappings(finalMappings, appId)); // Learn for next time
+
+    // Text dimensions get their values reconciled before table generation
+    const columns = getReconcilableColumns(finalMappings);
+    if (columns.length === 0) {
+      setStep("complete"); // Move to table generation step
+      return;
+    }
+    setStep("reconcile");
+    loadReconcileFieldValues(finalMappings, columns);
+  };
+
+  // ===== VALUE RECONCILIATION =====
+  // Existing values of each mapped dimension (demo mode only has the samples)
+  const loadReconcileFieldValues = async (finalMappings, columns) => {
+    setReconcileFieldValues(null);
+    const fieldNames = columns.map((c) => finalMappings[c].qlikField.name);
+    const fetched = isDemoMode
+      ? {}
+      : await getAllFieldValues(app, fieldNames, MAX_RECONCILE_VALUES);
+
+    const values = {};
+    const incomplete = {};
+    columns.forEach((column) => {
+      const field = finalMappings[column].qlikField;
+      const read = fetched[field.name];
+      if (read) {
+        values[column] = read.values;
+        if (read.truncated) {
+          incomplete[column] = { read: read.values.length, total: read.total };
+        }
+      } else {
+        // Demo mode or the values couldn't be read - only the samples are known
+        values[column] = field.sampleValues || [];
+        incomplete[column] = { read: values[column].length, total: null };
+      }
+    });
+    setReconcileIncomplete(incomplete);
+    setReconcileFieldValues(values);
+  };
+
+  // Value lookups were added to the mappings' transforms
+  const handleReconcileConfirm = (reconciledMappings) => {
+    setMappings(reconciledMappings);
     setStep("complete"); // Move to table generation step
   };
 
+  // Forget every learned pair (suggestions are recomputed without them)
+  const handleForgetLearned = () => {
+    setMappingMemory(clearMappingMemory(appId));
+  };
+
   // ===== RESET HANDLER =====
   // Clears all state and returns to upload step
   const handleReset = () => {
     setStep("upload");
     setFile(null);
     setParsedData(null);
+    setPendingParse(null);
+    setWorkbookSheets([]);
+    setTargetTable(null);
+    setColumnExpressions([]);
     setMappings({});
+    setReconcileFieldValues(null);
+    setReconcileIncomplete({});
+    setTemplateMatch(null);
+    setTemplateThreshold(null);
   };
 
   // ===== PROGRESS BREADCRUMB COMPONENT =====
@@ -214,14 +546,26 @@ export default function SmartWritebackTable({
         </span>
         <span style={{ color: "#9ca3af" }}>→</span>
 
-        {/* Step 1 - Upload (highlighted when active) */}
-        <span style={{ color: step === "upload" ? "#2563eb" : "#9ca3af" }}>
+        {/* Step 1 - Upload (highlighted when active, including sheet picking) */}
+        <span
+          style={{
+            color:
+              step === "upload" || step === "sheets" ? "#2563eb" : "#9ca3af",
+          }}
+        >
           1. Upload
         </span>
         <span style={{ color: "#9ca3af" }}>→</span>
 
-        {/* Step 2 - Map Columns (highlighted when active) */}
-        <span style={{ color: step === "mapping" ? "#2563eb" : "#9ca3af" }}>
+        {/* Step 2 - Map Columns (highlighted when active, including table picking and value reconciliation) */}
+        <span
+          style={{
+            color:
+              step === "table" || step === "mapping" || step === "reconcile"
+                ? "#2563eb"
+                : "#9ca3af",
+          }}
+        >
           2. Map Columns
         </span>
         <span style={{ color: "#9ca3af" }}>→</span>
@@ -241,6 +585,9 @@ export default function SmartWritebackTable({
             {file && (
               <span style={{ color: "#6b7280" }}>File: {file.name}</span>
             )}
+            {targetTable && (
+              <span style={{ color: "#6b7280" }}>Table: {targetTable}</span>
+            )}
           </>
         )}
 
@@ -280,22 +627,115 @@ export default function SmartWritebackTable({
       <ProgressBreadcrumb />
 
       <div style={{ padding: "24px" }}>
+        {/* Custom dictionary problems are shown, not silently ignored */}
+        {dictionaryError && (
+          <div
+            style={{
+              marginBottom: "16px",
+              padding: "12px",
+              backgroundColor: "#fef3c7", // Light yellow
+              border: "1px solid #fbbf24",
+              borderRadius: "4px",
+              fontSize: "14px",
+              color: "#92400e",
+            }}
+          >
+            ⚠️ {dictionaryError}. Domain matching is off until the custom
+            dictionary is fixed in the property panel.
+          </div>
+        )}
+        {dictionaryWarnings.length > 0 && (
+          <div
+            style={{
+              marginBottom: "16px",
+              padding: "12px",
+              backgroundColor: "#fef3c7", // Light yellow
+              border: "1px solid #fbbf24",
+              borderRadius: "4px",
+              fontSize: "14px",
+              color: "#92400e",
+            }}
+          >
+            ⚠️ Some custom dictionary entries were ignored:{" "}
+            {dictionaryWarnings.join("; ")}. Fix them in the property panel.
+          </div>
+        )}
+
         {/* STEP 1: File Upload - Show drag-drop interface */}
         {step === "upload" && (
           <FileUpload
             onFileUpload={handleFileUpload} // Callback when file is selected
             isLoading={isLoading} // Loading state for UI
+            progress={parseProgress} // Rows/percent parsed so far
+            onCancel={handleCancelParse} // Cancel a parse in flight
+            pendingParse={pendingParse} // Malformed rows awaiting review
+            onIssuesResolved={handleIssuesResolved} // Continue with the user's decisions
+            onIssuesCancelled={handleReset} // Discard the file
             qlikFields={qlikFields} // Show available fields to user
+            fieldsStatus={fieldsStatus} // 'loading' | 'ready' | 'error'
+            fieldsError={fieldsError} // Why the fields failed to load
+            onRetryFields={loadQlikFields} // Try loading the fields again
+            isDemoMode={isDemoMode} // Fields come from the demo catalogue
+          />
+        )}
+
+        {/* STEP 1b: Sheet Selection - Only for workbooks with several sheets */}
+        {step === "sheets" && (
+          <SheetSelector
+            sheets={workbookSheets} // Every parsed sheet in the workbook
+            onSheetsSelected={handleSheetsSelected} // Callback with chosen sheet data
+            onCancel={handleReset} // Back to file upload
+          />
+        )}
+
+        {/* STEP 2a: Target Table - Only for data models with several tables */}
+        {step === "table" && parsedData && (
+          <TableSelector
+            tables={qlikFields.tables} // Tables with their fields and keys
+            fileColumns={parsedData.columns} // Used to suggest the best table
+            onTableSelected={handleTableSelected} // Callback with the chosen table
+            onCancel={handleReset} // Back to file upload
           />
         )}
 
         {/* STEP 2: Column Mapping - Show mapping interface (only when data exists) */}
         {step === "mapping" && parsedData && (
           <SimpleColumnMapper
-            fileColumns={parsedData.columns} // Columns from uploaded file
-            qlikFields={qlikFields.all} // Available Qlik fields for mapping
+            key={mapperKey} // New instance when a template is applied
+            fileColumns={mappedData.columns} // File columns plus virtual columns
+            qlikFields={getMappingFields(targetTable)} // Fields of the target table
             suggestions={mappings} // Smart mappings generated automatically
+            mappingOptions={mappingOptions} // Domain dictionary for re-running auto-map
             onMappingConfirm={handleMappingConfirm} // Callback when user confirms mappings
+            learnedCount={countLearnedColumns(mappingMemory)} // Columns with learned pairs
+            onForgetLearned={handleForgetLearned} // Clears the mapping memory
+            sampleRows={parsedData.rows} // Rows for the combine/split preview
+            expressions={columnExpressions} // Combine/split expressions
+            onExpressionsChange={setColumnExpressions} // Adds/removes virtual columns
+            templates={templates} // Saved mapping templates
+            templateMatch={templateMatch} // Template matching this file
+            onApplyTemplate={applyMappingTemplate} // Replaces the mappings
+            onSaveTemplate={handleSaveTemplate} // Saves into the extension properties
+            onDeleteTemplate={handleDeleteTemplate}
+            onImportTemplates={handleImportTemplates} // JSON from another analyst
+          />
+        )}
+
+        {/* STEP 2b: Value Reconciliation - File values vs existing dimension values */}
+        {step === "reconcile" && reconcileFieldValues === null && (
+          <div style={{ fontSize: "14px", color: "#6b7280" }}>
+            Reading existing field values…
+          </div>
+        )}
+        {step === "reconcile" && reconcileFieldValues && (
+          <ValueReconciler
+            mappings={mappings} // Confirmed column mappings
+            rows={mappedData.rows} // File rows plus virtual columns
+            fieldValues={reconcileFieldValues} // Existing values per mapped column
+            incompleteColumns={reconcileIncomplete} // Columns compared with only part of the field's values
+            onConfirm={handleReconcileConfirm} // Mappings with value lookups
+            onSkip={() => setStep("complete")} // Keep every file value
+            onBack={() => setStep("mapping")} // Back to column mapping
           />
         )}
 
@@ -303,7 +743,7 @@ export default function SmartWritebackTable({
         {step === "complete" && (
           <MappedTable
             columnMappings={mappings} // User's confirmed column mappings
-            parsedData={parsedData} // Original file data
+            parsedData={mappedData} // File data plus virtual columns
             layout={layout} // Qlik layout object
             app={app} // Qlik app object
             model={model} // Qlik model object
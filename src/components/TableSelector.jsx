@@ -0,0 +1,203 @@
+import React from "react";
+
+/**
+ * TableSelector: Lets the user pick the destination Qlik table before mapping
+ * Shows each data model table with its fields (key fields marked) and
+ * highlights the table whose field names best match the file's columns
+ */
+export default function TableSelector({
+  tables, // Data model tables: [{name, rowCount, fieldNames, keyFields, comment}, ...]
+  fileColumns, // Columns from the uploaded file: [{name, ...}, ...]
+  onTableSelected, // Callback with the chosen table name (null = all tables)
+  onCancel, // Callback to go back to file upload
+}) {
+  // ===== TABLE MATCHING =====
+  // How many file columns share a name with a field in each table
+  const columnNames = new Set(fileColumns.map((c) => c.name.toLowerCase()));
+  const matchCounts = tables.reduce((acc, table) => {
+    acc[table.name] = table.fieldNames.filter((name) =>
+      columnNames.has(name.toLowerCase())
+    ).length;
+    return acc;
+  }, {});
+
+  // Best table first, then the rest in data model order
+  const sortedTables = [...tables].sort(
+    (a, b) => matchCounts[b.name] - matchCounts[a.name]
+  );
+  const bestMatch =
+    sortedTables.length > 0 && matchCounts[sortedTables[0].name] > 0
+      ? sortedTables[0].name
+      : null;
+
+  return (
+    <div style={{ maxWidth: "1200px", margin: "0 auto" }}>
+      {/* ===== HEADER SECTION ===== */}
+      <div style={{ marginBottom: "24px" }}>
+        <h2
+          style={{
+            margin: "0 0 4px 0",
+            fontSize: "24px",
+            fontWeight: "600",
+            color: "#374151",
+          }}
+        >
+          Select Target Table
+        </h2>
+        <p style={{ margin: 0, fontSize: "14px", color: "#6b7280" }}>
+          Choose the Qlik table your {fileColumns.length} columns belong to.
+          Mapping suggestions will only use fields from that table. 🔑 marks key
+          fields that link tables together.
+        </p>
+      </div>
+
+      {/* ===== TABLE LIST ===== */}
+      <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+        {sortedTables.map((table) => {
+          const isBest = table.name === bestMatch;
+
+          return (
+            <div
+              key={table.name}
+              style={{
+                // Blue border for the best matching table
+                border: isBest ? "2px solid #2563eb" : "1px solid #e5e7eb",
+                borderRadius: "8px",
+                padding: "12px",
+                backgroundColor: isBest ? "#eff6ff" : "white",
+                display: "flex",
+                alignItems: "center",
+                gap: "12px",
+              }}
+            >
+              {/* Table information */}
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div
+                  style={{
+                    fontWeight: "600",
+                    fontSize: "14px",
+                    color: "#374151",
+                  }}
+                >
+                  {table.name}
+                  {isBest && (
+                    <span
+                      style={{
+                        marginLeft: "8px",
+                        fontSize: "11px",
+                        color: "#2563eb",
+                        fontWeight: "500",
+                      }}
+                    >
+                      Best match
+                    </span>
+                  )}
+                </div>
+                <div style={{ fontSize: "12px", color: "#6b7280" }}>
+                  {table.rowCount !== null &&
+                    `${table.rowCount.toLocaleString()} rows • `}
+                  {table.fieldNames.length} fields • {matchCounts[table.name]}{" "}
+                  matching column names
+                  {table.comment && ` • ${table.comment}`}
+                </div>
+
+                {/* Field chips with key badges */}
+                <div
+                  style={{
+                    display: "flex",
+                    flexWrap: "wrap",
+                    gap: "4px",
+                    marginTop: "6px",
+                  }}
+                >
+                  {table.fieldNames.map((fieldName) => {
+                    const isKey = table.keyFields.includes(fieldName);
+                    return (
+                      <span
+                        key={fieldName}
+                        style={{
+                          fontSize: "11px",
+                          padding: "2px 6px",
+                          borderRadius: "4px",
+                          backgroundColor: isKey ? "#fef3c7" : "#f3f4f6", // Yellow for keys
+                          color: isKey ? "#92400e" : "#4b5563",
+                          fontWeight: isKey ? "600" : "normal",
+                        }}
+                      >
+                        {isKey && "🔑 "}
+                        {fieldName}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Map into this table */}
+              <button
+                onClick={() => onTableSelected(table.name)}
+                style={{
+                  backgroundColor: "#2563eb",
+                  color: "white",
+                  padding: "6px 12px",
+                  borderRadius: "4px",
+                  border: "none",
+                  fontSize: "12px",
+                  cursor: "pointer",
+                  fontWeight: "500",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                Use this table
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* ===== BOTTOM ACTION AREA ===== */}
+      <div
+        style={{
+          marginTop: "32px",
+          paddingTop: "24px",
+          borderTop: "1px solid #e5e7eb", // Separator line
+          display: "flex",
+          justifyContent: "center",
+          gap: "12px",
+        }}
+      >
+        <button
+          onClick={onCancel}
+          style={{
+            backgroundColor: "#6b7280", // Gray
+            color: "white",
+            padding: "12px 24px",
+            borderRadius: "6px",
+            border: "none",
+            fontSize: "14px",
+            cursor: "pointer",
+            fontWeight: "500",
+          }}
+        >
+          Back
+        </button>
+
+        {/* Skip the restriction and match against every field */}
+        <button
+          onClick={() => onTableSelected(null)}
+          style={{
+            backgroundColor: "white",
+            color: "#374151",
+            padding: "12px 24px",
+            borderRadius: "6px",
+            border: "1px solid #d1d5db",
+            fontSize: "14px",
+            cursor: "pointer",
+            fontWeight: "500",
+          }}
+        >
+          Use all tables
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import React from "react";
+import {
+  TRANSFORM_TYPES,
+  createTransform,
+  previewPipeline,
+} from "../services/valueTransforms";
+
+/**
+ * TransformEditor: Edits the value transform pipeline of one mapping
+ * Steps run top to bottom; sample values are shown before and after
+ */
+export default function TransformEditor({
+  steps, // Current transform steps: [{type, ...settings}, ...]
+  sampleValues, // Values of the file column for the preview
+  onChange, // Callback with the new list of steps
+}) {
+  const preview = previewPipeline(steps, sampleValues);
+
+  // ===== STEP HANDLERS =====
+  const addStep = (type) => {
+    if (type) onChange([...steps, createTransform(type)]);
+  };
+  const updateStep = (index, changes) => {
+    onChange(
+      steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    );
+  };
+  const removeStep = (index) => {
+    onChange(steps.filter((_, i) => i !== index));
+  };
+
+  // Shared styling for the step controls
+  const controlStyle = {
+    padding: "4px 6px",
+    border: "1px solid #d1d5db",
+    borderRadius: "4px",
+    fontSize: "12px",
+    backgroundColor: "white",
+  };
+  const formatValue = (value) =>
+    value === null || value === undefined ? "∅" : String(value);
+
+  // ===== STEP SETTINGS =====
+  // Controls for the settings of each step type
+  const renderSettings = (step, index) => {
+    switch (step.type) {
+      case "case":
+        return (
+          <select
+            value={step.mode}
+            onChange={(e) => updateStep(index, { mode: e.target.value })}
+            style={controlStyle}
+          >
+            <option value="upper">UPPER</option>
+            <option value="lower">lower</option>
+            <option value="title">Title Case</option>
+          </select>
+        );
+      case "replace":
+        return (
+          <>
+            <input
+              value={step.find}
+              onChange={(e) => updateStep(index, { find: e.target.value })}
+              placeholder="Find"
+              style={controlStyle}
+            />
+            <input
+              value={step.replace}
+              onChange={(e) => updateStep(index, { replace: e.target.value })}
+              placeholder="Replace with"
+              style={controlStyle}
+            />
+            <label style={{ fontSize: "12px" }}>
+              <input
+                type="checkbox"
+                checked={step.regex}
+                onChange={(e) => updateStep(index, { regex: e.target.checked })}
+              />{" "}
+              Regex
+            </label>
+          </>
+        );
+      case "extract":
+        return (
+          <>
+            <input
+              value={step.pattern}
+              onChange={(e) => updateStep(index, { pattern: e.target.value })}
+              placeholder="e.g. (\d+)m"
+              style={controlStyle}
+            />
+            <label style={{ fontSize: "12px" }}>
+              Group{" "}
+              <input
+                type="number"
+                min="0"
+                value={step.group}
+                onChange={(e) =>
+                  updateStep(index, {
+                    group: Math.max(0, parseInt(e.target.value, 10) || 0),
+                  })
+                }
+                style={{ ...controlStyle, width: "48px" }}
+              />
+            </label>
+          </>
+        );
+      case "scale":
+        return (
+          <input
+            type="number"
+            value={step.factor}
+            onChange={(e) => updateStep(index, { factor: e.target.value })}
+            style={{ ...controlStyle, width: "80px" }}
+          />
+        );
+      case "date":
+        return (
+          <>
+            <input
+              value={step.from}
+              onChange={(e) => updateStep(index, { from: e.target.value })}
+              title="Format in the file (YYYY, YY, MM, DD)"
+              style={{ ...controlStyle, width: "100px" }}
+            />
+            →
+            <input
+              value={step.to}
+              onChange={(e) => updateStep(index, { to: e.target.value })}
+              title="Format written to the table"
+              style={{ ...controlStyle, width: "100px" }}
+            />
+          </>
+        );
+      case "lookup":
+        return (
+          <>
+            {Array.isArray(step.entries) ? (
+              // Pairs from value reconciliation - edited in that step
+              <span style={{ fontSize: "12px", color: "#6b7280" }}>
+                {step.entries.length} reconciled values
+              </span>
+            ) : (
+              <textarea
+                value={step.entries}
+                onChange={(e) => updateStep(index, { entries: e.target.value })}
+                placeholder={"One per line: from=to\nUSA=United States"}
+                rows={3}
+                style={{
+                  ...controlStyle,
+                  width: "220px",
+                  fontFamily: "monospace",
+                }}
+              />
+            )}
+            <select
+              value={step.fallback}
+              onChange={(e) => updateStep(index, { fallback: e.target.value })}
+              title="What happens to values missing from the table"
+              style={controlStyle}
+            >
+              <option value="keep">Keep unmatched</option>
+              <option value="empty">Empty unmatched</option>
+            </select>
+          </>
+        );
+      default:
+        return null; // trim, toSeconds, fromSeconds have no settings
+    }
+  };
+
+  return (
+    <div style={{ marginTop: "6px" }}>
+      {/* ===== STEP LIST ===== */}
+      {steps.map((step, index) => (
+        <div
+          key={index}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "6px",
+            marginBottom: "4px",
+          }}
+        >
+          <span style={{ fontWeight: "500", color: "#374151" }}>
+            {index + 1}. {TRANSFORM_TYPES[step.type].label}
+          </span>
+          {renderSettings(step, index)}
+          <button
+            onClick={() => removeStep(index)}
+            title="Remove step"
+            style={{
+              backgroundColor: "transparent",
+              color: "#b91c1c",
+              border: "none",
+              fontSize: "12px",
+              cursor: "pointer",
+            }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {/* Add a step at the end of the pipeline */}
+      <select
+        value=""
+        onChange={(e) => addStep(e.target.value)}
+        style={controlStyle}
+      >
+        <option value="">+ Add transform…</option>
+        {Object.entries(TRANSFORM_TYPES).map(([type, info]) => (
+          <option key={type} value={type}>
+            {info.label}
+          </option>
+        ))}
+      </select>
+
+      {/* ===== BEFORE / AFTER PREVIEW ===== */}
+      {steps.length > 0 && preview.length > 0 && (
+        <div style={{ marginTop: "6px", color: "#6b7280" }}>
+          {preview.map((sample, index) => (
+            <div key={index}>
+              {formatValue(sample.before)} →{" "}
+              <strong style={{ color: "#374151" }}>
+                {formatValue(sample.after)}
+              </strong>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,375 @@
+import React, { useMemo, useState } from "react";
+import {
+  applyReconciliation,
+  getDistinctFileValues,
+  getReconcilableColumns,
+  getStoredDecisions,
+  getSuggestedDecisions,
+  reconcileValues,
+} from "../services/valueReconciler";
+
+// Select value for "type any existing field value"
+const OTHER_VALUE = "__other__";
+
+/**
+ * ValueReconciler: Matches file values to the Qlik field's existing values
+ * Runs after mapping for text dimensions, so "Great Britain" is written as the
+ * model's "GBR" instead of becoming a new dimension member
+ */
+export default function ValueReconciler({
+  mappings, // Confirmed mappings: {fileColumnName: {qlikField, transforms, ...}}
+  rows, // File rows (including virtual columns)
+  fieldValues, // Existing values per mapped column: {fileColumnName: [...]}
+  incompleteColumns = {}, // Columns with only part of the field's values: {fileColumnName: {read, total}}
+  onConfirm, // Callback with the mappings including the value lookups
+  onSkip, // Continue without changing any value
+  onBack, // Back to column mapping
+}) {
+  // Columns mapped to a text dimension whose values we could read
+  const columns = getReconcilableColumns(mappings).filter(
+    (column) => fieldValues[column]?.length > 0
+  );
+
+  // ===== MATCHING =====
+  // {fileColumn: [{value, count, status, candidates}, ...]}
+  const results = useMemo(
+    () =>
+      columns.reduce((acc, column) => {
+        acc[column] = reconcileValues(
+          getDistinctFileValues(rows, column, mappings[column].transforms),
+          fieldValues[column],
+          !incompleteColumns[column] // Unmatched values may still exist otherwise
+        );
+        return acc;
+      }, {}),
+    [mappings, rows, fieldValues, incompleteColumns]
+  );
+
+  // ===== STATE MANAGEMENT =====
+  // {fileColumn: {fileValue: fieldValue}} - suggestions first, earlier choices win
+  const [decisions, setDecisions] = useState(() =>
+    columns.reduce((acc, column) => {
+      acc[column] = {
+        ...getSuggestedDecisions(results[column]),
+        ...getStoredDecisions(mappings[column].transforms),
+      };
+      return acc;
+    }, {})
+  );
+  // Rows where the user types a value instead of picking a candidate
+  const [otherRows, setOtherRows] = useState({});
+
+  const setDecision = (column, fileValue, fieldValue) => {
+    setDecisions((prev) => {
+      const columnDecisions = { ...prev[column] };
+      if (fieldValue === "") {
+        delete columnDecisions[fileValue]; // Keep the file value as it is
+      } else {
+        columnDecisions[fileValue] = fieldValue;
+      }
+      return { ...prev, [column]: columnDecisions };
+    });
+  };
+
+  const handleSelect = (column, result, selected) => {
+    const rowKey = `${column}|${result.value}`;
+    setOtherRows((prev) => ({ ...prev, [rowKey]: selected === OTHER_VALUE }));
+    setDecision(column, result.value, selected === OTHER_VALUE ? "" : selected);
+  };
+
+  // Write every column's decisions into its transform pipeline
+  const handleConfirm = () => {
+    const updated = { ...mappings };
+    columns.forEach((column) => {
+      updated[column] = {
+        ...mappings[column],
+        transforms: applyReconciliation(
+          mappings[column].transforms,
+          decisions[column]
+        ),
+      };
+    });
+    onConfirm(updated);
+  };
+
+  // ===== SUMMARY =====
+  const rewrittenRows = columns.reduce(
+    (sum, column) =>
+      sum +
+      results[column]
+        .filter((result) => decisions[column][result.value] !== undefined)
+        .reduce((rowSum, result) => rowSum + result.count, 0),
+    0
+  );
+
+  // Shared styling for the bottom buttons
+  const buttonStyle = {
+    padding: "12px 24px",
+    borderRadius: "6px",
+    fontSize: "14px",
+    cursor: "pointer",
+    fontWeight: "500",
+  };
+  const cellStyle = {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f3f4f6",
+    textAlign: "left",
+  };
+
+  return (
+    <div style={{ maxWidth: "1200px", margin: "0 auto" }}>
+      {/* ===== HEADER SECTION ===== */}
+      <div style={{ marginBottom: "24px" }}>
+        <h2
+          style={{
+            margin: "0 0 4px 0",
+            fontSize: "24px",
+            fontWeight: "600",
+            color: "#374151",
+          }}
+        >
+          Reconcile Values
+        </h2>
+        <p style={{ margin: 0, fontSize: "14px", color: "#6b7280" }}>
+          File values the Qlik field doesn't hold yet would become new dimension
+          members. Pick an existing value to write instead, or keep the file
+          value. Choices apply to every row.
+        </p>
+      </div>
+
+      {columns.length === 0 && (
+        <div style={{ fontSize: "14px", color: "#6b7280" }}>
+          None of the mapped dimensions has values to compare with.
+        </div>
+      )}
+
+      {/* ===== ONE SECTION PER MAPPED DIMENSION ===== */}
+      {columns.map((column) => {
+        const field = mappings[column].qlikField;
+        const unmatched = results[column].filter(
+          (result) => result.status !== "matched"
+        );
+        const matchedCount = results[column].length - unmatched.length;
+        const listId = `reconcile-values-${column}`;
+        const incomplete = incompleteColumns[column];
+
+        return (
+          <div
+            key={column}
+            style={{
+              border: "1px solid #e5e7eb",
+              borderRadius: "8px",
+              padding: "12px 16px",
+              marginBottom: "16px",
+            }}
+          >
+            <div
+              style={{ fontWeight: "600", fontSize: "14px", color: "#374151" }}
+            >
+              {column} → {field.name}
+            </div>
+            <div
+              style={{
+                fontSize: "12px",
+                color: "#6b7280",
+                marginBottom: "8px",
+              }}
+            >
+              {results[column].length} distinct values • {matchedCount} already
+              in the field • {unmatched.length} not in the field
+              {incomplete && " (of the values read)"}
+            </div>
+
+            {/* Unmatched values may exist among the values that weren't read */}
+            {incomplete && (
+              <div
+                style={{
+                  fontSize: "12px",
+                  color: "#92400e",
+                  backgroundColor: "#fef3c7",
+                  padding: "6px 8px",
+                  borderRadius: "4px",
+                  marginBottom: "8px",
+                }}
+              >
+                ⚠️{" "}
+                {incomplete.total === null
+                  ? `Only ${incomplete.read} sample values of ${field.name} were compared.`
+                  : `${field.name} holds ${incomplete.total} values; only the first ${incomplete.read} were compared.`}{" "}
+                Values marked "may exist" could already be in the field.
+              </div>
+            )}
+
+            {unmatched.length === 0 ? (
+              <div style={{ fontSize: "13px", color: "#059669" }}>
+                ✓ Every value already exists in {field.name}
+              </div>
+            ) : (
+              <table
+                style={{
+                  width: "100%",
+                  borderCollapse: "collapse",
+                  fontSize: "13px",
+                }}
+              >
+                <thead>
+                  <tr style={{ color: "#6b7280", fontSize: "12px" }}>
+                    <th style={cellStyle}>File value</th>
+                    <th style={cellStyle}>Rows</th>
+                    <th style={cellStyle}>Write as</th>
+                    <th style={cellStyle}>Why</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {unmatched.map((result) => {
+                    const decision = decisions[column][result.value];
+                    const candidate = result.candidates.find(
+                      (c) => c.value === decision
+                    );
+                    const isOther =
+                      otherRows[`${column}|${result.value}`] ||
+                      (decision !== undefined && !candidate);
+
+                    let selectValue = decision ?? "";
+                    if (isOther) selectValue = OTHER_VALUE;
+
+                    return (
+                      <tr key={result.value}>
+                        <td style={{ ...cellStyle, color: "#374151" }}>
+                          {result.value}
+                        </td>
+                        <td style={{ ...cellStyle, color: "#6b7280" }}>
+                          {result.count}
+                        </td>
+                        <td style={cellStyle}>
+                          <select
+                            value={selectValue}
+                            onChange={(e) =>
+                              handleSelect(column, result, e.target.value)
+                            }
+                            style={{
+                              padding: "4px 6px",
+                              border: "1px solid #d1d5db",
+                              borderRadius: "4px",
+                              fontSize: "12px",
+                              backgroundColor: "white",
+                            }}
+                          >
+                            <option value="">
+                              {result.status === "unverified"
+                                ? "Keep as is"
+                                : "Keep (new value)"}
+                            </option>
+                            {result.candidates.map((c) => (
+                              <option key={c.value} value={c.value}>
+                                {c.value} ({Math.round(c.score * 100)}%)
+                              </option>
+                            ))}
+                            <option value={OTHER_VALUE}>
+                              Other existing value…
+                            </option>
+                          </select>
+                          {isOther && (
+                            <input
+                              list={listId}
+                              value={decision ?? ""}
+                              onChange={(e) =>
+                                setDecision(
+                                  column,
+                                  result.value,
+                                  e.target.value
+                                )
+                              }
+                              placeholder={`Value of ${field.name}`}
+                              style={{
+                                marginLeft: "6px",
+                                padding: "4px 6px",
+                                border: "1px solid #d1d5db",
+                                borderRadius: "4px",
+                                fontSize: "12px",
+                              }}
+                            />
+                          )}
+                        </td>
+                        <td
+                          style={{
+                            ...cellStyle,
+                            fontSize: "12px",
+                            color: "#6b7280",
+                          }}
+                        >
+                          {candidate?.reason}
+                          {decision === undefined &&
+                            result.status === "unverified" &&
+                            "May exist - not among the values read"}
+                          {isOther &&
+                            decision !== undefined &&
+                            !fieldValues[column].includes(decision) &&
+                            "⚠️ Not a value of the field"}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+
+            {/* Existing values offered when typing another value */}
+            <datalist id={listId}>
+              {fieldValues[column].map((value) => (
+                <option key={value} value={value} />
+              ))}
+            </datalist>
+          </div>
+        );
+      })}
+
+      {/* ===== BOTTOM ACTION AREA ===== */}
+      <div
+        style={{
+          marginTop: "32px",
+          paddingTop: "24px",
+          borderTop: "1px solid #e5e7eb", // Separator line
+          display: "flex",
+          justifyContent: "center",
+          alignItems: "center",
+          gap: "12px",
+        }}
+      >
+        <button
+          onClick={onBack}
+          style={{
+            ...buttonStyle,
+            backgroundColor: "#6b7280", // Gray
+            color: "white",
+            border: "none",
+          }}
+        >
+          Back to Mapping
+        </button>
+        <button
+          onClick={onSkip}
+          style={{
+            ...buttonStyle,
+            backgroundColor: "white",
+            color: "#374151",
+            border: "1px solid #d1d5db",
+          }}
+        >
+          Skip
+        </button>
+        <button
+          onClick={handleConfirm}
+          style={{
+            ...buttonStyle,
+            backgroundColor: "#059669", // Green
+            color: "white",
+            border: "none",
+          }}
+        >
+          Apply & Continue ({rewrittenRows} rows rewritten)
+        </button>
+      </div>
+    </div>
+  );
+}
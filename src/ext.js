@@ -1,17 +1,95 @@
+import { getDomainOptions } from './services/domainDictionaries';
+
 export default function ext(galaxy) {
   return {
     definition: {
-      type: "items",
-      component: "accordion",
+      type: 'items',
+      component: 'accordion',
       items: {
         data: {
-          uses: "data",
+          uses: 'data',
         },
         sorting: {
-          uses: "sorting",
+          uses: 'sorting',
         },
         settings: {
-          uses: "settings",
+          uses: 'settings',
+        },
+        smartMapping: {
+          type: 'items',
+          label: 'Smart mapping',
+          items: {
+            autoMapThreshold: {
+              ref: 'smartMapping.autoMapThreshold',
+              type: 'number',
+              component: 'slider',
+              label: 'Auto-accept threshold (lower suggestions need review)',
+              min: 0.3,
+              max: 1,
+              step: 0.05,
+              defaultValue: 0.8,
+            },
+            enableSwimmingOptimization: {
+              ref: 'smartMapping.enableSwimmingOptimization',
+              type: 'boolean',
+              component: 'switch',
+              label: 'Use domain knowledge',
+              options: [
+                { value: true, label: 'On' },
+                { value: false, label: 'Off' },
+              ],
+              defaultValue: true,
+            },
+            domain: {
+              ref: 'smartMapping.domain',
+              type: 'string',
+              component: 'dropdown',
+              label: 'Domain dictionary',
+              options: getDomainOptions(),
+              defaultValue: 'swimming',
+              show: (data) => data.smartMapping?.enableSwimmingOptimization !== false,
+            },
+            customDictionary: {
+              ref: 'smartMapping.customDictionary',
+              type: 'string',
+              component: 'textarea',
+              label:
+                'Custom dictionary JSON, e.g. {"extends": "track", "synonyms": {"athlete": ["name"]}, "abbreviations": {"nm": "name"}, "priorityPairs": [{"file": "pb", "qlik": "personal_best", "confidence": 0.95}]}',
+              rows: 8,
+              maxlength: 100000,
+              defaultValue: '',
+              show: (data) => data.smartMapping?.enableSwimmingOptimization !== false
+                && data.smartMapping?.domain === 'custom',
+            },
+          },
+        },
+        demoMode: {
+          type: 'items',
+          label: 'Demo mode',
+          items: {
+            enabled: {
+              ref: 'demoMode.enabled',
+              type: 'boolean',
+              component: 'switch',
+              label: 'Use demo field catalogue',
+              options: [
+                { value: true, label: 'On' },
+                { value: false, label: 'Off' },
+              ],
+              defaultValue: false,
+            },
+            fieldCatalog: {
+              ref: 'demoMode.fieldCatalog',
+              type: 'string',
+              component: 'textarea',
+              label:
+                'Field catalogue JSON, e.g. {"fields": [{"name": "team", "type": "dimension"}]} (empty = built-in swimming fields)',
+              rows: 8,
+              maxlength: 100000,
+              defaultValue: '',
+              show: (data) => data.demoMode?.enabled === true,
+            },
+          },
         },
       },
     },
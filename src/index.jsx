@@ -43,15 +43,21 @@ export default function supernova(galaxy) {
       // Qlik selections object for selection management
       const selections = useSelections();
 
-      // Renders the SmartWritebackTable every time dependencies change
+      // One React root for the lifetime of the object - recreating it would
+      // throw away the wizard's state whenever the layout changes (e.g. when
+      // a mapping template is saved into the properties)
       useEffect(() => {
-        // Unmount previous React root if it exists (prevents memory leaks)
-        if (element.__root) {
+        element.__root = ReactDOM.createRoot(element);
+
+        // Cleanup: unmount when the object is destroyed (prevents memory leaks)
+        return () => {
           element.__root.unmount();
-        }
+          element.__root = null;
+        };
+      }, [element]);
 
-        // Create and render new React root using SmartWritebackTable with all required objects
-        element.__root = ReactDOM.createRoot(element);
+      // Re-render into the same root every time dependencies change
+      useEffect(() => {
         element.__root.render(
           <SmartWritebackTable
             layout={layout}
@@ -60,14 +66,6 @@ export default function supernova(galaxy) {
             selections={selections}
           />
         );
-
-        // Cleanup: unmount on component unmount or re-render
-        return () => {
-          if (element.__root) {
-            element.__root.unmount();
-            element.__root = null;
-          }
-        };
       }, [element, layout, app, model, selections]);
     },
   };
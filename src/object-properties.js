@@ -5,14 +5,21 @@ export default {
     qInitialDataFetch: [{ qWidth: 20, qHeight: 1000 }],
   },
   showTitles: true,
-  title: "Smart Writeback Extension",
-  subtitle: "Intelligent Column Mapping",
-  footnote: "",
+  title: 'Smart Writeback Extension',
+  subtitle: 'Intelligent Column Mapping',
+  footnote: '',
   disableNavMenu: false,
   showDetails: false,
   smartMapping: {
-    autoMapThreshold: 0.8,
-    enableSwimmingOptimization: true,
+    autoMapThreshold: 0.8, // Suggestions below this land in "Needs review"
+    enableSwimmingOptimization: true, // Domain dictionary matching on/off
     preserveOriginalData: true,
+    domain: 'swimming', // Domain dictionary: swimming | track | cycling | triathlon | custom | none
+    customDictionary: '', // Dictionary JSON used when domain is "custom"
+  },
+  mappingTemplates: [], // Saved mapping templates (see services/mappingTemplates.js)
+  demoMode: {
+    enabled: false, // Map against a field catalogue instead of the app's fields
+    fieldCatalog: '', // Catalogue JSON ("" = built-in swimming catalogue)
   },
 };
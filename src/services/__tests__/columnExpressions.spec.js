@@ -0,0 +1,159 @@
+import { expect } from 'chai';
+import {
+  applyColumnExpressions,
+  describeExpression,
+  evaluateExpression,
+  previewExpression,
+  validateExpression,
+} from '../columnExpressions';
+
+const combineName = {
+  type: 'combine',
+  sources: ['First', 'Last'],
+  separator: ' ',
+  name: 'Name',
+};
+const splitEvent = {
+  type: 'split',
+  source: 'Event',
+  mode: 'regex',
+  pattern: '^(men|women)\\s+(\\d+)m\\s+(\\w+)',
+  outputs: ['Gender', 'Distance', 'Stroke'],
+};
+const splitBy = (pattern, outputs) => ({
+  type: 'split',
+  source: 'Event',
+  mode: 'delimiter',
+  pattern,
+  outputs,
+});
+
+describe('columnExpressions', () => {
+  describe('validateExpression', () => {
+    const existing = ['First', 'Last', 'Event'];
+
+    it('accepts a complete expression', () => {
+      expect(validateExpression(combineName, existing)).to.equal(null);
+      expect(validateExpression(splitEvent, existing)).to.equal(null);
+    });
+
+    it('says what is missing', () => {
+      expect(
+        validateExpression({ ...combineName, sources: ['First'] }, existing),
+      ).to.equal('Pick at least two columns to combine');
+      expect(
+        validateExpression({ ...splitEvent, source: '' }, existing),
+      ).to.equal('Pick the column to split');
+      expect(validateExpression(splitBy('', ['A']), existing)).to.equal(
+        'Enter a delimiter',
+      );
+      expect(
+        validateExpression({ ...combineName, name: ' ' }, existing),
+      ).to.equal('Name every new column');
+    });
+
+    it('reports an invalid regular expression', () => {
+      expect(
+        validateExpression({ ...splitEvent, pattern: '(' }, existing),
+      ).to.match(/^Invalid regular expression/);
+    });
+
+    it('rejects output names that clash', () => {
+      expect(validateExpression(splitBy(' ', ['A', 'A']), existing)).to.equal(
+        'New column names must be different',
+      );
+      expect(
+        validateExpression({ ...combineName, name: 'Last' }, existing),
+      ).to.equal('A column named "Last" already exists');
+    });
+  });
+
+  describe('evaluateExpression', () => {
+    it('joins the sources and skips empty cells', () => {
+      expect(
+        evaluateExpression(combineName, { First: 'Ada', Last: 'Lovelace' }),
+      ).to.deep.equal({ Name: 'Ada Lovelace' });
+      expect(
+        evaluateExpression(combineName, { First: '', Last: 'Lovelace' }),
+      ).to.deep.equal({ Name: 'Lovelace' });
+      expect(evaluateExpression(combineName, {})).to.deep.equal({
+        Name: null,
+      });
+    });
+
+    it('splits by regex capture groups', () => {
+      expect(
+        evaluateExpression(splitEvent, { Event: 'Men 100m Backstroke' }),
+      ).to.deep.equal({ Gender: 'Men', Distance: '100', Stroke: 'Backstroke' });
+      expect(evaluateExpression(splitEvent, { Event: 'Relay' })).to.deep.equal({
+        Gender: null,
+        Distance: null,
+        Stroke: null,
+      });
+    });
+
+    it('keeps extra delimited parts together in the last output', () => {
+      expect(
+        evaluateExpression(splitBy(',', ['Last', 'Rest']), {
+          Event: 'Smith, John, Jr',
+        }),
+      ).to.deep.equal({ Last: 'Smith', Rest: 'John, Jr' });
+      expect(
+        evaluateExpression(splitBy(',', ['Last', 'Rest']), { Event: 'Smith' }),
+      ).to.deep.equal({ Last: 'Smith', Rest: null });
+    });
+  });
+
+  describe('previewExpression', () => {
+    it('shows inputs and outputs for the first rows', () => {
+      const rows = [
+        { First: 'Ada', Last: 'Lovelace', Lane: 4 },
+        { First: 'Bo', Last: 'Li', Lane: 5 },
+      ];
+      expect(previewExpression(combineName, rows, 1)).to.deep.equal([
+        {
+          input: { First: 'Ada', Last: 'Lovelace' },
+          output: { Name: 'Ada Lovelace' },
+        },
+      ]);
+      expect(describeExpression(combineName)).to.equal('First + Last');
+    });
+  });
+
+  describe('applyColumnExpressions', () => {
+    const parsedData = {
+      columns: [{ name: 'Event' }],
+      rows: [{ Event: 'women 200m free' }, { Event: 'men 50m fly' }],
+      totalRows: 2,
+      totalColumns: 1,
+    };
+
+    it('adds the outputs as virtual columns', () => {
+      const result = applyColumnExpressions(parsedData, [splitEvent]);
+      expect(result.columns.map((c) => c.name)).to.deep.equal([
+        'Event',
+        'Gender',
+        'Distance',
+        'Stroke',
+      ]);
+      expect(result.columns[2]).to.include({
+        virtual: true,
+        type: 'integer',
+        expression: `Event matched by /${splitEvent.pattern}/`,
+      });
+      expect(result.rows[1]).to.deep.equal({
+        Event: 'men 50m fly',
+        Gender: 'men',
+        Distance: '50',
+        Stroke: 'fly',
+      });
+      expect(result.totalColumns).to.equal(4);
+      // The file rows themselves are left alone
+      expect(parsedData.rows[1]).to.deep.equal({ Event: 'men 50m fly' });
+    });
+
+    it('returns the data unchanged without expressions', () => {
+      expect(applyColumnExpressions(parsedData, [])).to.equal(parsedData);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+import { inferColumnType, profileColumn } from '../columnProfiler';
+
+describe('columnProfiler', () => {
+  describe('inferColumnType', () => {
+    it('keeps F/M gender columns categorical', () => {
+      const values = Array.from({ length: 20 }, (_, i) => (i % 3 ? 'F' : 'M'));
+      expect(inferColumnType(values).type).to.equal('categorical');
+    });
+
+    it('treats a column of Y and N as boolean', () => {
+      expect(inferColumnType(['Y', 'N', 'y', 'N']).type).to.equal('boolean');
+    });
+
+    it('treats a column of T and F as boolean', () => {
+      expect(inferColumnType(['T', 'F', 'F', 'T']).type).to.equal('boolean');
+    });
+
+    it('does not treat a single repeated letter as boolean', () => {
+      expect(inferColumnType(['F', 'F', 'F']).type).not.to.equal('boolean');
+    });
+
+    it('still accepts boolean words', () => {
+      expect(inferColumnType(['yes', 'no', 'Yes']).type).to.equal('boolean');
+    });
+
+    it('counts sub-minute seconds as swim times in a times column', () => {
+      const values = ['1:02.33', '58.91', '1:05.10', '59.02', '2:10.44'];
+      expect(inferColumnType(values)).to.include({
+        type: 'swim_time',
+        confidence: 1,
+      });
+    });
+
+    it('does not let one swim time absorb a numeric column', () => {
+      const values = [
+        ...Array.from({ length: 30 }, (_, i) => String(i + 1)),
+        ...Array.from({ length: 15 }, (_, i) => `${i + 100}.5`),
+        '1:02.33',
+      ];
+      const result = inferColumnType(values);
+      expect(result.type).to.equal('decimal');
+      expect(result.confidence).to.be.below(1);
+    });
+
+    it('keeps integers and large decimals out of a times column', () => {
+      const values = ['1:02.33', '1:05.10', '58.91', '7', '120.5'];
+      const result = inferColumnType(values);
+      expect(result.type).to.equal('swim_time');
+      expect(result.confidence).to.equal(0.6);
+    });
+  });
+
+  describe('profileColumn', () => {
+    it('orders day-first dates by day, not by Date.parse', () => {
+      const values = ['03/04/2024', '25/12/2023', '01/05/2024'];
+      const { type, format } = inferColumnType(values);
+      const profile = profileColumn(values, type, format);
+      expect(format).to.equal('DD/MM/YYYY');
+      expect(profile.min).to.equal('25/12/2023');
+      expect(profile.max).to.equal('01/05/2024');
+    });
+
+    it('reads dotted dates that Date.parse rejects', () => {
+      const values = ['31.01.2024', '02.02.2023', '15.06.2023'];
+      const profile = profileColumn(values, 'date', 'DD.MM.YYYY');
+      expect(profile.min).to.equal('02.02.2023');
+      expect(profile.max).to.equal('31.01.2024');
+    });
+
+    it('orders month-first dates when the column is month-first', () => {
+      const values = ['12/25/2023', '01/05/2024', '03/04/2024'];
+      const profile = profileColumn(values, 'date', 'MM/DD/YYYY');
+      expect(profile.min).to.equal('12/25/2023');
+      expect(profile.max).to.equal('03/04/2024');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import {
+  checkDomainMatch,
+  DOMAIN_DICTIONARIES,
+  getDomainDictionary,
+} from '../domainDictionaries';
+
+describe('domainDictionaries', () => {
+  describe('getDomainDictionary (custom)', () => {
+    it('keeps well-formed entries', () => {
+      const dictionary = getDomainDictionary(
+        'custom',
+        JSON.stringify({
+          synonyms: { Rider: ['athlete', 'name'] },
+          abbreviations: { pos: 'position' },
+          priorityPairs: [{ file: 'bib', qlik: 'number', confidence: 0.9 }],
+        }),
+      );
+      expect(dictionary.synonyms.rider).to.deep.equal(['athlete', 'name']);
+      expect(dictionary.abbreviations.pos).to.equal('position');
+      expect(dictionary.priorityPairs).to.have.length(1);
+      expect(dictionary.warnings).to.deep.equal([]);
+    });
+
+    it('ignores and reports entries with the wrong shape', () => {
+      const dictionary = getDomainDictionary(
+        'custom',
+        JSON.stringify({
+          synonyms: { rider: 'athlete', team: ['club', 3], club: ['team'] },
+          abbreviations: { pos: ['position'] },
+          priorityPairs: [{ file: 'bib' }, 'time'],
+        }),
+      );
+      expect(Object.keys(dictionary.synonyms)).to.deep.equal(['club']);
+      expect(dictionary.abbreviations).to.deep.equal({});
+      expect(dictionary.priorityPairs).to.deep.equal([]);
+      expect(dictionary.warnings).to.have.length(5);
+      expect(dictionary.warnings[0]).to.equal(
+        'synonyms.rider must be a list of names',
+      );
+    });
+
+    it('lower-cases names on both sides of every entry', () => {
+      const dictionary = getDomainDictionary(
+        'custom',
+        JSON.stringify({
+          synonyms: { Rider: ['Athlete'] },
+          abbreviations: { RT: 'Reaction_Time' },
+          priorityPairs: [{ file: 'BIB', qlik: 'Number', exclude: ['Team'] }],
+        }),
+      );
+      expect(dictionary.synonyms).to.deep.equal({ rider: ['athlete'] });
+      expect(dictionary.abbreviations).to.deep.equal({ rt: 'reaction_time' });
+      expect(dictionary.priorityPairs[0]).to.include({
+        file: 'bib',
+        qlik: 'number',
+      });
+      expect(checkDomainMatch('rider', 'athlete', dictionary)).not.to.equal(
+        null,
+      );
+      expect(checkDomainMatch('bib', 'bib_number', dictionary)).not.to.equal(
+        null,
+      );
+      expect(checkDomainMatch('team_bib', 'number', dictionary)).to.equal(null);
+    });
+
+    it('rejects empty names instead of matching everything', () => {
+      const dictionary = getDomainDictionary(
+        'custom',
+        JSON.stringify({
+          synonyms: { '': ['lane'], team: ['', 'club'] },
+          abbreviations: { pos: ' ' },
+          priorityPairs: [{ file: '', qlik: 'place' }],
+        }),
+      );
+      expect(dictionary.synonyms).to.deep.equal({});
+      expect(dictionary.abbreviations).to.deep.equal({});
+      expect(dictionary.priorityPairs).to.deep.equal([]);
+      expect(dictionary.warnings).to.deep.equal([
+        'synonyms has an entry without a name',
+        'synonyms.team must be a list of names',
+        'abbreviations.pos must be a name',
+        'priorityPairs[0] needs "file" and "qlik" names (optional confidence 0-1 and exclude list)',
+      ]);
+      expect(checkDomainMatch('lane', 'place', dictionary)).to.equal(null);
+    });
+
+    it('does not break matching with a bad entry', () => {
+      const dictionary = getDomainDictionary(
+        'custom',
+        JSON.stringify({ extends: 'swimming', synonyms: { name: 'athlete' } }),
+      );
+      expect(dictionary.synonyms.name).to.deep.equal(
+        DOMAIN_DICTIONARIES.swimming.synonyms.name,
+      );
+      expect(() => checkDomainMatch('swimmer_name', 'athlete', dictionary)).not.to.throw();
+    });
+
+    it('still rejects text that is not a JSON object', () => {
+      expect(() => getDomainDictionary('custom', '[1]')).to.throw(
+        'Custom dictionary must be a JSON object',
+      );
+    });
+  });
+});
@@ -0,0 +1,492 @@
+import { expect } from 'chai';
+import * as XLSX from 'xlsx';
+import {
+  applyIssueResolutions,
+  clipboardToFile,
+  combineSheets,
+  haveIdenticalHeaders,
+  isDelimitedTextFile,
+  parseCSVFile,
+  parseFile,
+  parseExcelFile,
+  parseNDJSONFile,
+  parseSDIFFile,
+  sniffCSVDialect,
+  validateIssueFix,
+} from '../fileParser';
+
+// Minimal stand-in for a browser File holding a workbook
+// sheets: one worksheet (named "results") or { sheetName: worksheet }
+function workbookFile(sheets) {
+  const named = sheets['!ref'] ? { results: sheets } : sheets;
+  const workbook = XLSX.utils.book_new();
+  Object.entries(named).forEach(([name, sheet]) => {
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+  const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  return { name: 'results.xlsx', arrayBuffer: async () => buffer };
+}
+
+// UTF-16BE bytes with a byte order mark
+function utf16beBlob(text) {
+  const bytes = [0xfe, 0xff];
+  for (let i = 0; i < text.length; i++) {
+    bytes.push(text.charCodeAt(i) >> 8, text.charCodeAt(i) & 0xff);
+  }
+  return new Blob([new Uint8Array(bytes)]);
+}
+
+// Stand-in for a browser File holding CSV text
+function csvFile(text) {
+  return Object.assign(new Blob([text]), { name: 'results.csv' });
+}
+
+// PapaParse streams files through FileReader, which Node doesn't have
+class BlobFileReader {
+  readAsText(blob, encoding) {
+    blob.arrayBuffer().then(
+      (buffer) => this.onload({
+        target: { result: new TextDecoder(encoding).decode(buffer) },
+      }),
+      (error) => {
+        this.error = error;
+        this.onerror();
+      },
+    );
+  }
+}
+
+// Just enough of DOMParser for pasted tables: <table>, <tr>, <th> and <td>
+function TableDOMParser() {
+  const elements = (markup, selector) => {
+    const tags = selector.split(/\s*,\s*/).join('|');
+    const pattern = new RegExp(`<(${tags})([^>]*)>([\\s\\S]*?)</\\1>`, 'gi');
+    return [...markup.matchAll(pattern)].map(([, , attributes, inner]) => ({
+      textContent: inner.replace(/<[^>]*>/g, ''),
+      getAttribute: (name) => {
+        const match = attributes.match(new RegExp(`${name}="?(\\d+)`));
+        return match ? match[1] : null;
+      },
+      querySelectorAll: (inside) => elements(inner, inside),
+    }));
+  };
+  return {
+    parseFromString: (html) => ({
+      querySelector: () => elements(html, 'table')[0] || null,
+    }),
+  };
+}
+
+// Node 18 has Blob but no global File
+function NamedBlob(parts, name, options) {
+  return Object.assign(new Blob(parts, options), { name });
+}
+
+// Fixed-width SDIF record: fields placed at their 1-based spec positions
+function sdifRecord(type, fields) {
+  const line = Array(160).fill(' ');
+  line.splice(0, 2, ...type);
+  Object.entries(fields).forEach(([position, value]) => {
+    line.splice(Number(position) - 1, value.length, ...value);
+  });
+  return line.join('');
+}
+
+describe('fileParser', () => {
+  describe('sniffCSVDialect', () => {
+    it('detects UTF-16BE from its byte order mark', async () => {
+      const dialect = await sniffCSVDialect(
+        utf16beBlob('name;time\nAda;58.31\n'),
+      );
+      expect(dialect.encoding).to.equal('utf-16be');
+      expect(dialect.delimiter).to.equal(';');
+    });
+  });
+
+  describe('parseCSVFile', () => {
+    before(() => {
+      global.FileReader = BlobFileReader;
+    });
+    after(() => {
+      delete global.FileReader;
+    });
+
+    it('skips blank and delimiter-only lines', async () => {
+      const parsed = await parseCSVFile(
+        csvFile('name,time\n\nAda,58.31\n,\nBo,59.02\n'),
+      );
+      expect(parsed.rows).to.deep.equal([
+        { name: 'Ada', time: 58.31 },
+        { name: 'Bo', time: 59.02 },
+      ]);
+      expect(parsed.issues).to.deep.equal([]);
+    });
+
+    it('reports a broken quote that follows a blank line', async () => {
+      const parsed = await parseCSVFile(
+        csvFile('name,time\nAda,58.31\n\nBo,"59.02\nCy,60.10\n'),
+      );
+      expect(parsed.rows).to.deep.equal([{ name: 'Ada', time: 58.31 }]);
+      expect(parsed.issues).to.have.length(1);
+      expect(parsed.issues[0].type).to.equal('MissingQuotes');
+      expect(parsed.issues[0].line).to.equal(4);
+      // The swallowed line is kept in the issue instead of vanishing
+      expect(parsed.issues[0].raw).to.include('Cy,60.10');
+    });
+
+    it('numbers issues by file line, counting blank and multi-line rows', async () => {
+      const parsed = await parseCSVFile(
+        csvFile('name,note\n\nAda,"two\nlines"\nBo,ok,extra\n'),
+      );
+      expect(parsed.rows).to.have.length(1);
+      expect(parsed.issues).to.have.length(1);
+      expect(parsed.issues[0].type).to.equal('TooManyFields');
+      expect(parsed.issues[0].line).to.equal(5);
+    });
+
+    it('counts the header row without blank lines', async () => {
+      const parsed = await parseCSVFile(
+        csvFile('Meet results\n\nname,time\nAda,58.31\n'),
+        { dialect: { headerRow: 1 } },
+      );
+      expect(parsed.columns.map((c) => c.name)).to.deep.equal(['name', 'time']);
+      expect(parsed.rows).to.deep.equal([{ name: 'Ada', time: 58.31 }]);
+    });
+
+    it('profiles a large file from a bounded sample of rows', async () => {
+      const lines = Array.from({ length: 25000 }, (_, i) => `${i},x${i % 7}`);
+      const parsed = await parseCSVFile(
+        csvFile(`id,code\n${lines.join('\n')}`),
+      );
+      expect(parsed.rows).to.have.length(25000);
+      const [id] = parsed.columns;
+      expect(id.type).to.equal('integer');
+      expect(id.profile.sampledRows).to.equal(10000);
+      expect(id.profile.count).to.equal(10000);
+      // Evenly spaced rows reach the end of the file
+      expect(id.profile.max).to.be.above(24000);
+    });
+
+    it('profiles every row of a small file', async () => {
+      const parsed = await parseCSVFile(csvFile('id\n1\n2\n'));
+      expect(parsed.columns[0].profile.sampledRows).to.equal(null);
+      expect(parsed.columns[0].profile.count).to.equal(2);
+    });
+  });
+
+  describe('clipboardToFile', () => {
+    before(() => {
+      global.FileReader = BlobFileReader;
+      global.DOMParser = TableDOMParser;
+      if (!global.File) global.File = NamedBlob;
+    });
+    after(() => {
+      delete global.FileReader;
+      delete global.DOMParser;
+      if (global.File === NamedBlob) delete global.File;
+    });
+
+    it('parses a pasted spreadsheet range like a TSV file', async () => {
+      const file = clipboardToFile({ text: 'name\ttime\r\nAda\t58.31\r\n' });
+      expect(file.name).to.equal('Pasted data.tsv');
+      const parsed = await parseFile(file);
+      expect(parsed.rows).to.deep.equal([{ name: 'Ada', time: 58.31 }]);
+    });
+
+    it('prefers an HTML table and keeps merged cells aligned', async () => {
+      const html = '<p>Results</p><table><tr><th>name</th><th>event</th><th>time</th></tr>'
+        + '<tr><td> <b>Ada</b>\n Lovelace </td><td colspan="2">DNS</td></tr>'
+        + '<tr><td></td><td></td><td></td></tr>'
+        + '<tr><td>Bo</td><td>100 free</td><td>59.02</td></tr></table>';
+      const parsed = await parseFile(
+        clipboardToFile({ html, text: 'ignored' }),
+      );
+      expect(parsed.rows).to.deep.equal([
+        { name: 'Ada Lovelace', event: 'DNS', time: null },
+        { name: 'Bo', event: '100 free', time: 59.02 },
+      ]);
+    });
+
+    it('falls back to the text when the HTML has no table', () => {
+      const file = clipboardToFile({ html: '<p>hi</p>', text: 'a\tb' });
+      expect(file.size).to.equal(3);
+    });
+
+    it('rejects an empty clipboard', () => {
+      expect(() => clipboardToFile({ text: ' \n' })).to.throw(
+        "The clipboard doesn't contain any table data",
+      );
+    });
+  });
+
+  describe('NDJSON issues', () => {
+    const ndjsonFile = (text) => Object.assign(new Blob([text]), { name: 'results.ndjson' });
+
+    it('reports invalid lines with their file line', async () => {
+      const parsed = await parseNDJSONFile(
+        ndjsonFile('{"name":"Ada"}\n\n{"name":\n[1,2]\n{"name":"Bo"}\n'),
+      );
+      expect(parsed.rows).to.have.length(2);
+      expect(parsed.issues.map((issue) => issue.line)).to.deep.equal([3, 4]);
+      expect(parsed.issues[1].message).to.equal('Line is not a JSON object');
+    });
+
+    it('rejects fix text that is not one JSON object', () => {
+      expect(validateIssueFix('ndjson', '{"name":"Cy"}')).to.equal(null);
+      expect(validateIssueFix('ndjson', '{"name":')).to.match(/^Invalid JSON/);
+      expect(validateIssueFix('ndjson', 'null')).to.equal(
+        'Line is not a JSON object',
+      );
+      expect(validateIssueFix('ndjson', '42')).to.equal(
+        'Line is not a JSON object',
+      );
+      expect(validateIssueFix('csv', 'anything,goes')).to.equal(null);
+    });
+
+    it('puts fixed rows back in file order', async () => {
+      const parsed = await parseNDJSONFile(
+        ndjsonFile('{"name":"Ada"}\n{"name":\n{"name":"Cy"}\n'),
+      );
+      const resolved = applyIssueResolutions(parsed, {
+        [parsed.issues[0].id]: { action: 'fix', text: '{"name":"Bo"}' },
+      });
+      expect(resolved.rows.map((row) => row.name)).to.deep.equal([
+        'Ada',
+        'Bo',
+        'Cy',
+      ]);
+    });
+
+    it('throws a readable error for a fix that is not an object', async () => {
+      const parsed = await parseNDJSONFile(ndjsonFile('{"name":\n'));
+      expect(() => applyIssueResolutions(parsed, {
+        [parsed.issues[0].id]: { action: 'fix', text: 'null' },
+      })).to.throw('Line 1: Line is not a JSON object');
+    });
+  });
+
+  describe('parseSDIFFile', () => {
+    const meet = sdifRecord('B1', {
+      12: 'Spring Open',
+      122: '03152024',
+      150: 'L',
+    });
+    const team = sdifRecord('C1', { 12: 'OHBUCK', 18: 'Buckeye Swim Club' });
+    const finalsSwim = sdifRecord('D0', {
+      12: 'Lee, Ada M',
+      40: '123456789ABC',
+      56: '07012008',
+      64: '15',
+      66: 'F',
+      68: ' 100',
+      72: '2',
+      73: '  12',
+      89: '1:05.10',
+      98: '1:04.50',
+      106: 'L',
+      116: '1:03.90',
+      124: 'L',
+      125: ' 2',
+      127: ' 4',
+      129: ' 1',
+      131: ' 5',
+      133: '  3',
+      136: '  2',
+      139: '  17',
+    });
+    const splits = sdifRecord('G0', {
+      16: 'Lee, Ada M',
+      56: '1',
+      57: ' 2',
+      59: '  50',
+      63: 'I',
+      64: '   31.20',
+      72: '   32.70',
+      144: 'F',
+    });
+    const prelimOnly = sdifRecord('D0', {
+      12: 'Bo, Cy',
+      66: 'M',
+      68: '  50',
+      72: '1',
+      98: 'NS',
+      106: 'L',
+      125: ' 3',
+      127: ' 6',
+      133: ' 10',
+    });
+    const sdifFile = (...records) => Object.assign(
+      new Blob([records.join('\r\n')]),
+      { name: 'meet.cl2' },
+    );
+
+    it('reads each field from its spec position', async () => {
+      const parsed = await parseSDIFFile(sdifFile(meet, team, finalsSwim));
+      expect(parsed.rows[0]).to.include({
+        competition: 'Spring Open',
+        meet_date: '2024-03-15',
+        course: 'LCM',
+        team_code: 'OHBUCK',
+        team: 'Buckeye Swim Club',
+        name: 'Lee, Ada M',
+        uss_id: '123456789ABC',
+        birth_date: '2008-07-01',
+        age: 15,
+        gender: 'F',
+        event_number: '12',
+        event: '100 Back',
+        event_course: 'LCM',
+        seed_time: '1:05.10',
+        prelim_time: '1:04.50',
+        prelim_heat: 2,
+        prelim_lane: 4,
+        prelim_place: 3,
+        time: '1:03.90',
+        heat: 1,
+        lane: 5,
+        place: 2,
+        points: 17,
+        status: null,
+      });
+    });
+
+    it('falls back to the prelim swim and keeps its status', async () => {
+      const parsed = await parseSDIFFile(sdifFile(meet, team, prelimOnly));
+      expect(parsed.rows[0]).to.include({
+        event: '50 Free',
+        time: null,
+        status: 'NS',
+        heat: 3,
+        lane: 6,
+        place: 10,
+      });
+    });
+
+    it('adds interval splits up into cumulative split columns', async () => {
+      const parsed = await parseSDIFFile(
+        sdifFile(meet, team, finalsSwim, splits, prelimOnly),
+      );
+      expect(parsed.rows[0]).to.include({
+        split_50: '31.20',
+        split_100: '1:03.90',
+      });
+      // Swims without splits still get the columns
+      expect(parsed.rows[1]).to.include({ split_50: null, split_100: null });
+    });
+
+    it('rejects files without individual results', async () => {
+      let error;
+      try {
+        await parseSDIFFile(sdifFile(meet, team));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        'SDIF parsing failed: No individual result (D0) records found',
+      );
+    });
+
+    it('points HY3 files to an SDIF export instead of misreading them', async () => {
+      let error;
+      try {
+        await parseFile({ name: 'meet.hy3' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain('Export the meet results as SDIF');
+      expect(isDelimitedTextFile({ name: 'meet.hy3' })).to.equal(false);
+    });
+  });
+
+  describe('parseExcelFile', () => {
+    it('reads a table that starts at A1', async () => {
+      const sheet = XLSX.utils.aoa_to_sheet([
+        ['name', 'time'],
+        ['Ada', 58.31],
+      ]);
+      const parsed = await parseExcelFile(workbookFile(sheet));
+      expect(parsed.columns.map((c) => c.name)).to.deep.equal(['name', 'time']);
+      expect(parsed.rows).to.deep.equal([{ name: 'Ada', time: 58.31 }]);
+    });
+
+    it('does not repeat the header when the table starts below row 1', async () => {
+      const sheet = XLSX.utils.aoa_to_sheet(
+        [
+          ['name', 'time'],
+          ['Ada', 58.31],
+          ['Bo', 59.02],
+        ],
+        { origin: 'A3' },
+      );
+      const parsed = await parseExcelFile(workbookFile(sheet));
+      expect(parsed.columns.map((c) => c.name)).to.deep.equal(['name', 'time']);
+      expect(parsed.rows).to.deep.equal([
+        { name: 'Ada', time: 58.31 },
+        { name: 'Bo', time: 59.02 },
+      ]);
+    });
+
+    it('skips a title row and blank row above the header', async () => {
+      const sheet = XLSX.utils.aoa_to_sheet([
+        ['Meet results'],
+        [],
+        ['name', 'time'],
+        ['Ada', 58.31],
+        ['Bo', 59.02],
+      ]);
+      const parsed = await parseExcelFile(workbookFile(sheet));
+      expect(parsed.columns.map((c) => c.name)).to.deep.equal(['name', 'time']);
+      expect(parsed.totalRows).to.equal(2);
+      expect(parsed.rows[0]).to.deep.equal({ name: 'Ada', time: 58.31 });
+    });
+  });
+
+  describe('multi-sheet workbooks', () => {
+    const resultSheet = (...rows) => XLSX.utils.aoa_to_sheet([['name', 'time'], ...rows]);
+    const workbook = () => workbookFile({
+      heats: resultSheet(['Ada', 58.31], ['Bo', 59.02]),
+      finals: resultSheet(['Ada', 57.9]),
+      splits: XLSX.utils.aoa_to_sheet([
+        ['name', 'split'],
+        ['Ada', 27.1],
+      ]),
+    });
+
+    it('lists every sheet and starts with the first one', async () => {
+      const parsed = await parseExcelFile(workbook());
+      expect(parsed.sheets.map((sheet) => sheet.name)).to.deep.equal([
+        'heats',
+        'finals',
+        'splits',
+      ]);
+      expect(parsed.sheets[1].totalRows).to.equal(1);
+      expect(parsed.sourceSheets).to.deep.equal(['heats']);
+      expect(parsed.totalRows).to.equal(2);
+    });
+
+    it('stacks sheets with identical headers in the chosen order', async () => {
+      const { sheets } = await parseExcelFile(workbook());
+      const combined = combineSheets([sheets[1], sheets[0]]);
+      expect(combined.sourceSheets).to.deep.equal(['finals', 'heats']);
+      expect(combined.rows.map((row) => row.name)).to.deep.equal([
+        'Ada',
+        'Ada',
+        'Bo',
+      ]);
+      expect(combined.totalRows).to.equal(3);
+      expect(combined.columns.map((c) => c.name)).to.deep.equal([
+        'name',
+        'time',
+      ]);
+    });
+
+    it('refuses to stack sheets whose headers differ', async () => {
+      const { sheets } = await parseExcelFile(workbook());
+      expect(haveIdenticalHeaders(sheets.slice(0, 2))).to.equal(true);
+      expect(haveIdenticalHeaders(sheets)).to.equal(false);
+      expect(() => combineSheets(sheets)).to.throw(
+        'Only sheets with identical headers can be combined',
+      );
+    });
+  });
+});
@@ -0,0 +1,315 @@
+import { expect } from 'chai';
+import {
+  explainAlternatives,
+  generateMappingCandidates,
+  generateSmartMappings,
+} from '../mappingEngine';
+import { getDomainDictionary } from '../domainDictionaries';
+
+const column = (name) => ({ name, type: 'text', sampleValues: [] });
+const field = (name) => ({ name, type: 'dimension' });
+const typed = (name, type) => ({ name, type, sampleValues: [] });
+const dataField = (name, dataType, extra = {}) => ({
+  name,
+  type: 'dimension',
+  dataType,
+  ...extra,
+});
+const candidate = (qlikField, confidence) => ({
+  qlikField,
+  confidence,
+  type: 'fuzzy',
+  reason: 'test',
+});
+
+describe('mappingEngine', () => {
+  // The engine logs every decision
+  let log;
+  before(() => {
+    log = console.log;
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = log;
+  });
+
+  describe('generateSmartMappings', () => {
+    const options = { dictionary: getDomainDictionary('none') };
+
+    it('does not match different non-ASCII names exactly', () => {
+      const mappings = generateSmartMappings(
+        [column('Время')],
+        [field('Имя')],
+        options,
+      );
+      expect(mappings).to.deep.equal({});
+    });
+
+    it('matches equal non-ASCII names', () => {
+      const mappings = generateSmartMappings(
+        [column('Läufer')],
+        [field('läufer')],
+        options,
+      );
+      expect(mappings['Läufer'].matchType).to.equal('exact');
+    });
+
+    it('never matches names without letters or digits', () => {
+      const mappings = generateSmartMappings(
+        [column('#')],
+        [field('%'), field('#')],
+        options,
+      );
+      expect(mappings).to.deep.equal({});
+    });
+
+    it('gives a field to the column that needs it most', () => {
+      const x = field('x');
+      const y = field('y');
+      // Column order would let "a" take x and leave "b" without a match
+      const candidates = {
+        a: [candidate(x, 0.9), candidate(y, 0.85)],
+        b: [candidate(x, 0.95)],
+      };
+      const mappings = generateSmartMappings(
+        [column('a'), column('b')],
+        [x, y],
+        { ...options, candidates },
+      );
+      expect(mappings.a.qlikField).to.equal(y);
+      expect(mappings.b.qlikField).to.equal(x);
+    });
+
+    it('uses each field once when columns outnumber fields', () => {
+      const x = field('x');
+      const candidates = {
+        a: [candidate(x, 0.6)],
+        b: [candidate(x, 0.9)],
+        c: [candidate(x, 0.7)],
+      };
+      const mappings = generateSmartMappings(
+        [column('a'), column('b'), column('c')],
+        [x],
+        { ...options, candidates },
+      );
+      expect(Object.keys(mappings)).to.deep.equal(['b']);
+    });
+
+    it('leaves out pairs below the minimum confidence', () => {
+      const x = field('x');
+      const mappings = generateSmartMappings([column('a')], [x], {
+        ...options,
+        candidates: { a: [candidate(x, 0.2)] },
+      });
+      expect(mappings).to.deep.equal({});
+    });
+  });
+
+  describe('smartMapping settings', () => {
+    const x = field('x');
+    const y = field('y');
+    const candidates = { a: [candidate(x, 0.85)], b: [candidate(y, 0.6)] };
+    const statuses = (mappings) => Object.fromEntries(
+      Object.entries(mappings).map(([name, m]) => [name, m.status]),
+    );
+
+    it('splits suggestions into auto-accepted and review at the threshold', () => {
+      const columns = [column('a'), column('b')];
+      const byDefault = generateSmartMappings(columns, [x, y], { candidates });
+      expect(statuses(byDefault)).to.deep.equal({ a: 'auto', b: 'review' });
+
+      const strict = generateSmartMappings(columns, [x, y], {
+        candidates,
+        autoMapThreshold: 0.9,
+      });
+      expect(statuses(strict)).to.deep.equal({ a: 'review', b: 'review' });
+
+      const lenient = generateSmartMappings(columns, [x, y], {
+        candidates,
+        autoMapThreshold: 0.5,
+      });
+      expect(statuses(lenient)).to.deep.equal({ a: 'auto', b: 'auto' });
+    });
+
+    it('only uses swimming vocabulary when the domain is on', () => {
+      const columns = [column('club')];
+      const fields = [field('team')];
+      const swimming = generateSmartMappings(columns, fields, {
+        dictionary: getDomainDictionary('swimming'),
+      });
+      expect(swimming.club.matchType).to.equal('domain');
+
+      const none = generateSmartMappings(columns, fields, {
+        dictionary: getDomainDictionary('none'),
+      });
+      expect(none).to.deep.equal({});
+    });
+  });
+
+  describe('explainAlternatives', () => {
+    const x = field('x');
+    const y = field('y');
+    const z = field('z');
+    const w = field('w');
+    const candidates = {
+      a: [
+        candidate(x, 0.9),
+        candidate(y, 0.85),
+        candidate(z, 0.5),
+        candidate(w, 0.2),
+      ],
+      b: [candidate(x, 0.95)],
+    };
+    const mapped = (qlikField, confidence) => ({ qlikField, confidence });
+
+    it('says why each runner-up lost', () => {
+      const reasons = explainAlternatives(
+        'a',
+        candidates,
+        { a: mapped(y, 0.85), b: mapped(x, 0.95) },
+        4,
+      ).map((c) => [c.qlikField.name, c.whyNot]);
+      expect(reasons).to.deep.equal([
+        ['x', 'assigned to "b" (95%)'],
+        ['z', 'y scored higher'],
+        ['w', 'below the 30% minimum'],
+      ]);
+    });
+
+    it('explains a manual pick over a better-scoring field', () => {
+      const [best] = explainAlternatives('a', candidates, {
+        a: mapped(z, 0.9),
+      });
+      expect(best.qlikField).to.equal(x);
+      expect(best.whyNot).to.equal('z was chosen instead');
+    });
+
+    it('lists at most the runner-up limit', () => {
+      expect(explainAlternatives('a', candidates, {})).to.have.length(3);
+      expect(explainAlternatives('a', candidates, {})[0].whyNot).to.equal(
+        'not selected',
+      );
+    });
+  });
+
+  describe('value overlap', () => {
+    const options = { dictionary: getDomainDictionary('none') };
+    const valueColumn = (name, values) => ({
+      name,
+      type: 'categorical',
+      sampleValues: values.slice(0, 3),
+      profile: { distinctSample: values },
+    });
+    const sampled = (name, sampleValues) => ({
+      name,
+      type: 'dimension',
+      sampleValues,
+    });
+
+    it('maps a column by its values when the name says nothing', () => {
+      const mappings = generateSmartMappings(
+        [valueColumn('Col7', ['USA', 'aus', 'GBR', 'FRA'])],
+        [
+          sampled('stroke', ['Free', 'Back']),
+          sampled('team', ['USA', 'AUS', 'GBR', 'CAN']),
+        ],
+        options,
+      );
+      expect(mappings.Col7.qlikField.name).to.equal('team');
+      expect(mappings.Col7.matchType).to.equal('values');
+      expect(mappings.Col7.reason).to.equal('3 of 4 values found in field');
+    });
+
+    it('ignores a small overlap and numeric columns', () => {
+      const few = generateMappingCandidates(
+        [valueColumn('Col7', ['USA', 'XXX', 'YYY'])],
+        [sampled('team', ['USA', 'AUS'])],
+        options,
+      );
+      expect(few.Col7).to.deep.equal([]);
+
+      const lanes = generateMappingCandidates(
+        [{ ...valueColumn('Col2', ['1', '2', '3']), type: 'integer' }],
+        [sampled('heat', ['1', '2', '3'])],
+        options,
+      );
+      expect(lanes.Col2).to.deep.equal([]);
+    });
+  });
+
+  describe('type compatibility', () => {
+    const options = { dictionary: getDomainDictionary('none') };
+    const best = (fileColumn, qlikField) => {
+      const candidates = generateMappingCandidates(
+        [fileColumn],
+        [qlikField],
+        options,
+      );
+      return candidates[fileColumn.name][0];
+    };
+
+    it('keeps a compatible fuzzy match below auto-accept', () => {
+      const match = best(
+        typed('reaction_tme', 'decimal'),
+        dataField('reaction_time', 'numeric'),
+      );
+      expect(match.type).to.equal('fuzzy');
+      expect(match.confidence).to.be.at.most(0.75);
+
+      const mappings = generateSmartMappings(
+        [typed('reaction_tme', 'decimal')],
+        [dataField('reaction_time', 'numeric')],
+        options,
+      );
+      expect(mappings.reaction_tme.status).to.equal('review');
+    });
+
+    it('does not lift a contains match past its ceiling', () => {
+      const match = best(
+        typed('swim_time', 'swim_time'),
+        dataField('time', 'numeric', { numFormat: { qType: 'IV' } }),
+      );
+      expect(match.type).to.equal('contains');
+      expect(match.confidence).to.equal(0.8);
+    });
+
+    it('keeps exact matches at full confidence', () => {
+      const match = best(
+        typed('lane', 'integer'),
+        dataField('lane', 'numeric'),
+      );
+      expect(match.confidence).to.equal(1);
+    });
+
+    it('penalises mismatched kinds and says why', () => {
+      const match = best(typed('lane', 'text'), dataField('lane', 'numeric'));
+      expect(match.confidence).to.equal(0.6);
+      expect(match.reason).to.contain('⚠ text column into a numeric field');
+
+      const dates = best(typed('time', 'swim_time'), dataField('time', 'date'));
+      expect(dates.confidence).to.equal(0.6);
+      expect(dates.reason).to.contain('⚠ times into a date field');
+    });
+
+    it('notes the conversions a mapping implies', () => {
+      const seconds = best(
+        typed('time', 'swim_time'),
+        dataField('time', 'numeric'),
+      );
+      expect(seconds.confidence).to.equal(1);
+      expect(seconds.reason).to.contain('converts 1:23.45 → seconds');
+
+      const share = best(
+        typed('share', 'percentage'),
+        dataField('share', 'numeric'),
+      );
+      expect(share.reason).to.contain('converts 12.5% → 0.125');
+    });
+
+    it('leaves fields of unknown kind unadjusted', () => {
+      const match = best(typed('lane', 'text'), field('lane'));
+      expect(match.confidence).to.equal(1);
+      expect(match.reason).to.equal('Exact name match');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from 'chai';
+import {
+  clearMappingMemory,
+  findLearnedMatch,
+  loadMappingMemory,
+  recordConfirmedMappings,
+} from '../mappingMemory';
+
+// In-memory stand-in for the browser's localStorage
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+const athlete = { name: 'athlete', type: 'dimension' };
+const swimmer = { name: 'swimmer', type: 'dimension' };
+const confirm = (field, appId = 'app-1') => recordConfirmedMappings(
+  { 'Athlete Name': { qlikField: field } },
+  appId,
+);
+
+describe('mappingMemory', () => {
+  beforeEach(() => {
+    global.window = { localStorage: memoryStorage() };
+  });
+  afterEach(() => {
+    delete global.window;
+  });
+
+  it('suggests a field confirmed for the column', () => {
+    const memory = confirm(athlete);
+    const match = findLearnedMatch(memory, 'athlete_name', athlete);
+    expect(match.reason).to.equal('Learned from 1 confirmed upload');
+    expect(findLearnedMatch(memory, 'athlete_name', swimmer)).to.equal(null);
+  });
+
+  it('raises the confidence with every confirmation', () => {
+    const once = findLearnedMatch(confirm(athlete), 'Athlete Name', athlete);
+    const twice = findLearnedMatch(confirm(athlete), 'Athlete Name', athlete);
+    expect(twice.confidence).to.be.above(once.confidence);
+    for (let i = 0; i < 10; i++) confirm(athlete);
+    const many = findLearnedMatch(
+      loadMappingMemory('app-1'),
+      'Athlete Name',
+      athlete,
+    );
+    expect(many.confidence).to.be.below(1);
+  });
+
+  it('replaces the old field when another is confirmed', () => {
+    confirm(athlete);
+    confirm(athlete);
+    const memory = confirm(swimmer);
+    expect(findLearnedMatch(memory, 'Athlete Name', athlete)).to.equal(null);
+    expect(findLearnedMatch(memory, 'Athlete Name', swimmer).reason).to.equal(
+      'Learned from 1 confirmed upload',
+    );
+  });
+
+  it('does not learn unreviewed suggestions or forced guesses', () => {
+    const memory = recordConfirmedMappings(
+      {
+        'Athlete Name': { qlikField: athlete, status: 'review' },
+        Swimmer: { qlikField: swimmer, matchType: 'forced', status: 'review' },
+        Club: { qlikField: swimmer, matchType: 'forced', status: 'accepted' },
+        Team: { qlikField: swimmer, matchType: 'manual', status: 'accepted' },
+        Squad: { qlikField: swimmer, matchType: 'exact', status: 'auto' },
+      },
+      'app-1',
+    );
+    expect(memory).to.have.all.keys('team', 'squad');
+  });
+
+  it('keeps a separate memory per app', () => {
+    confirm(athlete, 'app-1');
+    const other = loadMappingMemory('app-2');
+    expect(findLearnedMatch(other, 'Athlete Name', athlete)).to.equal(null);
+    clearMappingMemory('app-2');
+    expect(loadMappingMemory('app-1')).to.have.property('athlete_name');
+  });
+
+  it('starts empty when storage is unavailable', () => {
+    global.window = {};
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+      expect(loadMappingMemory('app-1')).to.deep.equal({});
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
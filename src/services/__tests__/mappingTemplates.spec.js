@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import {
+  applyTemplate,
+  createTemplate,
+  exportTemplates,
+  findMatchingTemplate,
+  getHeaderSignature,
+  getTemplateExpressions,
+  parseTemplatesJson,
+} from '../mappingTemplates';
+
+const columns = (...names) => names.map((name) => ({ name }));
+const name = { name: 'name', type: 'dimension' };
+const time = { name: 'time', type: 'measure' };
+
+// Template saved for a "Athlete Name, Event, Time" file
+function savedTemplate() {
+  return createTemplate('Weekly results', {
+    fileColumns: [
+      ...columns('Athlete Name', 'Event', 'Time'),
+      { name: 'Full', virtual: true },
+    ],
+    mappings: {
+      'Athlete Name': { qlikField: name, transforms: [{ type: 'trim' }] },
+      Time: { qlikField: time },
+    },
+    expressions: [
+      {
+        type: 'combine',
+        sources: ['Event', 'Time'],
+        separator: ' ',
+        name: 'Full',
+      },
+    ],
+    targetTable: 'Results',
+    autoMapThreshold: 0.8,
+  });
+}
+
+// Exported file holding one template, changed by edit
+function exportWith(edit) {
+  return exportTemplates([edit(savedTemplate())]);
+}
+
+describe('mappingTemplates', () => {
+  describe('matching', () => {
+    it('signs headers regardless of order, case and virtual columns', () => {
+      expect(getHeaderSignature(columns('Time', 'athlete_name'))).to.equal(
+        getHeaderSignature([
+          ...columns('Athlete Name', 'TIME'),
+          { name: 'x', virtual: true },
+        ]),
+      );
+    });
+
+    it('keeps symbol-only headers apart', () => {
+      expect(getHeaderSignature(columns('#', '%'))).to.equal('#|%');
+    });
+
+    it('finds exact and close templates', () => {
+      const template = savedTemplate();
+      const exact = findMatchingTemplate(
+        [template],
+        columns('time', 'event', 'athlete_name'),
+      );
+      expect(exact).to.deep.equal({ template, exact: true });
+
+      const close = findMatchingTemplate(
+        [template],
+        columns('Athlete Name', 'Event', 'Time', 'Lane', 'Heat'),
+      );
+      expect(close).to.equal(null);
+
+      const fourOfFive = createTemplate('Five', {
+        fileColumns: columns('a', 'b', 'c', 'd', 'e'),
+        mappings: {},
+      });
+      expect(
+        findMatchingTemplate([fourOfFive], columns('a', 'b', 'c', 'd', 'f')),
+      ).to.deep.equal({ template: fourOfFive, exact: false });
+    });
+  });
+
+  describe('applyTemplate', () => {
+    it("maps this file's columns and reports fields the app lost", () => {
+      const { mappings, missingFields } = applyTemplate(
+        savedTemplate(),
+        columns('athlete_name', 'event', 'TIME'),
+        [name],
+      );
+      expect(Object.keys(mappings)).to.deep.equal(['athlete_name']);
+      expect(mappings.athlete_name).to.include({
+        qlikField: name,
+        status: 'accepted',
+      });
+      expect(mappings.athlete_name.transforms).to.deep.equal([
+        { type: 'trim' },
+      ]);
+      expect(missingFields).to.deep.equal(['time']);
+    });
+
+    it("points expressions at this file's columns", () => {
+      const expressions = getTemplateExpressions(
+        savedTemplate(),
+        columns('EVENT', 'time'),
+      );
+      expect(expressions[0].sources).to.deep.equal(['EVENT', 'time']);
+      expect(getTemplateExpressions(savedTemplate(), columns('event'))).to.be
+        .empty;
+    });
+  });
+
+  describe('parseTemplatesJson', () => {
+    it('reads its own export', () => {
+      const [template] = parseTemplatesJson(exportTemplates([savedTemplate()]));
+      expect(template.name).to.equal('Weekly results');
+    });
+
+    it('rejects other JSON', () => {
+      expect(() => parseTemplatesJson('{}')).to.throw(
+        'Not a mapping template export',
+      );
+      expect(() => parseTemplatesJson('{')).to.throw(/not valid JSON/);
+    });
+
+    it('rejects a mapping without a field', () => {
+      const text = exportWith((t) => ({
+        ...t,
+        mappings: { ...t.mappings, Event: { fieldName: 'event' } },
+      }));
+      expect(() => parseTemplatesJson(text)).to.throw(
+        'Template "Weekly results": the mapping for "Event" has no field',
+      );
+    });
+
+    it('rejects unknown transform steps', () => {
+      const text = exportWith((t) => ({
+        ...t,
+        mappings: {
+          ...t.mappings,
+          Time: { ...t.mappings.Time, transforms: [{ type: 'explode' }] },
+        },
+      }));
+      expect(() => parseTemplatesJson(text)).to.throw(/unknown transform/);
+    });
+
+    it('rejects malformed expressions', () => {
+      const broken = [
+        { type: 'combine', sources: 'Event', name: 'Full' },
+        { type: 'combine', sources: ['Event'], name: 'Full' },
+        {
+          type: 'split',
+          source: 'Event',
+          mode: 'regex',
+          pattern: '(',
+          outputs: ['a'],
+        },
+        {
+          type: 'split',
+          source: 'Event',
+          mode: 'delimiter',
+          pattern: ' ',
+        },
+        { type: 'merge' },
+        null,
+      ];
+      broken.forEach((expression) => {
+        const text = exportWith((t) => ({ ...t, expressions: [expression] }));
+        expect(() => parseTemplatesJson(text)).to.throw(
+          /expression 1 is invalid/,
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,365 @@
+import { expect } from 'chai';
+import DEMO_FIELD_CATALOG from '../demoCatalog';
+import {
+  fieldKey,
+  getDemoQlikFields,
+  getFieldsForTable,
+  getFieldValueSamples,
+  getQlikFields,
+} from '../modelAnalyzer';
+
+// Engine app answering the session objects modelAnalyzer creates
+// model: { fields: [NxFieldDescription], tables: [getTablesAndKeys qtr entries],
+//   formats: {fieldName: qNumFormat}, values: {fieldName: [qText, ...]},
+//   dimensions / measures: [library list items] }
+function fakeApp(model) {
+  const listObjectLayouts = (properties) => {
+    const layout = {};
+    Object.entries(properties).forEach(([key, definition]) => {
+      if (!definition?.qListObjectDef) return;
+      const [name] = definition.qListObjectDef.qDef.qFieldDefs;
+      const [page] = definition.qListObjectDef.qInitialDataFetch;
+      const values = (model.values || {})[name] || [];
+      layout[key] = {
+        qListObject: {
+          qDimensionInfo: {
+            qNumFormat: (model.formats || {})[name] || { qType: 'U' },
+          },
+          qDataPages: page
+            ? [
+              {
+                qMatrix: values
+                  .slice(0, page.qHeight)
+                  .map((qText) => [{ qText }]),
+              },
+            ]
+            : [],
+        },
+      };
+    });
+    return layout;
+  };
+
+  const layoutFor = (properties) => {
+    switch (properties.qInfo.qType) {
+      case 'FieldList':
+        return { qFieldList: { qItems: model.fields } };
+      case 'DimensionList':
+        return { qDimensionList: { qItems: model.dimensions || [] } };
+      case 'MeasureList':
+        return { qMeasureList: { qItems: model.measures || [] } };
+      default:
+        return listObjectLayouts(properties); // Formats, value samples
+    }
+  };
+
+  return {
+    createSessionObject: async (properties) => ({
+      id: properties.qInfo.qType,
+      getLayout: async () => layoutFor(properties),
+    }),
+    destroySessionObject: async () => {},
+    getTablesAndKeys: async () => {
+      if (model.tables instanceof Error) throw model.tables;
+      return { qtr: model.tables || [] };
+    },
+  };
+}
+
+const swimModel = {
+  fields: [
+    { qName: 'athlete', qTags: ['$text'], qCardinal: 3 },
+    {
+      qName: 'time', qTags: ['$numeric'], qIsNumeric: true, qCardinal: 10,
+    },
+    {
+      qName: 'athlete_id',
+      qTags: ['$numeric', '$integer'],
+      qIsNumeric: true,
+      qSrcTables: ['Results'],
+    },
+    { qName: 'meet_date', qTags: ['$numeric', '$date'], qIsNumeric: true },
+  ],
+  tables: [
+    {
+      qName: 'Results',
+      qNoOfRows: 10,
+      qFields: [
+        {
+          qName: 'athlete_id',
+          qKeyType: 'PRIMARY_KEY',
+          qnTotalDistinctValues: 5,
+        },
+        { qName: 'time', qKeyType: 'NOT_KEY', qComment: 'Seconds' },
+        { qName: 'meet_date', qKeyType: 'NOT_KEY' },
+      ],
+    },
+    {
+      qName: 'Athletes',
+      qNoOfRows: 5,
+      qFields: [
+        { qName: 'athlete_id', qKeyType: 'ANY_KEY' },
+        { qName: 'athlete', qKeyType: 'NOT_KEY' },
+      ],
+    },
+  ],
+  formats: { time: { qType: 'IV', qFmt: 'm:ss.ff' } },
+};
+
+describe('modelAnalyzer', () => {
+  // The analyzer logs what it finds and warns about missing metadata
+  let log;
+  let warn;
+  before(() => {
+    log = console.log;
+    warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+  after(() => {
+    console.log = log;
+    console.warn = warn;
+  });
+
+  describe('getQlikFields', () => {
+    const byName = (fields, name) => fields.all.find((f) => f.name === name);
+
+    it('describes each field with its tables, tags and number format', async () => {
+      const fields = await getQlikFields(fakeApp(swimModel));
+      expect(byName(fields, 'time')).to.include({
+        type: 'measure',
+        dataType: 'numeric',
+        comment: 'Seconds',
+        cardinality: 10,
+        isKey: false,
+      });
+      expect(byName(fields, 'time').tables).to.deep.equal(['Results']);
+      expect(byName(fields, 'time').numFormat.qType).to.equal('IV');
+      expect(byName(fields, 'athlete').numFormat).to.equal(null);
+      expect(byName(fields, 'meet_date').dataType).to.equal('date');
+    });
+
+    it('treats numeric keys as dimensions with their strongest key type', async () => {
+      const fields = await getQlikFields(fakeApp(swimModel));
+      const key = byName(fields, 'athlete_id');
+      expect(key).to.include({
+        type: 'dimension',
+        isKey: true,
+        keyType: 'PRIMARY_KEY',
+        cardinality: 5,
+      });
+      expect(key.tables).to.deep.equal(['Results', 'Athletes']);
+      expect(fields.measures.map((f) => f.name)).to.deep.equal(['time']);
+    });
+
+    it("lists the model's tables with their key fields", async () => {
+      const { tables } = await getQlikFields(fakeApp(swimModel));
+      expect(tables[0]).to.deep.equal({
+        name: 'Results',
+        rowCount: 10,
+        fieldNames: ['athlete_id', 'time', 'meet_date'],
+        keyFields: ['athlete_id'],
+        comment: '',
+      });
+    });
+
+    it("keeps the fields when table metadata can't be read", async () => {
+      const fields = await getQlikFields(
+        fakeApp({ ...swimModel, tables: new Error('No access') }),
+      );
+      expect(fields.all).to.have.length(4);
+      expect(byName(fields, 'athlete_id').tables).to.deep.equal(['Results']);
+      expect(fields.tables).to.deep.equal([]);
+    });
+
+    it('lists master dimensions and measures as mapping targets', async () => {
+      const fields = await getQlikFields(
+        fakeApp({
+          ...swimModel,
+          dimensions: [
+            {
+              qInfo: { qId: 'dim-1' },
+              qData: {
+                title: 'Swimmer',
+                description: 'Athlete name',
+                fieldDefs: ['athlete'],
+              },
+            },
+          ],
+          measures: [
+            {
+              qInfo: { qId: 'msr-1' },
+              qData: { title: 'time', expression: 'Min([time])' },
+            },
+          ],
+        }),
+      );
+      expect(fields.masterDimensions[0]).to.include({
+        name: 'Swimmer',
+        source: 'master',
+        libraryId: 'dim-1',
+        description: 'Athlete name',
+        expression: 'athlete',
+      });
+      expect(fields.masterMeasures[0]).to.include({
+        type: 'measure',
+        expression: 'Min([time])',
+      });
+      // A master item named like a field is a separate target
+      const times = fields.all.filter((f) => f.name === 'time');
+      expect(times.map(fieldKey)).to.deep.equal(['time', 'master:msr-1']);
+    });
+  });
+
+  describe('field loading errors', () => {
+    const rejection = async (promise) => {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    it('fails instead of inventing fields without an app', async () => {
+      const error = await rejection(getQlikFields(null));
+      expect(error.message).to.equal(
+        'No Qlik app is available to read fields from',
+      );
+    });
+
+    it("fails with the engine's reason when the field list can't be read", async () => {
+      const app = {
+        createSessionObject: async () => {
+          throw new Error('Socket closed');
+        },
+      };
+      const error = await rejection(getQlikFields(app));
+      expect(error.message).to.equal(
+        "Could not read the app's fields: Socket closed",
+      );
+    });
+  });
+
+  describe('getDemoQlikFields', () => {
+    it('uses the built-in catalogue when none is configured', () => {
+      const fields = getDemoQlikFields('  ');
+      expect(fields.all).to.have.length(DEMO_FIELD_CATALOG.fields.length);
+      expect(fields.tables.map((t) => t.name)).to.include('Results');
+    });
+
+    it('reads a custom catalogue of fields and master items', () => {
+      const fields = getDemoQlikFields(
+        JSON.stringify({
+          fields: [
+            'name',
+            { name: 'time', type: 'measure', tables: ['Results'] },
+            { name: 'lane', dataType: 'numeric', isKey: true },
+            {
+              name: 'Best time',
+              source: 'master',
+              type: 'measure',
+              expression: 'Min(time)',
+            },
+          ],
+        }),
+      );
+      expect(fields.dimensions.map((f) => f.name)).to.deep.equal([
+        'name',
+        'lane',
+      ]);
+      expect(fields.measures.map((f) => f.name)).to.deep.equal(['time']);
+      expect(fields.masterMeasures[0]).to.include({
+        libraryId: 'demo-Best time',
+        expression: 'Min(time)',
+      });
+      // Tables come from the fields when the catalogue doesn't list them
+      expect(fields.tables).to.deep.equal([
+        {
+          name: 'Results',
+          rowCount: null,
+          fieldNames: ['time'],
+          keyFields: [],
+          comment: '',
+        },
+      ]);
+    });
+
+    it("rejects catalogues it can't use", () => {
+      expect(() => getDemoQlikFields('{fields:')).to.throw(
+        'Demo field catalogue is not valid JSON',
+      );
+      expect(() => getDemoQlikFields('{"fields": []}')).to.throw(
+        'Demo field catalogue must list at least one field',
+      );
+      expect(() => getDemoQlikFields('[{"type": "measure"}]')).to.throw(
+        'Every demo catalogue field needs a name',
+      );
+    });
+  });
+
+  describe('getFieldValueSamples', () => {
+    it('reads up to the requested number of distinct values per field', async () => {
+      const app = fakeApp({
+        values: { team: ['USA', 'AUS', 'GBR'], lane: ['1', '-', '', '2'] },
+      });
+      const samples = await getFieldValueSamples(app, ['team', 'lane'], 2);
+      expect(samples).to.deep.equal({ team: ['USA', 'AUS'], lane: ['1'] });
+    });
+
+    it('leaves out fields without values', async () => {
+      const app = fakeApp({ values: { team: ['USA'] } });
+      const samples = await getFieldValueSamples(app, ['team', 'empty']);
+      expect(samples).to.deep.equal({ team: ['USA'] });
+    });
+
+    it('attaches the samples to the fields from getQlikFields', async () => {
+      const fields = await getQlikFields(
+        fakeApp({ ...swimModel, values: { athlete: ['Ada', 'Bo'] } }),
+      );
+      const athlete = fields.all.find((f) => f.name === 'athlete');
+      expect(athlete.sampleValues).to.deep.equal(['Ada', 'Bo']);
+    });
+  });
+
+  describe('getFieldsForTable', () => {
+    const master = (name, expression) => ({
+      name,
+      source: 'master',
+      libraryId: `id-${name}`,
+      expression,
+    });
+    const qlikFields = {
+      tables: [
+        { name: 'Athletes', fieldNames: ['name', 'athlete_id'] },
+        { name: 'Events', fieldNames: ['name', 'stroke'] },
+      ],
+      all: [
+        { name: 'name', tables: ['Athletes', 'Events'] },
+        { name: 'athlete_id', tables: ['Athletes'] },
+        { name: 'stroke', tables: ['Events'] },
+        master('Best stroke', 'Only([stroke])'),
+        master('Athlete', 'athlete_id'),
+        master('Named', 'Count(name_long)'),
+      ],
+    };
+    const names = (fields) => fields.map((f) => f.name);
+
+    it("keeps the table's fields and the master items built on them", () => {
+      expect(names(getFieldsForTable(qlikFields, 'Events'))).to.deep.equal([
+        'name',
+        'stroke',
+        'Best stroke',
+      ]);
+      expect(names(getFieldsForTable(qlikFields, 'Athletes'))).to.deep.equal([
+        'name',
+        'athlete_id',
+        'Athlete',
+      ]);
+    });
+
+    it('offers every target for an unknown table', () => {
+      expect(getFieldsForTable(qlikFields, 'Splits')).to.equal(qlikFields.all);
+    });
+  });
+});
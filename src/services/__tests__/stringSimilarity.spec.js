@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { compareNames, normalizeName, tokenizeName } from '../stringSimilarity';
+
+describe('stringSimilarity', () => {
+  describe('tokenizeName', () => {
+    it('splits camelCase, snake_case and digits', () => {
+      expect(tokenizeName('swimmerReactionTime_2')).to.deep.equal([
+        'swimmer',
+        'reaction',
+        'time',
+        '2',
+      ]);
+      expect(tokenizeName('HTMLTable')).to.deep.equal(['html', 'table']);
+    });
+
+    it('keeps letters outside ASCII', () => {
+      expect(tokenizeName('Zeit_Läufer')).to.deep.equal(['zeit', 'läufer']);
+      expect(tokenizeName('ВремяЗаплыва')).to.deep.equal(['время', 'заплыва']);
+      expect(tokenizeName('選手名')).to.deep.equal(['選手名']);
+    });
+
+    it('treats composed and decomposed accents alike', () => {
+      expect(normalizeName('Cafe\u0301')).to.equal(normalizeName('Caf\u00e9'));
+    });
+  });
+
+  describe('normalizeName', () => {
+    it('gives different names different keys', () => {
+      expect(normalizeName('Время')).to.not.equal(normalizeName('Имя'));
+    });
+
+    it('is empty for names without letters or digits', () => {
+      expect(normalizeName('---')).to.equal('');
+    });
+  });
+
+  describe('compareNames', () => {
+    it('scores typos and word forms highly', () => {
+      expect(compareNames('athelete', 'athlete').score).to.be.above(0.75);
+      expect(compareNames('Splits Times', 'split_time').score).to.equal(1);
+    });
+
+    it('scores unrelated names low', () => {
+      expect(compareNames('lane', 'name').score).to.be.below(0.5);
+    });
+
+    it('scores names without letters or digits as 0', () => {
+      expect(compareNames('#', '%').score).to.equal(0);
+      expect(compareNames('#', 'time').score).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import { generateHypercubeFromMappings } from '../tableGenerator';
+
+const parsedData = { rows: [{ swimmer: 'Ada', best: 58.31, lane: 4 }] };
+
+describe('tableGenerator', () => {
+  // The generator logs the definitions it builds
+  let log;
+  before(() => {
+    log = console.log;
+    console.log = () => {};
+  });
+  after(() => {
+    console.log = log;
+  });
+
+  describe('generateHypercubeFromMappings', () => {
+    it('references master items by library id', () => {
+      const { hypercubeDef } = generateHypercubeFromMappings(
+        {
+          swimmer: {
+            qlikField: {
+              name: 'Swimmer',
+              type: 'dimension',
+              source: 'master',
+              libraryId: 'dim-1',
+            },
+          },
+          best: {
+            qlikField: {
+              name: 'Best Time',
+              type: 'measure',
+              source: 'master',
+              libraryId: 'msr-1',
+            },
+          },
+        },
+        parsedData,
+      );
+      expect(hypercubeDef.qDimensions).to.deep.equal([
+        {
+          qLibraryId: 'dim-1',
+          qDef: { qFieldLabels: ['swimmer'] },
+          qNullSuppression: false,
+        },
+      ]);
+      expect(hypercubeDef.qMeasures).to.deep.equal([
+        { qLibraryId: 'msr-1', qDef: { qLabel: 'best' } },
+      ]);
+    });
+
+    it('keeps field definitions for raw fields', () => {
+      const { hypercubeDef } = generateHypercubeFromMappings(
+        {
+          lane: { qlikField: { name: 'lane', type: 'dimension' } },
+          best: { qlikField: { name: 'time', type: 'measure' } },
+        },
+        parsedData,
+      );
+      expect(hypercubeDef.qDimensions[0].qDef.qFieldDefs).to.deep.equal([
+        'lane',
+      ]);
+      expect(hypercubeDef.qDimensions[0]).not.to.have.property('qLibraryId');
+      expect(hypercubeDef.qMeasures[0].qDef.qDef).to.equal('Sum([time])');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from 'chai';
+import {
+  applyReconciliation,
+  getDistinctFileValues,
+  getStoredDecisions,
+  getSuggestedDecisions,
+  reconcileValues,
+} from '../valueReconciler';
+import { getAllFieldValues } from '../modelAnalyzer';
+import { compilePipeline } from '../valueTransforms';
+
+const fileValues = (...values) => values.map((value) => ({ value, count: 1 }));
+
+// Engine app whose field list objects hold the given values
+function fakeApp(valuesByField) {
+  const calls = [];
+  return {
+    calls,
+    createSessionObject: async (properties) => {
+      const [name] = properties.qListObjectDef.qDef.qFieldDefs;
+      const values = valuesByField[name];
+      return {
+        id: `list-${name}`,
+        getLayout: async () => ({
+          qListObject: { qSize: { qcx: 1, qcy: values.length } },
+        }),
+        getListObjectData: async (path, [page]) => {
+          calls.push(page);
+          return [
+            {
+              qMatrix: values
+                .slice(page.qTop, page.qTop + page.qHeight)
+                .map((qText) => [{ qText }]),
+            },
+          ];
+        },
+      };
+    },
+    destroySessionObject: async () => {},
+  };
+}
+
+describe('valueReconciler', () => {
+  describe('reconcileValues', () => {
+    it('sorts file values into matched, suggested and new', () => {
+      const results = reconcileValues(
+        fileValues('GBR', 'Great Britain', 'gbr', 'Atlantis'),
+        ['GBR', 'USA', 'AUS'],
+      );
+      expect(results.map((r) => r.status)).to.deep.equal([
+        'matched',
+        'suggested',
+        'suggested',
+        'new',
+      ]);
+      expect(results[1].candidates[0]).to.include({ value: 'GBR', score: 0.8 });
+      expect(results[2].candidates[0]).to.include({
+        value: 'GBR',
+        reason: 'Same value, different case',
+      });
+    });
+
+    it('finds the long form of an abbreviated file value', () => {
+      const [result] = reconcileValues(fileValues('USA'), [
+        'United States of America',
+        'Australia',
+      ]);
+      expect(result.candidates[0].value).to.equal('United States of America');
+    });
+
+    it('does not call a value new when the field was only partly read', () => {
+      const [result] = reconcileValues(fileValues('Atlantis'), ['GBR'], false);
+      expect(result.status).to.equal('unverified');
+    });
+
+    it('finds close values among many field values', () => {
+      const fieldValues = Array.from({ length: 20000 }, (_, i) => `Club ${i}`);
+      fieldValues.push('Swim Club Leeds');
+      const [result] = reconcileValues(
+        fileValues('Swim Club Leds'),
+        fieldValues,
+      );
+      expect(result.status).to.equal('suggested');
+      expect(result.candidates[0].value).to.equal('Swim Club Leeds');
+    });
+  });
+
+  describe('decisions', () => {
+    it('round-trips decisions through the transform pipeline', () => {
+      const results = reconcileValues(fileValues('Great Britain'), ['GBR']);
+      const decisions = getSuggestedDecisions(results);
+      expect(decisions).to.deep.equal({ 'Great Britain': 'GBR' });
+
+      const transforms = applyReconciliation([{ type: 'trim' }], decisions);
+      expect(getStoredDecisions(transforms)).to.deep.equal(decisions);
+      expect(applyReconciliation(transforms, {})).to.deep.equal([
+        { type: 'trim' },
+      ]);
+    });
+
+    it("keeps values holding '=' or line breaks intact", () => {
+      const decisions = { 'A=B': 'Team A=B', 'Two\nlines': 'Two lines' };
+      const transforms = applyReconciliation([], decisions);
+      expect(getStoredDecisions(transforms)).to.deep.equal(decisions);
+
+      const run = compilePipeline(transforms);
+      expect(run('A=B')).to.equal('Team A=B');
+      expect(run('Two\nlines')).to.equal('Two lines');
+      expect(run('A')).to.equal('A');
+    });
+
+    it('counts file values before an earlier reconciliation', () => {
+      const transforms = applyReconciliation([], { 'Great Britain': 'GBR' });
+      const rows = [
+        { team: 'Great Britain' },
+        { team: 'Great Britain' },
+        { team: '' },
+      ];
+      expect(getDistinctFileValues(rows, 'team', transforms)).to.deep.equal([
+        { value: 'Great Britain', count: 2 },
+      ]);
+    });
+  });
+
+  describe('getAllFieldValues', () => {
+    it('pages through every value of a field', async () => {
+      const values = Array.from({ length: 12001 }, (_, i) => `v${i}`);
+      const app = fakeApp({ team: values });
+      const result = await getAllFieldValues(app, ['team'], 50000);
+      expect(result.team.values).to.have.length(12001);
+      expect(result.team.truncated).to.equal(false);
+      expect(app.calls.map((page) => page.qTop)).to.deep.equal([
+        0, 5000, 10000,
+      ]);
+    });
+
+    it('stops at the limit and flags the field as truncated', async () => {
+      const values = Array.from({ length: 300 }, (_, i) => `v${i}`);
+      const result = await getAllFieldValues(
+        fakeApp({ team: values }),
+        ['team'],
+        100,
+      );
+      expect(result.team.values).to.have.length(100);
+      expect(result.team).to.include({ total: 300, truncated: true });
+    });
+  });
+});
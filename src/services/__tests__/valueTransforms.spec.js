@@ -0,0 +1,30 @@
+import { expect } from 'chai';
+import { applyPipeline } from '../valueTransforms';
+
+describe('valueTransforms', () => {
+  describe('fromSeconds', () => {
+    const toTime = (value) => applyPipeline([{ type: 'fromSeconds' }], value);
+
+    it('formats seconds as swim times', () => {
+      expect(toTime(58.31)).to.equal('58.31');
+      expect(toTime(83.45)).to.equal('1:23.45');
+      expect(toTime('125.5')).to.equal('2:05.50');
+    });
+
+    it('rounds before splitting minutes and seconds', () => {
+      expect(toTime(59.999)).to.equal('1:00.00');
+      expect(toTime(119.996)).to.equal('2:00.00');
+      expect(toTime(59.994)).to.equal('59.99');
+    });
+
+    it("passes values that aren't numbers through", () => {
+      expect(toTime('DNF')).to.equal('DNF');
+      expect(toTime(null)).to.equal(null);
+    });
+  });
+
+  it('converts times to seconds and back', () => {
+    const steps = [{ type: 'toSeconds' }, { type: 'fromSeconds' }];
+    expect(applyPipeline(steps, '1:23.45')).to.equal('1:23.45');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * columnExpressions.js - Virtual file columns built from other columns
+ *
+ * Files and data models don't always cut data the same way:
+ * - combine: several file columns joined into one ("First" + "Last" -> "Name")
+ * - split: one file column cut into several by a delimiter or a regular
+ *   expression ("men 100m backstroke" -> gender, distance, stroke)
+ * The outputs are added to parsedData as extra columns (marked virtual), so
+ * they can be mapped, edited and written back like any column from the file.
+ *
+ * Expression shapes:
+ *   { type: "combine", sources: ["First", "Last"], separator: " ", name: "Name" }
+ *   { type: "split", source: "Event", mode: "delimiter" | "regex",
+ *     pattern: " ", outputs: ["Gender", "Distance", "Stroke"] }
+ */
+import { inferColumnType, profileColumn } from './columnProfiler';
+
+/**
+ * Names of the columns an expression produces
+ * @param {Object} expression - Combine or split expression
+ * @returns {Array} - Output column names
+ */
+export function getExpressionOutputs(expression) {
+  return expression.type === 'combine' ? [expression.name] : expression.outputs;
+}
+
+/**
+ * Short human-readable description, e.g. 'First + Last' or 'Event split by " "'
+ */
+export function describeExpression(expression) {
+  if (expression.type === 'combine') {
+    return expression.sources.join(' + ');
+  }
+  return expression.mode === 'regex'
+    ? `${expression.source} matched by /${expression.pattern}/`
+    : `${expression.source} split by "${expression.pattern}"`;
+}
+
+/**
+ * Check an expression before it's added
+ * @param {Object} expression - Combine or split expression
+ * @param {Array} existingNames - Column names already in use
+ * @returns {string|null} - What's wrong, or null when the expression is usable
+ */
+export function validateExpression(expression, existingNames) {
+  const outputs = getExpressionOutputs(expression).map((name) => String(name || '').trim());
+
+  if (expression.type === 'combine' && expression.sources.length < 2) {
+    return 'Pick at least two columns to combine';
+  }
+  if (expression.type === 'split') {
+    if (!expression.source) return 'Pick the column to split';
+    if (!expression.pattern) {
+      return expression.mode === 'regex'
+        ? 'Enter a regular expression'
+        : 'Enter a delimiter';
+    }
+    if (expression.mode === 'regex') {
+      try {
+        RegExp(expression.pattern);
+      } catch (error) {
+        return error.message; // e.g. "Invalid regular expression: /(/: Unterminated group"
+      }
+    }
+  }
+
+  if (outputs.length === 0 || outputs.some((name) => name === '')) {
+    return 'Name every new column';
+  }
+  if (new Set(outputs).size !== outputs.length) {
+    return 'New column names must be different';
+  }
+  const taken = outputs.find((name) => existingNames.includes(name));
+  if (taken) return `A column named "${taken}" already exists`;
+
+  return null;
+}
+
+// Delimiter split - extra parts stay together in the last output
+// ("Smith, John, Jr" into 2 outputs -> "Smith", "John, Jr")
+function splitParts(text, delimiter, outputCount) {
+  const parts = text.split(delimiter);
+  const kept = parts.length <= outputCount
+    ? parts
+    : [
+      ...parts.slice(0, outputCount - 1),
+      parts.slice(outputCount - 1).join(delimiter), // Original spacing
+    ];
+  return kept.map((part) => part.trim());
+}
+
+// Regex split - capture groups fill the outputs in order; without groups
+// the whole match goes to the first output
+function matchParts(text, pattern, outputCount) {
+  const match = new RegExp(pattern, 'i').exec(text);
+  if (!match) return [];
+  const groups = match.slice(1);
+  return (groups.length > 0 ? groups : [match[0]])
+    .slice(0, outputCount)
+    .map((part) => (part === undefined ? undefined : part.trim()));
+}
+
+/**
+ * Compute an expression's output values for one row
+ * @param {Object} expression - Combine or split expression
+ * @param {Object} row - File row keyed by column name
+ * @returns {Object} - {outputName: value} (null when there is nothing to show)
+ */
+export function evaluateExpression(expression, row) {
+  if (expression.type === 'combine') {
+    // Empty cells are skipped so "Smith" + "" doesn't leave a dangling separator
+    const parts = expression.sources
+      .map((source) => row[source])
+      .filter((value) => value !== null && value !== undefined && value !== '')
+      .map(String);
+    return {
+      [expression.name]:
+        parts.length > 0 ? parts.join(expression.separator ?? ' ') : null,
+    };
+  }
+
+  const value = row[expression.source];
+  const text = value === null || value === undefined ? '' : String(value);
+  const parts = expression.mode === 'regex'
+    ? matchParts(text, expression.pattern, expression.outputs.length)
+    : splitParts(text, expression.pattern, expression.outputs.length);
+
+  return expression.outputs.reduce((acc, name, i) => {
+    acc[name] = parts[i] === undefined || parts[i] === '' ? null : parts[i];
+    return acc;
+  }, {});
+}
+
+/**
+ * Inputs and outputs of an expression for the first few rows (live preview)
+ * @param {Object} expression - Combine or split expression
+ * @param {Array} rows - File rows
+ * @param {number} count - Number of rows to preview
+ * @returns {Array} - [{input: {column: value}, output: {column: value}}, ...]
+ */
+export function previewExpression(expression, rows, count = 5) {
+  const inputs = expression.type === 'combine' ? expression.sources : [expression.source];
+
+  return rows.slice(0, count).map((row) => ({
+    input: inputs.reduce((acc, column) => {
+      acc[column] = row[column];
+      return acc;
+    }, {}),
+    output: evaluateExpression(expression, row),
+  }));
+}
+
+/**
+ * Add every expression's outputs to parsedData as virtual columns
+ * @param {Object} parsedData - {columns, rows, totalRows, totalColumns, ...}
+ * @param {Array} expressions - Combine/split expressions (sources are file columns)
+ * @returns {Object} - parsedData with the extra columns and row values
+ */
+export function applyColumnExpressions(parsedData, expressions) {
+  if (!expressions || expressions.length === 0) return parsedData;
+
+  const rows = parsedData.rows.map((row) => expressions.reduce(
+    (acc, expression) => Object.assign(acc, evaluateExpression(expression, row)),
+    { ...row },
+  ));
+
+  // Describe the new columns the same way the parser describes file columns
+  const toColumn = (expression, name) => {
+    const values = rows.map((row) => row[name]);
+    const typeInfo = inferColumnType(values);
+    return {
+      name,
+      type: typeInfo.type,
+      typeConfidence: typeInfo.confidence,
+      format: typeInfo.format,
+      sampleValues: rows.slice(0, 3).map((row) => row[name]),
+      profile: profileColumn(values, typeInfo.type, typeInfo.format),
+      virtual: true, // Built from other columns, not read from the file
+      expression: describeExpression(expression),
+    };
+  };
+  const virtualColumns = expressions.flatMap((expression) => (
+    getExpressionOutputs(expression).map((name) => toColumn(expression, name))
+  ));
+
+  const columns = [...parsedData.columns, ...virtualColumns];
+  return {
+    ...parsedData,
+    columns,
+    rows,
+    totalColumns: columns.length,
+  };
+}
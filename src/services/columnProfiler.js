@@ -0,0 +1,501 @@
+/**
+ * columnProfiler.js - Column Type Inference Service
+ *
+ * Looks at the values of a parsed file column and decides what kind of data
+ * it holds (integer, decimal, date, swim time, category...) together with a
+ * confidence score, so mapping and editing can pick the right behavior.
+ * Also builds per-column statistics (nulls, distinct values, ranges...)
+ * shown next to each file column in the mapper.
+ */
+
+// Columns are sampled evenly across all rows, up to this many values
+const MAX_SAMPLE_VALUES = 10000;
+
+// Text columns with few distinct values are treated as categories
+const MAX_CATEGORY_VALUES = 20; // At most 20 distinct values...
+const MAX_CATEGORY_RATIO = 0.2; // ...and each value repeats ~5 times on average
+const MIN_CATEGORY_SAMPLE = 10; // Too few values to call anything a category
+
+// How many most-frequent values / value patterns a profile keeps
+const TOP_VALUE_COUNT = 5;
+const TOP_PATTERN_COUNT = 3;
+
+// Distinct values kept for comparing a column with Qlik field values
+const DISTINCT_SAMPLE_COUNT = 50;
+
+// Swim times written in minutes must be at least this share of a column's
+// values before plain seconds (52.19) are counted as swim times too
+const MIN_SWIM_TIME_SHARE = 0.1;
+
+// Words accepted as booleans (numbers 0/1 stay integers)
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no'];
+
+// Single letters only count as booleans when a column holds exactly one pair
+// ("F"/"M" gender columns must stay categorical)
+const BOOLEAN_LETTER_PAIRS = [
+  ['y', 'n'],
+  ['t', 'f'],
+];
+
+const MONTH_NAMES = 'jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|january|february|march|april|june|july|august|september|october|november|december';
+
+// Value patterns, checked in order (first match wins)
+const VALUE_PATTERNS = [
+  { type: 'swim_time', pattern: /^\d{1,2}:\d{2}[.,]\d{1,2}$/ }, // 1:23.45
+  { type: 'duration', pattern: /^\d+:\d{2}:\d{2}([.,]\d+)?$/ }, // 1:02:03
+  { type: 'duration', pattern: /^\d+:\d{2}$/ }, // 12:30 (mm:ss)
+  {
+    type: 'duration',
+    pattern: /^P(\d+[YMWD])*(T(\d+[HM])*(\d+([.,]\d+)?S)?)?$/,
+  }, // ISO 8601 PT1M23S
+  { type: 'percentage', pattern: /^[-+]?\d+([.,]\d+)?\s?%$/ }, // 12.5%
+  { type: 'currency', pattern: /^[-+]?[$€£¥]\s?\d[\d,.\s]*$/ }, // $1,200.00
+  { type: 'currency', pattern: /^[-+]?\d[\d,.\s]*\s?[$€£¥]$/ }, // 1.200,00 €
+  { type: 'currency', pattern: /^[A-Z]{3}\s\d[\d,.]*$/ }, // USD 1200
+  { type: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { type: 'integer', pattern: /^[-+]?\d+$/ },
+  { type: 'decimal', pattern: /^[-+]?\d*[.,]\d+$/ },
+];
+
+// Date and date-time patterns with the format they represent
+const DATE_PATTERNS = [
+  {
+    format: 'YYYY-MM-DD',
+    pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/,
+    order: 'ymd',
+  },
+  {
+    format: 'YYYY/MM/DD',
+    pattern: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/,
+    order: 'ymd',
+  },
+  {
+    format: 'DD.MM.YYYY',
+    pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/,
+    order: 'dmy',
+  },
+  {
+    format: 'DD-MM-YYYY',
+    pattern: /^(\d{1,2})-(\d{1,2})-(\d{4})$/,
+    order: 'dmy',
+  },
+  // Day/month order for slashes is resolved across the whole column
+  {
+    format: '??/??/YYYY',
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/,
+    order: 'ambiguous',
+  },
+  {
+    format: 'D MMM YYYY',
+    pattern: new RegExp(
+      `^(\\d{1,2})[\\s-](${MONTH_NAMES})\\.?[\\s-,]+(\\d{4})$`,
+      'i',
+    ),
+    order: 'named',
+  },
+  {
+    format: 'MMM D, YYYY',
+    pattern: new RegExp(
+      `^(${MONTH_NAMES})\\.?\\s(\\d{1,2}),?\\s(\\d{4})$`,
+      'i',
+    ),
+    order: 'named',
+  },
+];
+const DATETIME_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4})[T\s]\d{1,2}:\d{2}(:\d{2}([.,]\d+)?)?\s?(Z|[+-]\d{2}:?\d{2}|[AaPp][Mm])?$/;
+
+// Empty cells never count towards a type (but 0 and false do)
+function isEmptyValue(value) {
+  return (
+    value === null
+    || value === undefined
+    || (typeof value === 'string' && value.trim() === '')
+  );
+}
+
+// Take evenly spaced values across the whole column (not just the first rows)
+function sampleValues(values) {
+  if (values.length <= MAX_SAMPLE_VALUES) return values;
+  const step = values.length / MAX_SAMPLE_VALUES;
+  const sample = [];
+  for (let i = 0; i < MAX_SAMPLE_VALUES; i++) {
+    sample.push(values[Math.floor(i * step)]);
+  }
+  return sample;
+}
+
+// True when the values are exactly the two letters of one boolean pair
+function isLetterBooleanColumn(values) {
+  const letters = new Set(values.map((v) => String(v).trim().toLowerCase()));
+  return BOOLEAN_LETTER_PAIRS.some(
+    (pair) => letters.size === 2 && pair.every((letter) => letters.has(letter)),
+  );
+}
+
+// A positive number under a minute with at most hundredths (52.19)
+function isSecondsValue(number) {
+  return (
+    number > 0
+    && number < 60
+    && Math.abs(number * 100 - Math.round(number * 100)) < 1e-6
+  );
+}
+
+// Reject things like 45/13/2024 that only look like dates
+function isPlausibleDate(match, order) {
+  if (order === 'named') return true;
+  const numbers = match.slice(1, 4).map(Number);
+  if (order === 'ymd') return numbers[1] <= 12 && numbers[2] <= 31;
+  if (order === 'dmy') return numbers[1] <= 12 && numbers[0] <= 31;
+  // Ambiguous: at least one of the first two parts must be a valid month
+  return (
+    numbers[0] <= 31
+    && numbers[1] <= 31
+    && (numbers[0] <= 12 || numbers[1] <= 12)
+  );
+}
+
+// Describe a date-time value's format for display
+function describeDateTime(text) {
+  const datePart = /^\d{4}-/.test(text) ? 'YYYY-MM-DD' : 'DD/MM/YYYY';
+  return `${datePart} HH:mm${/:\d{2}:\d{2}/.test(text) ? ':ss' : ''}`;
+}
+
+// Classify a single value: { type, format?, parts? }
+function classifyValue(value) {
+  // Values already typed by the parser
+  if (typeof value === 'number') {
+    if (Number.isInteger(value)) return { type: 'integer' };
+    return { type: 'decimal', seconds: isSecondsValue(value) };
+  }
+  if (typeof value === 'boolean') return { type: 'boolean' };
+  if (value instanceof Date) {
+    const hasTime = value.getHours() !== 0
+      || value.getMinutes() !== 0
+      || value.getSeconds() !== 0;
+    return hasTime
+      ? { type: 'datetime', format: 'YYYY-MM-DD HH:mm' }
+      : { type: 'date', format: 'YYYY-MM-DD' };
+  }
+
+  const text = String(value).trim();
+  if (BOOLEAN_WORDS.includes(text.toLowerCase())) return { type: 'boolean' };
+
+  if (DATETIME_PATTERN.test(text)) {
+    return { type: 'datetime', format: describeDateTime(text) };
+  }
+  const date = DATE_PATTERNS.map((entry) => ({
+    ...entry,
+    match: text.match(entry.pattern),
+  })).find(({ match, order }) => match && isPlausibleDate(match, order));
+  if (date) {
+    const { format, match, order } = date;
+    return {
+      type: 'date',
+      format,
+      parts: order === 'ambiguous' ? [Number(match[1]), Number(match[2])] : null,
+    };
+  }
+
+  const match = VALUE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (!match) return { type: 'text' };
+  const { type } = match;
+  return type === 'decimal' && /^\d{1,2}[.,]\d{1,2}$/.test(text)
+    ? { type, seconds: isSecondsValue(Number(text.replace(',', '.'))) }
+    : { type };
+}
+
+// Merge related value types and return the winner with its match count
+// secondsLike - decimals that could be swim times under a minute (52.19)
+// total - number of values classified
+function resolveType(breakdown, secondsLike, total) {
+  const count = (type) => breakdown[type] || 0;
+  const merged = { ...breakdown };
+
+  // Swim times under a minute are written as plain seconds (e.g. 52.19) - but
+  // only in a column where minute-style times are a real share of the values;
+  // other decimals and integers stay what they are
+  if (count('swim_time') >= total * MIN_SWIM_TIME_SHARE && secondsLike > 0) {
+    merged.swim_time = count('swim_time') + secondsLike;
+    merged.decimal = count('decimal') - secondsLike;
+    if (merged.decimal === 0) delete merged.decimal;
+  }
+
+  // Integers inside a decimal column are still decimals
+  if (merged.decimal > 0) {
+    merged.decimal += count('integer');
+    delete merged.integer;
+  }
+
+  // A date column with a few timestamps is a date-time column
+  if (count('datetime') > 0 && count('date') > 0) {
+    merged.datetime = count('datetime') + count('date');
+    delete merged.date;
+  }
+
+  const [type, matches] = Object.entries(merged).sort((a, b) => b[1] - a[1])[0];
+  return { type, matches };
+}
+
+// Few distinct values that repeat a lot = category (e.g. team, heat, stroke)
+function isCategorical(values) {
+  if (values.length < MIN_CATEGORY_SAMPLE) return false;
+  const distinct = new Set(values.map((v) => String(v).trim().toLowerCase()));
+  return (
+    distinct.size <= MAX_CATEGORY_VALUES
+    && distinct.size / values.length <= MAX_CATEGORY_RATIO
+  );
+}
+
+// Pick the most common date format, settling DD/MM vs MM/DD from the data
+function resolveDateFormat(dateFormats, dateParts) {
+  const entries = Object.entries(dateFormats).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return null;
+  const format = entries[0][0];
+  if (!format.startsWith('??')) return format;
+
+  // First part above 12 means day-first; second part above 12 means month-first
+  const dayFirst = dateParts.some(([first]) => first > 12);
+  const monthFirst = dateParts.some(([, second]) => second > 12);
+  if (monthFirst && !dayFirst) return 'MM/DD/YYYY';
+  return 'DD/MM/YYYY'; // Day-first when the data doesn't tell us otherwise
+}
+
+/**
+ * Infer the type of a column from its values
+ * @param {Array} values - All values of the column (nulls allowed)
+ * @returns {Object} - { type, confidence, format, breakdown }
+ *   type: integer | decimal | percentage | currency | date | datetime |
+ *         duration | swim_time | boolean | email | categorical | text
+ */
+export function inferColumnType(values) {
+  const sample = sampleValues(values);
+  const nonEmpty = sample.filter((v) => !isEmptyValue(v));
+
+  // Nothing to look at - fall back to text with no confidence
+  if (nonEmpty.length === 0) {
+    return {
+      type: 'text', confidence: 0, format: null, breakdown: {},
+    };
+  }
+
+  // Y/N and T/F columns are booleans as a whole, not value by value
+  if (isLetterBooleanColumn(nonEmpty)) {
+    return {
+      type: 'boolean',
+      confidence: 1,
+      format: null,
+      breakdown: { boolean: nonEmpty.length },
+    };
+  }
+
+  // Step 1: Classify every sampled value
+  const breakdown = {};
+  const dateParts = []; // Day/month candidates for ambiguous slash dates
+  const dateFormats = {};
+  let secondsLike = 0; // Decimals that read as swim times under a minute
+  nonEmpty.forEach((value) => {
+    const result = classifyValue(value);
+    breakdown[result.type] = (breakdown[result.type] || 0) + 1;
+    if (result.seconds) secondsLike += 1;
+    if (result.format) {
+      dateFormats[result.format] = (dateFormats[result.format] || 0) + 1;
+    }
+    if (result.parts) dateParts.push(result.parts);
+  });
+
+  // Step 2: Pick the dominant type, merging types that belong together
+  const { type, matches } = resolveType(
+    breakdown,
+    secondsLike,
+    nonEmpty.length,
+  );
+
+  // Step 3: Low-cardinality text columns are categories
+  let finalType = type;
+  if (type === 'text' && isCategorical(nonEmpty)) {
+    finalType = 'categorical';
+  }
+
+  // Step 4: Work out the date format (e.g. DD/MM/YYYY vs MM/DD/YYYY)
+  const format = finalType === 'date' || finalType === 'datetime'
+    ? resolveDateFormat(dateFormats, dateParts)
+    : null;
+
+  return {
+    type: finalType,
+    confidence: Math.round((matches / nonEmpty.length) * 100) / 100,
+    format,
+    breakdown,
+  };
+}
+
+// Reduce a value to its shape: each digit -> 9, letter runs -> A/a
+// e.g. "1:02.33" -> "9:99.99", "USA" -> "A", "Murphy Ryan" -> "Aa Aa"
+function describePattern(text) {
+  return text
+    .replace(/[0-9]/g, '9')
+    .replace(/[A-Z]+/g, 'A')
+    .replace(/[a-z]+/g, 'a')
+    .slice(0, 30); // Long free text isn't a useful pattern
+}
+
+/**
+ * Whether a column type holds numbers (useful for measures and inputs)
+ */
+export function isNumericType(type) {
+  return ['integer', 'decimal', 'percentage', 'currency', 'numeric'].includes(
+    type,
+  );
+}
+
+// Numeric view of a value for statistics (seconds for swim times/durations)
+function toNumber(value, type) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value).trim();
+
+  if (type === 'swim_time' || type === 'duration') {
+    // "1:02:03.5" / "1:23.45" / "52.19" -> seconds
+    const parts = text.replace(',', '.').split(':').map(Number);
+    if (parts.some((part) => Number.isNaN(part))) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  if (isNumericType(type)) {
+    // Strip currency symbols and percent signs, then work out which
+    // separator is the decimal one ("1.200,50" vs "1,200.50" vs "1,200")
+    let cleaned = text.replace(/[^0-9.,-]/g, '');
+    const commaIsDecimal = cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.')
+      && !/,\d{3}$/.test(cleaned);
+    cleaned = commaIsDecimal
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+    const number = parseFloat(cleaned);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  return null;
+}
+
+// Milliseconds for a date or date-time value, reading numeric dates in the
+// column's own day/month order (Date.parse would take 03/04 as March 4th)
+function toTimestamp(text, format) {
+  const [datePart, timePart = ''] = text.split(/[T\s](?=\d{1,2}:)/);
+  const match = datePart.match(/^(\d{1,4})[./-](\d{1,2})[./-](\d{2,4})$/);
+  if (!match) return Date.parse(text); // Named months, e.g. "5 Jan 2024"
+
+  let [, first, second, third] = match.map(Number);
+  if (match[1].length === 4) {
+    [first, third] = [third, first]; // YYYY-MM-DD
+  } else if (format?.startsWith('MM/DD')) {
+    [first, second] = [second, first];
+  }
+  const year = third < 100 ? 2000 + third : third;
+
+  const time = timePart.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  let hours = time ? Number(time[1]) : 0;
+  if (/pm$/i.test(timePart) && hours < 12) hours += 12;
+  if (/am$/i.test(timePart) && hours === 12) hours = 0;
+  return Date.UTC(
+    year,
+    second - 1,
+    first,
+    hours,
+    time ? Number(time[2]) : 0,
+    time?.[3] ? Number(time[3]) : 0,
+  );
+}
+
+// min/max (and mean/stddev for numbers) depending on the column type
+function describeRange(valueCounts, numbers, type, format) {
+  const empty = {
+    min: null, max: null, mean: null, stddev: null,
+  };
+
+  if (numbers.length > 0 && type !== 'date' && type !== 'datetime') {
+    let min = numbers[0];
+    let max = numbers[0];
+    let sum = 0;
+    numbers.forEach((n) => {
+      if (n < min) min = n;
+      if (n > max) max = n;
+      sum += n;
+    });
+    const mean = sum / numbers.length;
+    const variance = numbers.reduce((total, n) => total + (n - mean) ** 2, 0) / numbers.length;
+    return {
+      min, max, mean, stddev: Math.sqrt(variance),
+    };
+  }
+
+  if (type === 'date' || type === 'datetime') {
+    // Compare parseable dates; keep the original text for display
+    const dated = [...valueCounts.keys()]
+      .map((text) => ({ text, time: toTimestamp(text, format) }))
+      .filter((d) => !Number.isNaN(d.time))
+      .sort((a, b) => a.time - b.time);
+    if (dated.length === 0) return empty;
+    return { ...empty, min: dated[0].text, max: dated[dated.length - 1].text };
+  }
+
+  return empty;
+}
+
+/**
+ * Build summary statistics for a column
+ * @param {Array} values - All values of the column (nulls allowed)
+ * @param {string} type - Column type from inferColumnType
+ * @param {string} format - Date format from inferColumnType (orders dates
+ *   like 03/04/2024 the way the column writes them)
+ * @returns {Object} - { count, nullCount, distinctCount, min, max, mean,
+ *   stddev, topValues: [{value, count}], patterns: [{pattern, count}],
+ *   distinctSample: [value, ...] }
+ */
+export function profileColumn(values, type, format = null) {
+  let nullCount = 0;
+  const valueCounts = new Map(); // Distinct value -> occurrences
+  const patternCounts = new Map(); // Value shape (e.g. "9:99.99") -> occurrences
+  const numbers = []; // Numeric view of the values (for numeric-like types)
+
+  values.forEach((value) => {
+    if (isEmptyValue(value)) {
+      nullCount++;
+      return;
+    }
+    const key = value instanceof Date ? value.toISOString() : String(value);
+    valueCounts.set(key, (valueCounts.get(key) || 0) + 1);
+
+    const pattern = describePattern(key);
+    patternCounts.set(pattern, (patternCounts.get(pattern) || 0) + 1);
+
+    const number = toNumber(value, type);
+    if (number !== null) numbers.push(number);
+  });
+
+  // Most frequent values and shapes first
+  const byCount = (a, b) => b[1] - a[1];
+  const sortedValues = [...valueCounts.entries()].sort(byCount);
+  const topValues = sortedValues
+    .slice(0, TOP_VALUE_COUNT)
+    .map(([value, count]) => ({ value, count }));
+  const patterns = [...patternCounts.entries()]
+    .sort(byCount)
+    .slice(0, TOP_PATTERN_COUNT)
+    .map(([pattern, count]) => ({ pattern, count }));
+
+  // Range and spread for numbers, swim times (in seconds) and dates
+  const range = describeRange(valueCounts, numbers, type, format);
+
+  return {
+    count: values.length - nullCount, // Non-empty values
+    nullCount, // Empty cells
+    distinctCount: valueCounts.size, // Unique non-empty values
+    ...range, // min, max, mean, stddev
+    topValues,
+    patterns,
+    // Most frequent distinct values as text (for value-based matching)
+    distinctSample: sortedValues
+      .slice(0, DISTINCT_SAMPLE_COUNT)
+      .map(([value]) => value),
+  };
+}
@@ -0,0 +1,81 @@
+// demoCatalog.js - Built-in field catalogue for demo mode
+// Used when demoMode is on and no custom catalogue JSON is configured.
+// A custom catalogue uses the same shape (see getDemoQlikFields):
+//   { "tables": [...optional...], "fields": [{ "name", "type", "dataType",
+//     "tables", "isKey", "sampleValues", "source", "expression" }, ...] }
+const DEMO_FIELD_CATALOG = {
+  fields: [
+    // Swimming competition results
+    {
+      name: 'name',
+      type: 'dimension',
+      dataType: 'text',
+      tables: ['Results'],
+      sampleValues: ['Ledecky, Katie', 'McKeown, Kaylee', 'Dressel, Caeleb'],
+    },
+    {
+      name: 'athlete',
+      type: 'dimension',
+      dataType: 'text',
+      tables: ['Results'],
+    },
+    {
+      name: 'team',
+      type: 'dimension',
+      dataType: 'text',
+      tables: ['Results'],
+      sampleValues: ['AUS', 'CAN', 'GBR', 'USA'],
+    },
+    {
+      name: 'competition',
+      type: 'dimension',
+      dataType: 'text',
+      tables: ['Results'],
+    },
+    {
+      name: 'event',
+      type: 'dimension',
+      dataType: 'text',
+      tables: ['Results'],
+      sampleValues: ['100 Free', '200 Back', '100 Breast', '400 IM'],
+    },
+    {
+      name: 'heat', type: 'dimension', dataType: 'text', tables: ['Results'],
+    },
+    {
+      name: 'lane', type: 'dimension', dataType: 'text', tables: ['Results'],
+    },
+    {
+      name: 'dq', type: 'dimension', dataType: 'text', tables: ['Results'],
+    },
+    {
+      name: 'time', type: 'measure', dataType: 'numeric', tables: ['Results'],
+    },
+    {
+      name: 'lap_time',
+      type: 'measure',
+      dataType: 'numeric',
+      tables: ['Results'],
+    },
+    {
+      name: 'place',
+      type: 'measure',
+      dataType: 'numeric',
+      tables: ['Results'],
+    },
+    {
+      name: 'reaction_time',
+      type: 'measure',
+      dataType: 'numeric',
+      tables: ['Results'],
+    },
+    {
+      name: 'distance',
+      type: 'measure',
+      dataType: 'numeric',
+      tables: ['Results'],
+    },
+  ],
+};
+
+export default DEMO_FIELD_CATALOG;
@@ -0,0 +1,360 @@
+/**
+ * domainDictionaries.js - Sport-specific vocabulary for the mapping engine
+ *
+ * Each dictionary describes how one domain names its columns:
+ * - synonyms: name pattern -> names it may map to (checked in both directions)
+ * - abbreviations: short tokens expanded before matching ("rt" -> "reaction_time")
+ * - priorityPairs: high-confidence pairs checked before the synonyms; a pair is
+ *   skipped when either name contains one of its "exclude" terms
+ * Patterns are matched against lower-case snake_case names with "includes".
+ */
+
+// Score for a plain synonym hit (priority pairs carry their own)
+export const DOMAIN_SYNONYM_CONFIDENCE = 0.7;
+
+export const DOMAIN_DICTIONARIES = {
+  swimming: {
+    label: 'Swimming',
+    synonyms: {
+      // Exact field mappings first
+      name: ['name', 'athlete', 'swimmer'],
+      reaction_time: ['reaction_time'], // Only exact match for reaction_time
+      lap_time: ['lap_time', 'split_time'], // lap_time should NOT map to "time"
+      time: ['time', 'duration', 'result'],
+      place: ['place', 'rank', 'position'],
+      event: ['event', 'race', 'competition'],
+      team: ['team', 'club', 'country'],
+      heat: ['heat', 'round', 'session'],
+      lane: ['lane', 'position'],
+      distance: ['distance', 'length', 'meters'],
+      competition: ['competition', 'meet', 'tournament'], // competition should NOT map to reaction_time
+    },
+    abbreviations: {
+      rt: 'reaction_time',
+      rxn: 'reaction',
+      pos: 'position',
+      pl: 'place',
+      dist: 'distance',
+      comp: 'competition',
+      evt: 'event',
+    },
+    priorityPairs: [
+      { file: 'reaction_time', qlik: 'reaction_time', confidence: 0.95 },
+      { file: 'lap_time', qlik: 'lap_time', confidence: 0.95 },
+      {
+        file: 'time',
+        qlik: 'time',
+        confidence: 0.95,
+        exclude: ['reaction', 'lap', 'split'],
+      },
+    ],
+  },
+
+  track: {
+    label: 'Track & Field',
+    synonyms: {
+      name: ['name', 'athlete', 'runner'],
+      reaction_time: ['reaction_time'],
+      time: ['time', 'mark', 'result', 'performance'],
+      wind: ['wind', 'wind_speed'],
+      place: ['place', 'rank', 'position'],
+      event: ['event', 'discipline'],
+      team: ['team', 'club', 'country', 'nation'],
+      heat: ['heat', 'round', 'race'],
+      lane: ['lane'],
+      bib: ['bib', 'number'],
+      distance: ['distance', 'meters'],
+      competition: ['competition', 'meet', 'championship'],
+    },
+    abbreviations: {
+      rt: 'reaction_time',
+      pos: 'position',
+      pl: 'place',
+      perf: 'performance',
+      nat: 'nation',
+      ws: 'wind_speed',
+      no: 'number',
+    },
+    priorityPairs: [
+      { file: 'reaction_time', qlik: 'reaction_time', confidence: 0.95 },
+      { file: 'wind', qlik: 'wind', confidence: 0.95 },
+      {
+        file: 'time',
+        qlik: 'time',
+        confidence: 0.95,
+        exclude: ['reaction'],
+      },
+    ],
+  },
+
+  cycling: {
+    label: 'Cycling',
+    synonyms: {
+      name: ['name', 'rider', 'cyclist'],
+      team: ['team', 'squad'],
+      stage: ['stage', 'leg'],
+      gap: ['gap', 'behind', 'time_gap'],
+      time: ['time', 'duration', 'result'],
+      speed: ['speed', 'avg_speed', 'velocity'],
+      power: ['power', 'watts'],
+      cadence: ['cadence', 'rpm'],
+      heart_rate: ['heart_rate', 'hr', 'bpm'],
+      elevation: ['elevation', 'climb', 'ascent'],
+      distance: ['distance', 'length', 'km'],
+      place: ['place', 'rank', 'position'],
+    },
+    abbreviations: {
+      hr: 'heart_rate',
+      spd: 'speed',
+      pwr: 'power',
+      cad: 'cadence',
+      elev: 'elevation',
+      avg: 'average',
+      pos: 'position',
+    },
+    priorityPairs: [
+      { file: 'heart_rate', qlik: 'heart_rate', confidence: 0.95 },
+      { file: 'gap', qlik: 'gap', confidence: 0.95 },
+      {
+        file: 'time',
+        qlik: 'time',
+        confidence: 0.95,
+        exclude: ['gap'],
+      },
+    ],
+  },
+
+  triathlon: {
+    label: 'Triathlon',
+    synonyms: {
+      name: ['name', 'athlete', 'triathlete'],
+      swim_time: ['swim'],
+      bike_time: ['bike', 'cycle'],
+      run_time: ['run'],
+      t1: ['t1', 'transition_1'],
+      t2: ['t2', 'transition_2'],
+      total_time: ['total', 'finish', 'overall'],
+      age_group: ['age_group', 'category', 'division'],
+      place: ['place', 'rank', 'position'],
+      team: ['team', 'club', 'country'],
+    },
+    abbreviations: {
+      ag: 'age_group',
+      cat: 'category',
+      div: 'division',
+      pos: 'position',
+      tot: 'total',
+    },
+    priorityPairs: [
+      { file: 'swim', qlik: 'swim', confidence: 0.95 },
+      { file: 'bike', qlik: 'bike', confidence: 0.95 },
+      { file: 'run', qlik: 'run', confidence: 0.95 },
+      { file: 'total', qlik: 'total', confidence: 0.95 },
+    ],
+  },
+};
+
+// Dictionary used when domain knowledge is switched off
+const EMPTY_DICTIONARY = {
+  label: 'None',
+  synonyms: {},
+  abbreviations: {},
+  priorityPairs: [],
+};
+
+/**
+ * Dropdown options for the property panel
+ * @returns {Array} - [{value, label}, ...]
+ */
+export function getDomainOptions() {
+  return [
+    ...Object.entries(DOMAIN_DICTIONARIES).map(([value, dictionary]) => ({
+      value,
+      label: dictionary.label,
+    })),
+    { value: 'custom', label: 'Custom (JSON)' },
+    { value: 'none', label: 'None' },
+  ];
+}
+
+// A non-empty name (blank text would match every field)
+function isName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function toMatchName(name) {
+  return name.trim().toLowerCase();
+}
+
+// Keep the entries of a custom section whose value passes isValid
+// (keys and values are lower-cased to match the names they're compared with;
+// an empty name would be contained in every name, so it is never kept)
+function validEntries(section, sectionName, isValid, expected, warnings) {
+  if (section === undefined) return {};
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    warnings.push(`${sectionName} must be an object`);
+    return {};
+  }
+  return Object.entries(section).reduce((acc, [key, value]) => {
+    if (!isName(key)) {
+      warnings.push(`${sectionName} has an entry without a name`);
+    } else if (isValid(value)) {
+      acc[toMatchName(key)] = Array.isArray(value)
+        ? value.map(toMatchName)
+        : toMatchName(value);
+    } else {
+      warnings.push(`${sectionName}.${key} must be ${expected}`);
+    }
+    return acc;
+  }, {});
+}
+
+function isNameList(value) {
+  return Array.isArray(value) && value.every(isName);
+}
+
+// Keep the custom priority pairs that name both sides (lower-cased)
+function validPriorityPairs(pairs, warnings) {
+  if (pairs === undefined) return [];
+  if (!Array.isArray(pairs)) {
+    warnings.push('priorityPairs must be a list');
+    return [];
+  }
+  return pairs.reduce((acc, pair, index) => {
+    const isValid = pair
+      && isName(pair.file)
+      && isName(pair.qlik)
+      && (pair.confidence === undefined
+        || (typeof pair.confidence === 'number'
+          && pair.confidence >= 0
+          && pair.confidence <= 1))
+      && (pair.exclude === undefined || isNameList(pair.exclude));
+    if (!isValid) {
+      warnings.push(
+        `priorityPairs[${index}] needs "file" and "qlik" names (optional confidence 0-1 and exclude list)`,
+      );
+      return acc;
+    }
+    acc.push({
+      ...pair,
+      file: toMatchName(pair.file),
+      qlik: toMatchName(pair.qlik),
+      ...(pair.exclude && { exclude: pair.exclude.map(toMatchName) }),
+    });
+    return acc;
+  }, []);
+}
+
+/**
+ * Resolve the dictionary selected in the smartMapping properties
+ * @param {string} domain - Registry key, "custom" or "none"
+ * @param {string} customJson - Custom dictionary JSON (used when domain is "custom")
+ * @returns {Object} - { label, synonyms, abbreviations, priorityPairs } plus,
+ *   for custom dictionaries, warnings: [message, ...] for entries left out
+ *   because they don't have the expected shape
+ */
+export function getDomainDictionary(domain = 'swimming', customJson = '') {
+  if (domain === 'none') return EMPTY_DICTIONARY;
+  if (domain !== 'custom') {
+    return DOMAIN_DICTIONARIES[domain] || DOMAIN_DICTIONARIES.swimming;
+  }
+
+  let custom;
+  try {
+    custom = JSON.parse(customJson || '{}');
+  } catch (error) {
+    throw new Error(`Custom dictionary is not valid JSON: ${error.message}`);
+  }
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error('Custom dictionary must be a JSON object');
+  }
+
+  // "extends" builds on a registered dictionary; custom entries win
+  const base = custom.extends
+    ? DOMAIN_DICTIONARIES[custom.extends] || EMPTY_DICTIONARY
+    : EMPTY_DICTIONARY;
+  const warnings = [];
+  if (custom.extends && !DOMAIN_DICTIONARIES[custom.extends]) {
+    warnings.push(`Unknown dictionary "${custom.extends}" in extends`);
+  }
+
+  // Entries with the wrong shape are left out (and reported) so they can't
+  // break matching later
+  const synonyms = validEntries(
+    custom.synonyms,
+    'synonyms',
+    isNameList,
+    'a list of names',
+    warnings,
+  );
+  const abbreviations = validEntries(
+    custom.abbreviations,
+    'abbreviations',
+    isName,
+    'a name',
+    warnings,
+  );
+  const priorityPairs = validPriorityPairs(custom.priorityPairs, warnings);
+
+  return {
+    label: typeof custom.label === 'string' ? custom.label : 'Custom',
+    synonyms: { ...base.synonyms, ...synonyms },
+    abbreviations: { ...base.abbreviations, ...abbreviations },
+    // Custom pairs are checked before the base dictionary's pairs
+    priorityPairs: [...priorityPairs, ...base.priorityPairs],
+    warnings,
+  };
+}
+
+// "RT_1" / "rt 1" -> "reaction_time_1" using the dictionary's abbreviations
+function expandAbbreviations(name, abbreviations) {
+  return name
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map((token) => abbreviations[token] || token)
+    .join('_');
+}
+
+/**
+ * Score a file column name against a Qlik field name with a dictionary
+ * @param {string} fileName - Lower-case file column name
+ * @param {string} qlikName - Lower-case Qlik field name
+ * @param {Object} dictionary - From getDomainDictionary
+ * @returns {Object|null} - { confidence, reason } or null when nothing matches
+ */
+export function checkDomainMatch(fileName, qlikName, dictionary) {
+  const file = expandAbbreviations(fileName, dictionary.abbreviations);
+  const qlik = expandAbbreviations(qlikName, dictionary.abbreviations);
+
+  // Priority pairs first - specific pairs that deserve near-exact confidence
+  const pair = dictionary.priorityPairs.find(
+    (p) => file.includes(p.file)
+      && qlik.includes(p.qlik)
+      && !(p.exclude || []).some(
+        (term) => file.includes(term) || qlik.includes(term),
+      ),
+  );
+  if (pair) {
+    return {
+      confidence: pair.confidence ?? 0.95,
+      reason: `${dictionary.label} domain match (${pair.file} → ${pair.qlik})`,
+    };
+  }
+
+  // Then the synonym table in declaration order - works both ways, so
+  // "swimmer" -> "name" matches as well as "name" -> "swimmer"
+  const synonym = Object.entries(dictionary.synonyms)
+    .map(([pattern, aliases]) => ({
+      pattern,
+      alias:
+        (file.includes(pattern) && aliases.find((a) => qlik.includes(a)))
+        || (qlik.includes(pattern) && aliases.find((a) => file.includes(a))),
+    }))
+    .find(({ alias }) => alias);
+  if (!synonym) return null;
+
+  return {
+    confidence: DOMAIN_SYNONYM_CONFIDENCE,
+    reason: `${dictionary.label} domain match (${synonym.pattern} ≈ ${synonym.alias})`,
+  };
+}
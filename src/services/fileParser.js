@@ -1,33 +1,285 @@
 // ===== 1. SIMPLE FILE PARSER =====
-// fileParser.js - Only handles clean CSV files (no Excel corruption handling)
-import Papa from "papaparse";
+// fileParser.js - Handles CSV/TSV, Excel workbooks (.xlsx/.xls), JSON, NDJSON
+// and SDIF swim results (.cl2/.sd3) files
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { inferColumnType, profileColumn } from './columnProfiler';
+
+// Size of each slice read from disk while streaming large CSV files
+const CSV_CHUNK_SIZE = 1024 * 1024; // 1 MB
+
+// How much of the file is read to sniff the dialect and build the preview
+const DIALECT_SAMPLE_SIZE = 64 * 1024; // 64 KB
+
+// Rows used to type and profile the columns - profiling every row of a large
+// file would block the page after parsing; evenly spaced rows are used instead
+const MAX_PROFILE_ROWS = 10000;
+
+// Delimiters we try when sniffing (comma, semicolon, tab, pipe)
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Same number pattern PapaParse's dynamicTyping uses
+const NUMBER_PATTERN = /^\s*-?(\d+\.?|\.\d+|\d+\.\d+)([eE][-+]?\d+)?\s*$/;
+
+// Defaults used when no dialect is supplied (plain UTF-8 comma CSV)
+export const DEFAULT_CSV_DIALECT = {
+  encoding: 'utf-8', // Text encoding of the file
+  delimiter: '', // Empty = let PapaParse auto-detect
+  quoteChar: '"', // Character wrapping quoted fields
+  headerRow: 0, // Index of the row holding column names
+  skipRows: 0, // Data rows to ignore directly below the header (e.g. units)
+  decimalSeparator: '.', // "." or "," for European exports
+};
+
+// Describe what is wrong with a data row, or return null if it is fine
+function detectRowIssue(values, fields, papaError) {
+  // Broken quoting reported by PapaParse (fields may have swallowed the next lines)
+  if (papaError) {
+    return { type: papaError.code, message: papaError.message };
+  }
+  if (values.length < fields.length) {
+    return {
+      type: 'TooFewFields',
+      message: `Expected ${fields.length} fields but found ${values.length}`,
+    };
+  }
+  if (values.length > fields.length) {
+    return {
+      type: 'TooManyFields',
+      message: `Expected ${fields.length} fields but found ${values.length}`,
+    };
+  }
+  return null;
+}
+
+// Line breaks inside a row's values (quoted multi-line fields)
+function countLineBreaks(values) {
+  return values.reduce(
+    (count, value) => count + (value.match(/\r\n|\r|\n/g) || []).length,
+    0,
+  );
+}
+
+// Make header names non-empty and unique (same rules for CSV and Excel)
+function cleanHeaderNames(headerCells) {
+  const seen = {};
+  return headerCells.map((cell, index) => {
+    let name = cell === undefined || cell === null || String(cell).trim() === ''
+      ? `Column ${index + 1}`
+      : String(cell).trim();
+
+    // Duplicate headers get a numeric suffix (name, name_1, name_2...)
+    if (seen[name] !== undefined) {
+      seen[name]++;
+      name = `${name}_${seen[name]}`;
+    } else {
+      seen[name] = 0;
+    }
+    return name;
+  });
+}
+
+// Convert a raw CSV string into a number/boolean/null where it clearly is one
+function coerceValue(raw, decimalSeparator) {
+  if (raw === '') return null;
+  if (raw === 'true' || raw === 'TRUE') return true;
+  if (raw === 'false' || raw === 'FALSE') return false;
+
+  // European numbers: "1.234,56" -> "1234.56", "12,5" -> "12.5"
+  let normalised = raw;
+  if (decimalSeparator === ',') {
+    normalised = /^\s*-?\d{1,3}(\.\d{3})+(,\d+)?\s*$/.test(raw)
+      ? raw.replace(/\./g, '').replace(',', '.')
+      : raw.replace(',', '.');
+  }
+
+  if (NUMBER_PATTERN.test(normalised)) {
+    const number = parseFloat(normalised);
+    // Keep huge integers (IDs) as text so they don't lose precision
+    if (Number.isSafeInteger(Math.trunc(number))) return number;
+  }
+  return raw;
+}
+
+// Build a row object from raw values, typing each value like dynamicTyping did
+function toRowObject(fields, values, decimalSeparator) {
+  const row = {};
+  fields.forEach((field, index) => {
+    row[field] = values[index] === undefined
+      ? null
+      : coerceValue(values[index], decimalSeparator);
+  });
+  return row;
+}
+
+// Error used when the user cancels a parse in flight
+function createAbortError() {
+  const error = new Error('File parsing was cancelled');
+  error.name = 'AbortError'; // Same name fetch() uses, so callers can ignore it
+  return error;
+}
+
+// Evenly spaced rows across the whole file (all rows when there are few)
+function sampleRows(rows, limit) {
+  if (rows.length <= limit) return rows;
+  const step = rows.length / limit;
+  return Array.from({ length: limit }, (_, i) => rows[Math.floor(i * step)]);
+}
+
+// Build the standard parsedData shape shared by every parser
+function buildParsedData(fieldNames, rows) {
+  const profileRows = sampleRows(rows, MAX_PROFILE_ROWS);
+
+  // Analyze each column to understand its data type and content
+  const columns = fieldNames.map((fieldName) => {
+    const values = profileRows.map((row) => row[fieldName]);
+    const typeInfo = inferColumnType(values);
+    return {
+      name: fieldName, // Column name from the file header
+      type: typeInfo.type, // integer/decimal/date/swim_time/categorical/text...
+      typeConfidence: typeInfo.confidence, // Share of values matching the type (0-1)
+      format: typeInfo.format, // Detected date format (e.g. "DD/MM/YYYY"), else null
+      sampleValues: rows.slice(0, 3).map((row) => row[fieldName]), // First 3 values for preview
+      profile: {
+        ...profileColumn(values, typeInfo.type, typeInfo.format), // Nulls, distinct values, ranges, patterns
+        sampledRows:
+          profileRows.length < rows.length ? profileRows.length : null, // Rows profiled when not all were
+      },
+    };
+  });
+
+  return {
+    columns, // Array of column info objects
+    rows, // Array of data rows
+    totalRows: rows.length, // Count for display
+    totalColumns: columns.length, // Count for display
+  };
+}
+
+// Stream a CSV file in chunks so large files don't freeze the panel
+// options.dialect - overrides for DEFAULT_CSV_DIALECT (see sniffCSVDialect)
+// options.onProgress({ rowsParsed, bytesParsed, totalBytes, percent }) - called after every chunk
+// options.signal - AbortSignal; aborting rejects with an error named "AbortError"
+export async function parseCSVFile(file, options = {}) {
+  const { onProgress, signal } = options;
+  const dialect = { ...DEFAULT_CSV_DIALECT, ...options.dialect };
 
-export async function parseCSVFile(file) {
   try {
-    console.log("Parsing clean CSV file:", file.name);
+    console.log('Parsing clean CSV file:', file.name, dialect);
 
     // Use PapaParse library to convert CSV to JavaScript objects
     return new Promise((resolve, reject) => {
+      // Cancelled before we even started
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const rows = []; // Rows collected across all chunks
+      const issues = []; // Malformed rows held back for review
+      let fields = null; // Header names, set once the header row is reached
+      let rowIndex = 0; // Index of the current non-blank row (header included)
+      let lineNumber = 1; // 1-based file line the current row starts on
+      let { delimiter } = dialect; // Filled in when auto-detected
+
       Papa.parse(file, {
-        header: true, // First row becomes column names
-        skipEmptyLines: true, // Ignore blank rows
-        dynamicTyping: true, // Auto-convert "123" to number 123
+        header: false, // We pick the header row ourselves (it may not be the first)
+        // Blank rows are skipped below - PapaParse's own skipping would shift
+        // the row numbers its errors refer to
+        skipEmptyLines: false,
+        dynamicTyping: false, // Values are typed by coerceValue (decimal separator aware)
+        encoding: dialect.encoding, // e.g. "windows-1252" for older European exports
+        delimiter: dialect.delimiter, // Empty string = auto-detect
+        quoteChar: dialect.quoteChar,
+        chunkSize: CSV_CHUNK_SIZE, // Read the file slice by slice
+        chunk: (results, parser) => {
+          // Stop reading as soon as the user cancels
+          if (signal && signal.aborted) {
+            parser.abort();
+            return;
+          }
+
+          delimiter = results.meta.delimiter || delimiter;
+
+          // PapaParse errors (broken quoting etc.) by row index within this chunk
+          const chunkErrors = new Map();
+          results.errors.forEach((error) => {
+            if (error.row !== undefined) chunkErrors.set(error.row, error);
+          });
+
+          // Turn raw rows into objects without spreading (chunks can hold many thousands)
+          results.data.forEach((values, i) => {
+            const line = lineNumber;
+            lineNumber += 1 + countLineBreaks(values); // Quoted values can span lines
+
+            // Ignore blank rows (including ";;;" delimiter-only rows)
+            if (values.every((value) => value.trim() === '')) return;
+            const recordIndex = rowIndex++;
+
+            if (recordIndex < dialect.headerRow) return; // Lines above the header
+            if (recordIndex === dialect.headerRow) {
+              fields = cleanHeaderNames(values);
+              return;
+            }
+            if (recordIndex <= dialect.headerRow + dialect.skipRows) return; // Rows below the header to ignore
+
+            // Hold back rows that would otherwise vanish or shift columns
+            const issue = detectRowIssue(values, fields, chunkErrors.get(i));
+            if (issue) {
+              issues.push({
+                id: `issue_${issues.length}`, // Stable key for resolutions
+                line, // 1-based line the row starts on in the file
+                ...issue, // type + message
+                raw: values.join(delimiter), // Row text as read
+                fields: values, // Raw field values
+                rowIndex: rows.length, // Where the row belongs among the good rows
+              });
+              return;
+            }
+
+            rows.push(toRowObject(fields, values, dialect.decimalSeparator));
+          });
+
+          // Report progress based on how far into the file we are
+          if (onProgress) {
+            const bytesParsed = Math.min(results.meta.cursor, file.size);
+            onProgress({
+              rowsParsed: rows.length,
+              bytesParsed,
+              totalBytes: file.size,
+              percent: file.size
+                ? Math.round((bytesParsed / file.size) * 100)
+                : 100,
+            });
+          }
+        },
         complete: (results) => {
-          console.log("CSV parsed:", results.data.length, "rows");
+          // Papa still calls complete after abort() - treat it as cancellation
+          if ((results && results.meta.aborted) || (signal && signal.aborted)) {
+            console.log('CSV parsing cancelled after', rows.length, 'rows');
+            reject(createAbortError());
+            return;
+          }
+
+          if (!fields) {
+            reject(new Error(`Header row ${dialect.headerRow + 1} not found`));
+            return;
+          }
 
-          // Analyze each column to understand its data type and content
-          const columns = results.meta.fields.map((fieldName) => ({
-            name: fieldName, // Column name from CSV header
-            type: guessColumnType(results.data, fieldName), // text/numeric/swim_time
-            sampleValues: results.data.slice(0, 3).map((row) => row[fieldName]), // First 3 values for preview
-          }));
+          console.log(
+            'CSV parsed:',
+            rows.length,
+            'rows,',
+            issues.length,
+            'problem rows',
+          );
 
           // Return structured data for the Smart Matcher
           resolve({
-            columns: columns, // Array of column info objects
-            rows: results.data, // Array of data rows
-            totalRows: results.data.length, // Count for display
-            totalColumns: columns.length, // Count for display
+            ...buildParsedData(fields, rows),
+            format: 'csv',
+            issues, // Malformed rows - see applyIssueResolutions
+            dialect: { ...dialect, delimiter }, // Settings actually used
           });
         },
         error: reject, // Pass any errors up to calling function
@@ -39,20 +291,723 @@ export async function parseCSVFile(file) {
   }
 }
 
-// Simple type detection - looks at first 10 values to guess column type
-function guessColumnType(data, columnName) {
-  // Extract first 10 non-empty values from this column
-  const values = data
-    .slice(0, 10)
-    .map((row) => row[columnName])
-    .filter((v) => v);
+// Build parsedData from flattened records, whose keys may differ per record
+function buildRecordData(records) {
+  // Union of all keys in first-seen order
+  const fieldSet = new Set();
+  records.forEach((record) => {
+    Object.keys(record).forEach((key) => fieldSet.add(key));
+  });
+  const fieldNames = [...fieldSet];
+
+  // Every row gets every column (missing keys become null)
+  const rows = records.map((record) => Object.fromEntries(
+    fieldNames.map((field) => [
+      field,
+      record[field] === undefined ? null : record[field],
+    ]),
+  ));
+
+  return buildParsedData(fieldNames, rows);
+}
+
+// True for {...} objects (not arrays, null or dates)
+function isPlainObject(value) {
+  return (
+    value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+  );
+}
+
+// Flatten nested objects into dotted keys: {a: {b: 1}} -> {"a.b": 1}
+// Arrays of plain values are joined, other arrays are kept as JSON text
+function flattenObject(object, prefix = '') {
+  const entries = Object.entries(object).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) return Object.entries(flattenObject(value, name));
+    if (Array.isArray(value)) {
+      const isPlainList = value.every(
+        (item) => item === null || typeof item !== 'object',
+      );
+      return [[name, isPlainList ? value.join(', ') : JSON.stringify(value)]];
+    }
+    return [[name, value]];
+  });
+  return Object.fromEntries(entries);
+}
+
+// Parse a JSON file holding an array of objects
+// A top-level object is also accepted if it wraps the array (e.g. {"results": [...]})
+export async function parseJSONFile(file) {
+  try {
+    console.log('Parsing JSON file:', file.name);
+    const data = JSON.parse(await file.text());
+
+    // Find the array of records
+    let records = data;
+    if (!Array.isArray(data) && data && typeof data === 'object') {
+      records = Object.values(data).find(
+        (value) => Array.isArray(value) && value.some(isPlainObject),
+      );
+    }
+    if (!Array.isArray(records)) {
+      throw new Error('Expected an array of objects');
+    }
+
+    // Nested objects become dotted column names (athlete.name, athlete.team)
+    const rows = records
+      .filter(isPlainObject)
+      .map((record) => flattenObject(record));
+    console.log('JSON parsed:', rows.length, 'rows');
+
+    return {
+      ...buildRecordData(rows),
+      format: 'json',
+      issues: [],
+    };
+  } catch (error) {
+    // Wrap any unexpected errors with context
+    throw new Error(`JSON parsing failed: ${error.message}`);
+  }
+}
+
+// Parse newline-delimited JSON (one object per line)
+// Lines that aren't valid JSON objects are reported as issues (fix or skip)
+export async function parseNDJSONFile(file) {
+  try {
+    console.log('Parsing NDJSON file:', file.name);
+    const lines = (await file.text()).split(/\r?\n/);
+
+    const rows = [];
+    const issues = [];
+    lines.forEach((line, index) => {
+      if (line.trim() === '') return; // Ignore blank lines
+
+      try {
+        const record = JSON.parse(line);
+        if (!isPlainObject(record)) {
+          throw new Error('Line is not a JSON object');
+        }
+        rows.push(flattenObject(record));
+      } catch (error) {
+        issues.push({
+          id: `issue_${issues.length}`, // Stable key for resolutions
+          line: index + 1, // 1-based line number in the file
+          type: 'InvalidJSON',
+          message: error.message,
+          raw: line, // Line text as read
+          fields: null, // Nothing usable - can only be fixed or skipped
+          rowIndex: rows.length, // Where the row belongs among the good rows
+        });
+      }
+    });
+    console.log('NDJSON parsed:', rows.length, 'rows,', issues.length, 'bad');
+
+    return {
+      ...buildRecordData(rows),
+      format: 'ndjson',
+      issues,
+    };
+  } catch (error) {
+    // Wrap any unexpected errors with context
+    throw new Error(`NDJSON parsing failed: ${error.message}`);
+  }
+}
+
+// ===== SDIF (MEET MANAGER RESULTS) =====
+// SDIF v3 is a fixed-width format: every line is one record whose first two
+// characters give the record type. Positions below are 1-based as in the spec.
+const SDIF_STROKES = {
+  1: 'Free',
+  2: 'Back',
+  3: 'Breast',
+  4: 'Fly',
+  5: 'IM',
+  6: 'Free Relay',
+  7: 'Medley Relay',
+};
+
+const SDIF_COURSES = {
+  1: 'SCM',
+  S: 'SCM',
+  2: 'SCY',
+  Y: 'SCY',
+  3: 'LCM',
+  L: 'LCM',
+};
+
+// Read a trimmed fixed-width field by its 1-based inclusive positions
+function sdifField(line, start, end) {
+  const value = line.slice(start - 1, end).trim();
+  return value === '' ? null : value;
+}
+
+function sdifNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+// MMDDYYYY -> YYYY-MM-DD
+function sdifDate(value) {
+  if (!value || !/^\d{8}$/.test(value)) return null;
+  return `${value.slice(4, 8)}-${value.slice(0, 2)}-${value.slice(2, 4)}`;
+}
+
+// Swim times are "mm:ss.hh" or "ss.hh"; NT/NS/DNF/DQ/SCR are statuses
+function sdifTime(value) {
+  if (!value) return { time: null, status: null };
+  if (/^(\d{1,2}:)?\d{1,2}\.\d{2}$/.test(value)) {
+    return { time: value, status: null };
+  }
+  return { time: null, status: value === 'NT' ? null : value };
+}
+
+// Add an interval split to the previous cumulative split ("30.12" + "32.50" -> "1:02.62")
+function addSwimTimes(previous, interval) {
+  if (!interval) return null;
+  if (!previous) return interval;
+  const toHundredths = (time) => {
+    const [, minutes = '0', seconds] = time.match(/^(?:(\d+):)?(\d+\.\d+)$/);
+    return Math.round((parseInt(minutes, 10) * 60 + parseFloat(seconds)) * 100);
+  };
+  const total = toHundredths(previous) + toHundredths(interval);
+  const minutes = Math.floor(total / 6000);
+  const seconds = ((total % 6000) / 100).toFixed(2).padStart(5, '0');
+  return minutes > 0 ? `${minutes}:${seconds}` : (total / 100).toFixed(2);
+}
+
+// Parse an SDIF results file into one row per individual swim (D0 record)
+// Meet (B1) and team (C1) records fill in competition and team on the rows
+// that follow them; split records (G0) become split_<distance> columns
+export async function parseSDIFFile(file) {
+  try {
+    console.log('Parsing SDIF file:', file.name);
+    const lines = (await file.text()).split(/\r?\n/);
+
+    let meet = { competition: null, meet_date: null, course: null };
+    let team = { team_code: null, team: null };
+    const rows = [];
+    const splitDistances = new Set(); // For stable split column order
+
+    lines.forEach((line) => {
+      const field = (start, end) => sdifField(line, start, end);
+
+      switch (line.slice(0, 2)) {
+        case 'B1': // Meet
+          meet = {
+            competition: field(12, 41),
+            meet_date: sdifDate(field(122, 129)),
+            course: SDIF_COURSES[field(150, 150)] || null,
+          };
+          break;
+
+        case 'C1': // Team
+          team = { team_code: field(12, 17), team: field(18, 47) };
+          break;
+
+        case 'D0': {
+          // Individual result
+          const distance = sdifNumber(field(68, 71));
+          const stroke = SDIF_STROKES[field(72, 72)] || null;
+          const finals = sdifTime(field(116, 123));
+          const prelims = sdifTime(field(98, 105));
+          // The result is the finals swim if there was one, else the prelims
+          const swamFinals = field(116, 124) !== null;
+          const result = swamFinals ? finals : prelims;
+          const courseCode = swamFinals ? field(124, 124) : field(106, 106);
+
+          rows.push({
+            ...meet,
+            ...team,
+            name: field(12, 39), // "Last, First M"
+            uss_id: field(40, 51),
+            birth_date: sdifDate(field(56, 63)),
+            age: sdifNumber(field(64, 65)),
+            gender: field(66, 66),
+            event_number: field(73, 76),
+            event: distance && stroke ? `${distance} ${stroke}` : null,
+            distance,
+            stroke,
+            event_course: SDIF_COURSES[courseCode] || null,
+            seed_time: sdifTime(field(89, 96)).time,
+            prelim_time: prelims.time,
+            prelim_heat: sdifNumber(field(125, 126)),
+            prelim_lane: sdifNumber(field(127, 128)),
+            prelim_place: sdifNumber(field(133, 135)),
+            time: result.time,
+            heat: sdifNumber(field(129, 130)) ?? sdifNumber(field(125, 126)),
+            lane: sdifNumber(field(131, 132)) ?? sdifNumber(field(127, 128)),
+            place: sdifNumber(field(136, 138)) ?? sdifNumber(field(133, 135)),
+            points: sdifNumber(field(139, 142)),
+            status: courseCode === 'X' ? 'DQ' : result.status, // NS, DNF, SCR...
+          });
+          break;
+        }
+
+        case 'G0': {
+          // Splits for the swimmer in the D0 record just before
+          const swim = rows[rows.length - 1];
+          if (!swim || swim.name !== field(16, 43)) break;
+
+          const count = sdifNumber(field(57, 58)) || 0;
+          const splitLength = sdifNumber(field(59, 62)) || 0;
+          const sequence = sdifNumber(field(56, 56)) || 1;
+          const isCumulative = field(63, 63) !== 'I';
+          const prefix = field(144, 144) === 'P' ? 'prelim_split_' : 'split_';
+
+          // Up to 10 times per record; later records continue the count
+          for (let i = 0; i < 10 && (sequence - 1) * 10 + i < count; i++) {
+            const start = 64 + i * 8;
+            const { time } = sdifTime(field(start, start + 7));
+            const splitDistance = ((sequence - 1) * 10 + i + 1) * splitLength;
+            const column = `${prefix}${splitDistance}`;
+            splitDistances.add(column);
+            swim[column] = isCumulative
+              ? time
+              : addSwimTimes(
+                swim[`${prefix}${splitDistance - splitLength}`],
+                time,
+              );
+          }
+          break;
+        }
+
+        default:
+          // A0 file header, relay (E0/F0) and other records aren't mapped yet
+          break;
+      }
+    });
+
+    if (rows.length === 0) {
+      throw new Error('No individual result (D0) records found');
+    }
+    console.log('SDIF parsed:', rows.length, 'results');
+
+    // Splits only exist for some swims - give every row every split column
+    const fieldNames = [...Object.keys(rows[0]), ...splitDistances].filter(
+      (name, index, all) => all.indexOf(name) === index,
+    );
+    const fullRows = rows.map((row) => fieldNames.reduce((acc, name) => {
+      acc[name] = row[name] === undefined ? null : row[name];
+      return acc;
+    }, {}));
+
+    return {
+      ...buildParsedData(fieldNames, fullRows),
+      format: 'sdif',
+      issues: [],
+    };
+  } catch (error) {
+    // Wrap any unexpected errors with context
+    throw new Error(`SDIF parsing failed: ${error.message}`);
+  }
+}
+
+// ===== EXCEL WORKBOOKS =====
+
+// Find the first row whose field count matches the most common field count
+function findHeaderRow(rawRows) {
+  const counts = {};
+  rawRows.forEach((row) => {
+    counts[row.length] = (counts[row.length] || 0) + 1;
+  });
+  const modalCount = Number(
+    Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0],
+  );
+  const index = rawRows.findIndex((row) => row.length === modalCount);
+  return index > 0 ? index : 0;
+}
+
+// Drop empty cells at the end of a sheet row ([a, b, null, null] -> [a, b])
+function trimEmptyCells(cells) {
+  let end = cells.length;
+  while (end > 0 && (cells[end - 1] === null || cells[end - 1] === '')) {
+    end--;
+  }
+  return cells.slice(0, end);
+}
+
+// Convert one worksheet into header names and row objects
+function readSheet(sheet) {
+  if (!sheet['!ref']) return { fieldNames: [], rows: [] }; // Empty sheet
 
-  // If all values are numbers, it's a numeric column
-  if (values.every((v) => typeof v === "number")) return "numeric";
+  // Every row of the used range, blank ones included, so an index in `grid`
+  // is an offset from the range's first row (which need not be row 1)
+  const grid = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    blankrows: true,
+    defval: null,
+  });
 
-  // If any value looks like swimming time (e.g., "1:23.45"), it's swim time
-  if (values.some((v) => /^\d+:\d{2}\.\d{2}$/.test(v))) return "swim_time";
+  // Header row: first row with the most common number of filled cells
+  // (skips title lines above the table, like the CSV sniffer)
+  const filledRows = grid
+    .map((cells, index) => ({ index, cells: trimEmptyCells(cells) }))
+    .filter((row) => row.cells.length > 0);
+  if (filledRows.length === 0) return { fieldNames: [], rows: [] };
+  const header = filledRows[findHeaderRow(filledRows.slice(0, 50).map((row) => row.cells))];
+
+  // Give unnamed or duplicate header cells a stable name
+  const fieldNames = cleanHeaderNames(header.cells);
+
+  // Read the rows below the header as objects keyed by our header names
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    header: fieldNames, // Use cleaned header names as object keys
+    range: { s: { r: range.s.r + header.index + 1, c: range.s.c }, e: range.e },
+    defval: null, // Keep empty cells so every row has every column
+    blankrows: false, // Ignore blank rows (same as skipEmptyLines for CSV)
+    raw: true, // Keep numbers as numbers (same as dynamicTyping for CSV)
+  });
+
+  return { fieldNames, rows };
+}
+
+// Parse every sheet of an Excel workbook into the same shape as parseCSVFile
+// The first sheet becomes the default data; all sheets are listed in `sheets`
+export async function parseExcelFile(file) {
+  try {
+    console.log('Parsing Excel workbook:', file.name);
+
+    // Read the binary workbook (works for both .xlsx and legacy .xls)
+    const buffer = await file.arrayBuffer();
+    const workbook = XLSX.read(buffer, {
+      type: 'array',
+      cellDates: true, // Keep real dates instead of Excel serial numbers
+    });
+
+    if (workbook.SheetNames.length === 0) {
+      throw new Error('Workbook contains no sheets');
+    }
+
+    // Parse each sheet separately so the user can choose which one to map
+    const sheets = workbook.SheetNames.map((sheetName) => {
+      const { fieldNames, rows } = readSheet(workbook.Sheets[sheetName]);
+      console.log('Excel sheet parsed:', sheetName, rows.length, 'rows');
+      return {
+        name: sheetName, // Sheet tab name (e.g., "finals")
+        ...buildParsedData(fieldNames, rows),
+      };
+    });
+
+    // Default to the first sheet; the sheet picker can replace it later
+    const { name, ...firstSheet } = sheets[0];
+    return {
+      ...firstSheet,
+      format: 'excel',
+      sourceSheets: [name], // Which sheet(s) the rows came from
+      sheets, // Every sheet in the workbook
+    };
+  } catch (error) {
+    // Wrap any unexpected errors with context
+    throw new Error(`Excel parsing failed: ${error.message}`);
+  }
+}
+
+// ===== UPLOAD ENTRY POINTS =====
+
+// Pick the right parser for the uploaded file based on its extension
+// options: { dialect, onProgress, signal } - see parseCSVFile
+export async function parseFile(file, options = {}) {
+  const fileName = file.name.toLowerCase();
+
+  // Excel workbooks are binary and must never go through PapaParse
+  if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+    return parseExcelFile(file);
+  }
+
+  // JSON exports from timing systems
+  if (fileName.endsWith('.json')) {
+    return parseJSONFile(file);
+  }
+  if (fileName.endsWith('.ndjson') || fileName.endsWith('.jsonl')) {
+    return parseNDJSONFile(file);
+  }
+
+  // Meet Manager / Hy-Tek results exports
+  if (fileName.endsWith('.cl2') || fileName.endsWith('.sd3')) {
+    return parseSDIFFile(file);
+  }
+  // HY3 isn't supported (its layout is undocumented) - fail with a way out
+  // instead of reading it as delimited text
+  if (fileName.endsWith('.hy3')) {
+    throw new Error(
+      "HY3 files use Hy-Tek's proprietary layout and can't be read directly. "
+        + 'Export the meet results as SDIF (.cl2) from Meet Manager instead.',
+    );
+  }
+
+  // TSV is CSV with tabs (the user's dialect settings still win)
+  if (fileName.endsWith('.tsv') || fileName.endsWith('.tab')) {
+    return parseCSVFile(file, {
+      ...options,
+      dialect: { delimiter: '\t', ...options.dialect },
+    });
+  }
+
+  // Everything else is treated as delimited text
+  return parseCSVFile(file, options);
+}
+
+// Whether a file is delimited text that needs dialect settings
+// (anything parseFile doesn't route to the Excel, JSON or SDIF parsers)
+export function isDelimitedTextFile(file) {
+  return !/\.(xlsx|xls|json|ndjson|jsonl|cl2|sd3|hy3)$/i.test(file.name);
+}
+
+// Read the cell texts of the first <table> in an HTML snippet (null if none)
+function readHtmlTable(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const table = doc.querySelector('table');
+  if (!table) return null;
+
+  const readCell = (cell) => {
+    const value = cell.textContent.replace(/\s+/g, ' ').trim();
+    // Merged cells keep the columns aligned: value first, then blanks
+    const span = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+    return [value, ...Array(span - 1).fill('')];
+  };
+  const rows = Array.from(table.querySelectorAll('tr')).map((tr) => (
+    Array.from(tr.querySelectorAll('th, td')).flatMap(readCell)
+  ));
+  const nonEmptyRows = rows.filter((cells) => cells.some((v) => v !== ''));
+  return nonEmptyRows.length > 0 ? nonEmptyRows : null;
+}
+
+// Quote a cell that would otherwise break the tab-separated layout
+function escapeTsvCell(value) {
+  return /[\t\n"]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
 
-  // Everything else is text
-  return "text";
-}
\ No newline at end of file
+// Turn pasted clipboard content into a tab-separated File for parseFile
+// clipboard: { html, text } - an HTML table (web results pages) wins over plain text
+// Spreadsheet ranges already arrive as tab-separated text
+export function clipboardToFile({ html, text }, fileName = 'Pasted data.tsv') {
+  const tableRows = html ? readHtmlTable(html) : null;
+  const content = tableRows
+    ? tableRows.map((cells) => cells.map(escapeTsvCell).join('\t')).join('\n')
+    : (text || '').replace(/\r\n?/g, '\n');
+
+  if (content.trim() === '') {
+    throw new Error("The clipboard doesn't contain any table data");
+  }
+  return new File([content], fileName, { type: 'text/tab-separated-values' });
+}
+
+// Why a corrected row can't be used, or null when it can
+// (NDJSON fixes must be one JSON object; CSV text is always re-read)
+export function validateIssueFix(format, text) {
+  if (format !== 'ndjson') return null;
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    return `Invalid JSON: ${error.message}`;
+  }
+  return isPlainObject(record) ? null : 'Line is not a JSON object';
+}
+
+// Build the row object for a kept issue
+function rowFromResolution(parsedData, fields, issue, resolution) {
+  const { dialect } = parsedData;
+
+  // NDJSON: the corrected text is a JSON object
+  if (parsedData.format === 'ndjson') {
+    const problem = validateIssueFix('ndjson', resolution.text);
+    if (problem) throw new Error(`Line ${issue.line}: ${problem}`);
+    const record = flattenObject(JSON.parse(resolution.text));
+    return Object.fromEntries(
+      fields.map((field) => [
+        field,
+        record[field] === undefined ? null : record[field],
+      ]),
+    );
+  }
+
+  // CSV: re-read the corrected line with the same dialect
+  const values = resolution.action === 'fix'
+    ? Papa.parse(resolution.text, {
+      delimiter: dialect.delimiter,
+      quoteChar: dialect.quoteChar,
+    }).data[0] || []
+    : issue.fields;
+  return toRowObject(fields, values, dialect.decimalSeparator);
+}
+
+// Apply the user's decisions for malformed rows and rebuild the parsed data
+// resolutions: { [issueId]: { action: "accept" | "skip" | "fix", text } }
+//   accept - keep the row as read (missing fields empty, extra fields dropped)
+//   skip   - leave the row out (also the default for unresolved issues)
+//   fix    - re-read the row from the corrected text (CSV line or JSON object)
+export function applyIssueResolutions(parsedData, resolutions) {
+  const fields = parsedData.columns.map((column) => column.name);
+  const rows = [...parsedData.rows];
+
+  // Insert from the back so earlier insert positions stay valid
+  // (rows that can't be read as-is, like invalid JSON, can only be fixed)
+  const kept = parsedData.issues
+    .filter((issue) => {
+      const action = resolutions[issue.id]?.action;
+      return (action === 'accept' && issue.fields) || action === 'fix';
+    })
+    .sort((a, b) => b.rowIndex - a.rowIndex || b.line - a.line);
+
+  kept.forEach((issue) => {
+    const resolution = resolutions[issue.id];
+    rows.splice(
+      issue.rowIndex,
+      0,
+      rowFromResolution(parsedData, fields, issue, resolution),
+    );
+  });
+
+  console.log(
+    'Resolved parse issues:',
+    kept.length,
+    'kept,',
+    parsedData.issues.length - kept.length,
+    'skipped',
+  );
+
+  return {
+    ...buildParsedData(fields, rows),
+    format: parsedData.format,
+    issues: [],
+    dialect: parsedData.dialect,
+  };
+}
+
+// Pick an encoding from the raw bytes (BOM, strict UTF-8, Windows-1252 fallback)
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  try {
+    // fatal: true throws on byte sequences that aren't valid UTF-8
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252'; // Typical for Excel "CSV" exports on Windows
+  }
+}
+
+// Decode sample bytes, dropping the last (probably cut off) line of a partial sample
+function decodeSample(bytes, encoding, isPartial) {
+  const text = new TextDecoder(encoding).decode(bytes);
+  if (!isPartial) return text;
+  const lastNewline = text.lastIndexOf('\n');
+  return lastNewline > 0 ? text.slice(0, lastNewline) : text;
+}
+
+// Count values that look like comma decimals ("12,5") in sampled data rows
+function countCommaDecimals(rawRows) {
+  let count = 0;
+  rawRows.forEach((row) => {
+    row.forEach((value) => {
+      if (/^\s*-?\d+,\d+\s*$/.test(value)) count++;
+    });
+  });
+  return count;
+}
+
+// Guess the dialect of a CSV file from its first 64 KB
+// Returns a full dialect object (same keys as DEFAULT_CSV_DIALECT)
+export async function sniffCSVDialect(file) {
+  const bytes = new Uint8Array(
+    await file.slice(0, DIALECT_SAMPLE_SIZE).arrayBuffer(),
+  );
+
+  // Step 1: Encoding - BOM first, then strict UTF-8, else Windows-1252
+  const encoding = detectEncoding(bytes);
+  const sample = decodeSample(bytes, encoding, file.size > DIALECT_SAMPLE_SIZE);
+
+  // Step 2: Delimiter - let PapaParse compare the candidates on the sample
+  const guess = Papa.parse(sample, {
+    preview: 50,
+    skipEmptyLines: 'greedy',
+    delimitersToGuess: CANDIDATE_DELIMITERS,
+  });
+  const delimiter = guess.meta.delimiter || ',';
+
+  // Step 3: Header row - first row with the most common field count
+  // (skips title lines that some exports put above the table)
+  const rawRows = Papa.parse(sample, {
+    preview: 50,
+    skipEmptyLines: 'greedy',
+    delimiter,
+  }).data;
+  const headerRow = findHeaderRow(rawRows);
+
+  // Step 4: Decimal separator - comma decimals are only possible without comma delimiters
+  const hasCommaDecimals = countCommaDecimals(rawRows.slice(headerRow + 1)) > 0;
+  const decimalSeparator = delimiter !== ',' && hasCommaDecimals ? ',' : '.';
+
+  const dialect = {
+    ...DEFAULT_CSV_DIALECT,
+    encoding,
+    delimiter,
+    headerRow,
+    decimalSeparator,
+  };
+  console.log('Sniffed CSV dialect:', dialect);
+  return dialect;
+}
+
+// Parse the start of a CSV file with a given dialect for the preview in FileUpload
+// Returns { fields, rows } with at most maxRows typed row objects
+export async function previewCSVFile(file, dialect, maxRows = 5) {
+  const settings = { ...DEFAULT_CSV_DIALECT, ...dialect };
+  const bytes = new Uint8Array(
+    await file.slice(0, DIALECT_SAMPLE_SIZE).arrayBuffer(),
+  );
+  const sample = decodeSample(
+    bytes,
+    settings.encoding,
+    file.size > DIALECT_SAMPLE_SIZE,
+  );
+
+  const rawRows = Papa.parse(sample, {
+    skipEmptyLines: 'greedy',
+    delimiter: settings.delimiter,
+    quoteChar: settings.quoteChar,
+    preview: settings.headerRow + settings.skipRows + maxRows + 1,
+  }).data;
+
+  const fields = cleanHeaderNames(rawRows[settings.headerRow] || []);
+  const rows = rawRows
+    .slice(settings.headerRow + settings.skipRows + 1)
+    .map((values) => toRowObject(fields, values, settings.decimalSeparator));
+
+  return { fields, rows };
+}
+
+// Check whether sheets share the exact same header row (required for stacking)
+export function haveIdenticalHeaders(sheets) {
+  if (sheets.length === 0) return false;
+  const signature = sheets[0].columns.map((c) => c.name).join('\u0000');
+  return sheets.every(
+    (sheet) => sheet.columns.map((c) => c.name).join('\u0000') === signature,
+  );
+}
+
+// Stack several sheets with identical headers into a single parsedData
+export function combineSheets(sheets) {
+  if (!haveIdenticalHeaders(sheets)) {
+    throw new Error('Only sheets with identical headers can be combined');
+  }
+
+  // Concatenate rows in the order the sheets were selected
+  const fieldNames = sheets[0].columns.map((c) => c.name);
+  const rows = sheets.reduce((all, sheet) => all.concat(sheet.rows), []);
+  console.log('Combined', sheets.length, 'sheets into', rows.length, 'rows');
+
+  return {
+    ...buildParsedData(fieldNames, rows),
+    sourceSheets: sheets.map((sheet) => sheet.name),
+  };
+}
@@ -1,113 +1,147 @@
 // ===== 3. THE SMART MATCHER ENGINE - FIXED DUPLICATES =====
 // mappingEngine.js - Core matching logic with duplicate prevention
-export function generateSmartMappings(fileColumns, qlikFields) {
-  console.log("Smart Matcher starting...");
-  console.log(
-    "File columns:",
-    fileColumns.map((c) => c.name)
-  );
-  console.log(
-    "Qlik fields:",
-    qlikFields.map((f) => f.name)
-  );
+import { fieldKey } from './modelAnalyzer';
+import { isNumericType } from './columnProfiler';
+import { checkDomainMatch, getDomainDictionary } from './domainDictionaries';
+import { findLearnedMatch } from './mappingMemory';
+import {
+  compareNames,
+  describeComponents,
+  normalizeName,
+} from './stringSimilarity';
 
-  const mappings = {};
-  const usedQlikFields = new Set(); // Track used Qlik fields to prevent duplicates
+// Value overlap needed before a content match counts (share of file values)
+const MIN_VALUE_OVERLAP = 0.5;
 
-  // Sort file columns by priority (exact matches first)
-  const sortedFileColumns = [...fileColumns].sort((a, b) => {
-    const aExact = qlikFields.some(
-      (q) => q.name.toLowerCase() === a.name.toLowerCase()
-    );
-    const bExact = qlikFields.some(
-      (q) => q.name.toLowerCase() === b.name.toLowerCase()
-    );
-    if (aExact && !bExact) return -1;
-    if (!aExact && bExact) return 1;
-    return 0;
-  });
+// Combined name similarity needed for a fuzzy match, and its ceiling so a
+// fuzzy match never outranks a contains match (0.8)
+const MIN_FUZZY_SCORE = 0.5;
+const MAX_FUZZY_CONFIDENCE = 0.75;
 
-  // Loop through each column in the uploaded file
-  sortedFileColumns.forEach((fileCol) => {
-    // Find the best available Qlik field match for this file column
-    const bestMatch = findBestMatch(fileCol, qlikFields, usedQlikFields);
-
-    // Only keep matches with decent confidence (30% minimum)
-    if (bestMatch && bestMatch.confidence > 0.3) {
-      // Store the mapping with all the match details
-      mappings[fileCol.name] = {
-        qlikField: bestMatch.field,
-        confidence: bestMatch.confidence,
-        matchType: bestMatch.type,
-        reason: bestMatch.reason,
-      };
-
-      // Mark this Qlik field as used to prevent duplicates
-      usedQlikFields.add(bestMatch.field.name);
-
-      // Log successful mapping
-      console.log(
-        `${fileCol.name} → ${bestMatch.field.name} (${Math.round(
-          bestMatch.confidence * 100
-        )}%)`
-      );
-    } else {
-      // Log failed mapping attempt
-      console.log(`No good match for: ${fileCol.name}`);
-    }
-  });
+// Minimum confidence for a pair to be suggested at all
+const MIN_MATCH_CONFIDENCE = 0.3;
 
-  console.log(
-    "Smart Matcher complete:",
-    Object.keys(mappings).length,
-    "mappings"
-  );
-  return mappings;
+// Suggestions at or above this are accepted without review (smartMapping.autoMapThreshold)
+export const DEFAULT_AUTO_MAP_THRESHOLD = 0.8;
+
+// Runner-up candidates listed in "why not" explanations
+const RUNNER_UP_COUNT = 3;
+
+// ===== TYPE COMPATIBILITY =====
+// File value kind -> Qlik field kind -> confidence factor and reason note
+// Compatible pairs get a small boost, conversions are noted, mismatches penalised
+const TYPE_COMPATIBILITY = {
+  number: {
+    numeric: { factor: 1.1 },
+    interval: { factor: 1.0, note: 'numbers read as seconds' },
+    date: { factor: 0.7, note: '⚠ numbers into a date field' },
+    text: { factor: 1.0 }, // Codes like lane numbers are often text dimensions
+  },
+  time: {
+    numeric: { factor: 1.0, note: 'converts 1:23.45 → seconds' },
+    interval: { factor: 1.1 },
+    date: { factor: 0.6, note: '⚠ times into a date field' },
+    text: { factor: 0.9, note: 'times kept as text' },
+  },
+  date: {
+    numeric: { factor: 0.9, note: 'converts dates → serial numbers' },
+    interval: { factor: 0.6, note: '⚠ dates into a time field' },
+    date: { factor: 1.1 },
+    text: { factor: 0.9, note: 'dates kept as text' },
+  },
+  boolean: {
+    numeric: { factor: 1.0, note: 'converts true/false → 1/0' },
+    interval: { factor: 0.5, note: '⚠ true/false into a time field' },
+    date: { factor: 0.5, note: '⚠ true/false into a date field' },
+    text: { factor: 1.0 },
+  },
+  text: {
+    numeric: { factor: 0.6, note: '⚠ text column into a numeric field' },
+    interval: { factor: 0.6, note: '⚠ text column into a time field' },
+    date: { factor: 0.6, note: '⚠ text column into a date field' },
+    text: { factor: 1.1 },
+  },
+};
+
+// Ceiling of each strategy - a compatible type confirms a match but never lifts
+// it past its strategy's range (a fuzzy match stays below auto-accept)
+const STRATEGY_MAX_CONFIDENCE = {
+  exact: 1.0,
+  contains: 0.8,
+  domain: 0.95,
+  fuzzy: MAX_FUZZY_CONFIDENCE,
+  values: 0.9,
+};
+
+// Extra conversion notes for numeric formats the parser recognises
+const NUMBER_CONVERSION_NOTES = {
+  percentage: 'converts 12.5% → 0.125',
+  currency: 'strips currency symbols',
+};
+
+// Kind of values in a file column, from the parser's inferred type
+function getFileValueKind(type) {
+  if (!type) return null;
+  if (isNumericType(type)) return 'number';
+  if (type === 'swim_time' || type === 'duration') return 'time';
+  if (type === 'date' || type === 'datetime') return 'date';
+  if (type === 'boolean') return 'boolean';
+  return 'text'; // text, categorical, email
 }
 
-// Core matching function - tries each file column against available Qlik fields
-function findBestMatch(fileColumn, qlikFields, usedQlikFields) {
-  let bestMatch = null;
-  let bestScore = 0;
+// Kind of values a Qlik field holds (null when the analyzer didn't say)
+function getQlikValueKind(qlikField) {
+  if (qlikField.numFormat?.qType === 'IV') return 'interval';
+  if (qlikField.dataType === 'numeric') return 'numeric';
+  if (qlikField.dataType === 'date' || qlikField.dataType === 'timestamp') {
+    return 'date';
+  }
+  if (qlikField.dataType === 'text') return 'text';
+  return null;
+}
 
-  // Test this file column against every AVAILABLE Qlik field
-  qlikFields.forEach((qlikField) => {
-    // Skip if this Qlik field is already used
-    if (usedQlikFields.has(qlikField.name)) {
-      return;
-    }
+function applyTypeCompatibility(score, fileColumn, qlikField) {
+  const fileKind = getFileValueKind(fileColumn.type);
+  const qlikKind = getQlikValueKind(qlikField);
+  if (score.confidence === 0 || !fileKind || !qlikKind) return score;
 
-    // Calculate match score using our 4 strategies
-    const score = calculateMatchScore(fileColumn, qlikField);
-
-    // If this is the best match so far, remember it
-    if (score.confidence > bestScore) {
-      bestScore = score.confidence;
-      bestMatch = {
-        field: qlikField,
-        confidence: score.confidence,
-        type: score.type,
-        reason: score.reason,
-      };
-    }
-  });
+  const { factor, note: mappedNote } = TYPE_COMPATIBILITY[fileKind][qlikKind];
+  const note = mappedNote
+    || (qlikKind === 'numeric' ? NUMBER_CONVERSION_NOTES[fileColumn.type] : null);
 
-  return bestMatch;
+  const ceiling = STRATEGY_MAX_CONFIDENCE[score.type] ?? 1;
+  const adjusted = Math.min(ceiling, score.confidence * factor);
+  return {
+    ...score,
+    confidence: Math.round(adjusted * 100) / 100,
+    reason: note ? `${score.reason} • ${note}` : score.reason,
+  };
 }
 
+// ===== MATCHING =====
+
 // The 4 Core Matching Strategies - THIS IS THE SMART PART
-function calculateMatchScore(fileColumn, qlikField) {
-  // Convert both names to lowercase for easier comparison
-  const fileName = fileColumn.name.toLowerCase();
-  const qlikName = qlikField.name.toLowerCase();
+function calculateNameScore(fileColumn, qlikField, dictionary) {
+  // Normalise both names to lower-case snake_case for easier comparison
+  // "ReactionTime", "reaction time" and "REACTION_TIME" all become "reaction_time"
+  const fileName = normalizeName(fileColumn.name);
+  const qlikName = normalizeName(qlikField.name);
+
+  // Names without letters or digits ("#", "---") say nothing about the field
+  if (!fileName || !qlikName) {
+    return { confidence: 0, type: 'none', reason: 'No match found' };
+  }
 
   // Strategy 1: Exact Match (100% confidence)
   // "name" === "name" - perfect match!
   if (fileName === qlikName) {
     return {
       confidence: 1.0,
-      type: "exact",
-      reason: "Exact name match",
+      type: 'exact',
+      reason:
+        fileColumn.name.toLowerCase() === qlikField.name.toLowerCase()
+          ? 'Exact name match'
+          : 'Exact name match after normalisation',
     };
   }
 
@@ -116,100 +150,323 @@ function calculateMatchScore(fileColumn, qlikField) {
   if (fileName.includes(qlikName) || qlikName.includes(fileName)) {
     return {
       confidence: 0.8,
-      type: "contains",
-      reason: "Name contains match",
+      type: 'contains',
+      reason: 'Name contains match',
     };
   }
 
-  // Strategy 3: Swimming Domain Knowledge (70% confidence)
+  // Strategy 3: Domain Knowledge (70-95% confidence)
   // Use sport-specific knowledge: "swimmer" should map to "name"
-  const domainScore = checkSwimmingDomain(fileName, qlikName);
-  if (domainScore > 0) {
+  const domainMatch = checkDomainMatch(fileName, qlikName, dictionary);
+  if (domainMatch) {
     return {
-      confidence: domainScore,
-      type: "domain",
-      reason: "Swimming domain match",
+      confidence: domainMatch.confidence,
+      type: 'domain',
+      reason: domainMatch.reason,
     };
   }
 
-  // Strategy 4: Fuzzy Match (50-60% confidence)
-  // Handle typos: "athelete" is similar to "athlete"
-  const fuzzyScore = calculateFuzzyMatch(fileName, qlikName);
-  if (fuzzyScore > 0.5) {
+  // Strategy 4: Fuzzy Match (50-75% confidence)
+  // Handle typos and word forms: "athelete" is similar to "athlete",
+  // "Splits Times" to "split_time" - but "lane" is not similar to "name"
+  const similarity = compareNames(fileColumn.name, qlikField.name);
+  if (similarity.score > MIN_FUZZY_SCORE) {
     return {
-      confidence: fuzzyScore,
-      type: "fuzzy",
-      reason: "Fuzzy name similarity",
+      confidence: Math.min(similarity.score, MAX_FUZZY_CONFIDENCE),
+      type: 'fuzzy',
+      reason: `Name similarity ${Math.round(
+        similarity.score * 100,
+      )}% (${describeComponents(similarity.components)})`,
     };
   }
 
   // No good match found
-  return { confidence: 0, type: "none", reason: "No match found" };
+  return { confidence: 0, type: 'none', reason: 'No match found' };
 }
 
-// Swimming domain knowledge - sport-specific mappings (IMPROVED)
-function checkSwimmingDomain(fileName, qlikName) {
-  // Define swimming-specific field relationships with priority
-  const swimmingMaps = {
-    // Exact field mappings first
-    name: ["name", "athlete", "swimmer"],
-    reaction_time: ["reaction_time"], // Only exact match for reaction_time
-    time: ["time", "duration", "result"],
-    lap_time: ["lap_time", "split_time"], // lap_time should NOT map to "time"
-    place: ["place", "rank", "position"],
-    event: ["event", "race", "competition"],
-    team: ["team", "club", "country"],
-    heat: ["heat", "round", "session"],
-    lane: ["lane", "position"],
-    distance: ["distance", "length", "meters"],
-    competition: ["competition", "meet", "tournament"], // competition should NOT map to reaction_time
+// Strategy 5: Value Overlap (50-90% confidence)
+// "Col7" holding USA/AUS/GBR matches the field whose values are USA/AUS/GBR
+function calculateValueOverlap(fileColumn, qlikField) {
+  const noMatch = { confidence: 0, type: 'none', reason: 'No match found' };
+
+  // Numbers (lanes, places, heats) overlap with any numeric field - not a signal
+  if (isNumericType(fileColumn.type) || !qlikField.sampleValues?.length) {
+    return noMatch;
+  }
+
+  const normalize = (value) => String(value).trim().toLowerCase();
+  const fileValues = [
+    ...new Set(
+      (fileColumn.profile?.distinctSample || fileColumn.sampleValues || [])
+        .filter((value) => value !== null && value !== undefined)
+        .map(normalize)
+        .filter((value) => value !== ''),
+    ),
+  ];
+  if (fileValues.length < 2) return noMatch; // Too little to compare
+
+  const qlikValues = new Set(qlikField.sampleValues.map(normalize));
+  const shared = fileValues.filter((value) => qlikValues.has(value)).length;
+  const overlap = shared / fileValues.length;
+  if (overlap < MIN_VALUE_OVERLAP) return noMatch;
+
+  return {
+    confidence: Math.round((0.5 + 0.4 * overlap) * 100) / 100,
+    type: 'values',
+    reason: `${shared} of ${fileValues.length} values found in field`,
   };
+}
 
-  // Check if file column name matches any swimming patterns
-  for (const [filePattern, qlikPatterns] of Object.entries(swimmingMaps)) {
-    if (fileName.includes(filePattern)) {
-      for (const qlikPattern of qlikPatterns) {
-        if (qlikName.includes(qlikPattern)) {
-          // Special case: prefer exact matches for time-related fields
-          if (
-            filePattern === "reaction_time" &&
-            qlikPattern === "reaction_time"
-          ) {
-            return 0.95; // Very high confidence for exact reaction_time match
-          }
-          if (filePattern === "time" && qlikPattern === "time") {
-            return 0.95; // Very high confidence for exact time match
+// Name strategies first; a strong value overlap can beat a weak name match
+// A pair the user confirmed before beats everything but an exact match
+// The winner is then adjusted for type compatibility (learned pairs excepted)
+function calculateMatchScore(fileColumn, qlikField, dictionary, memory) {
+  const nameScore = calculateNameScore(fileColumn, qlikField, dictionary);
+  if (nameScore.confidence >= 1.0) {
+    return applyTypeCompatibility(nameScore, fileColumn, qlikField);
+  }
+
+  const learned = findLearnedMatch(memory, fileColumn.name, qlikField);
+  if (learned) {
+    return {
+      confidence: learned.confidence,
+      type: 'learned',
+      reason: learned.reason,
+    };
+  }
+
+  const valueScore = calculateValueOverlap(fileColumn, qlikField);
+  return applyTypeCompatibility(
+    valueScore.confidence > nameScore.confidence ? valueScore : nameScore,
+    fileColumn,
+    qlikField,
+  );
+}
+
+// Every scored Qlik field for every file column, best first
+// Returns { [columnName]: [{qlikField, confidence, type, reason}, ...] }
+export function generateMappingCandidates(
+  fileColumns,
+  qlikFields,
+  options = {},
+) {
+  const dictionary = options.dictionary || getDomainDictionary('swimming');
+
+  return fileColumns.reduce((acc, fileCol) => {
+    acc[fileCol.name] = qlikFields
+      .map((qlikField) => {
+        // Calculate match score using our strategies
+        const score = calculateMatchScore(
+          fileCol,
+          qlikField,
+          dictionary,
+          options.memory,
+        );
+        return {
+          qlikField,
+          confidence: score.confidence,
+          type: score.type,
+          reason:
+            qlikField.source === 'master'
+              ? `${score.reason} (master ${qlikField.type})`
+              : score.reason,
+        };
+      })
+      .filter((candidate) => candidate.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence);
+    return acc;
+  }, {});
+}
+
+// Maximum-weight assignment (Hungarian algorithm, O(n²m))
+// weights[i][j] - score of row i with column j; returns the column per row (-1 = none)
+function solveAssignment(weights) {
+  const rows = weights.length;
+  const cols = rows > 0 ? weights[0].length : 0;
+  if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+  // The algorithm needs rows <= columns - solve the transpose otherwise
+  if (rows > cols) {
+    const transposed = weights[0].map((_, j) => weights.map((row) => row[j]));
+    const byColumn = solveAssignment(transposed);
+    const result = new Array(rows).fill(-1);
+    byColumn.forEach((i, j) => {
+      if (i !== -1) result[i] = j;
+    });
+    return result;
+  }
+
+  // Minimise negated weights; arrays are 1-based with 0 as the virtual start
+  const cost = (i, j) => -weights[i - 1][j - 1];
+  const u = new Array(rows + 1).fill(0); // Row potentials
+  const v = new Array(cols + 1).fill(0); // Column potentials
+  const owner = new Array(cols + 1).fill(0); // Row assigned to each column
+  const way = new Array(cols + 1).fill(0); // Augmenting path links
+
+  for (let i = 1; i <= rows; i++) {
+    owner[0] = i;
+    let j0 = 0;
+    const minv = new Array(cols + 1).fill(Infinity);
+    const used = new Array(cols + 1).fill(false);
+
+    // Grow the alternating tree until a free column is reached
+    do {
+      used[j0] = true;
+      const i0 = owner[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= cols; j++) {
+        if (!used[j]) {
+          const reduced = cost(i0, j) - u[i0] - v[j];
+          if (reduced < minv[j]) {
+            minv[j] = reduced;
+            way[j] = j0;
           }
-          if (filePattern === "lap_time" && qlikPattern === "lap_time") {
-            return 0.95; // Very high confidence for exact lap_time match
+          if (minv[j] < delta) {
+            delta = minv[j];
+            j1 = j;
           }
-
-          return 0.7; // 70% confidence for other domain matches
         }
       }
-    }
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) {
+          u[owner[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (owner[j0] !== 0);
+
+    // Flip the augmenting path
+    do {
+      const j1 = way[j0];
+      owner[j0] = owner[j1];
+      j0 = j1;
+    } while (j0 !== 0);
   }
 
-  return 0; // No domain knowledge match found
+  const result = new Array(rows).fill(-1);
+  for (let j = 1; j <= cols; j++) {
+    if (owner[j] !== 0) result[owner[j] - 1] = j - 1;
+  }
+  return result;
 }
 
-// Simple fuzzy matching - handles typos and slight differences
-function calculateFuzzyMatch(str1, str2) {
-  // Identify longer and shorter string
-  const longer = str1.length > str2.length ? str1 : str2;
-  const shorter = str1.length > str2.length ? str2 : str1;
+// options.dictionary - domain vocabulary from getDomainDictionary (default: swimming)
+// options.memory - confirmed pairs from loadMappingMemory ("learned" strategy)
+// options.autoMapThreshold - confidence needed for status "auto"; lower
+//   suggestions (down to 30%) are kept with status "review"
+// options.candidates - precomputed generateMappingCandidates result (skips rescoring)
+export function generateSmartMappings(fileColumns, qlikFields, options = {}) {
+  const autoMapThreshold = options.autoMapThreshold ?? DEFAULT_AUTO_MAP_THRESHOLD;
+  console.log('Smart Matcher starting...');
+  console.log(
+    'File columns:',
+    fileColumns.map((c) => c.name),
+  );
+  console.log(
+    'Qlik fields:',
+    qlikFields.map((f) => f.name),
+  );
+
+  const candidates = options.candidates
+    || generateMappingCandidates(fileColumns, qlikFields, options);
 
-  // Handle edge case
-  if (longer.length === 0) return 1.0;
+  // Score matrix: file columns x Qlik fields, pairs below the minimum count as 0
+  const fieldIndex = new Map(qlikFields.map((f, j) => [fieldKey(f), j]));
+  const weights = fileColumns.map((fileCol) => {
+    const row = new Array(qlikFields.length).fill(0);
+    (candidates[fileCol.name] || []).forEach((candidate) => {
+      const j = fieldIndex.get(fieldKey(candidate.qlikField));
+      if (j !== undefined && candidate.confidence > MIN_MATCH_CONFIDENCE) {
+        row[j] = candidate.confidence;
+      }
+    });
+    return row;
+  });
 
-  // Count how many characters from shorter string appear in longer string
-  let commonChars = 0;
-  for (let i = 0; i < shorter.length; i++) {
-    if (longer.includes(shorter[i])) {
-      commonChars++;
+  // Solve globally so an early mediocre match can't take the field another
+  // column matches perfectly - each Qlik field is still used at most once
+  const assignment = solveAssignment(weights);
+
+  const mappings = {};
+  fileColumns.forEach((fileCol, i) => {
+    const j = assignment[i];
+    if (j === -1 || weights[i][j] === 0) {
+      // Log failed mapping attempt
+      console.log(`No good match for: ${fileCol.name}`);
+      return;
     }
-  }
 
-  // Return ratio of matching characters to total characters
-  return commonChars / longer.length;
+    // Store the mapping with all the match details
+    const match = candidates[fileCol.name].find(
+      (candidate) => fieldKey(candidate.qlikField) === fieldKey(qlikFields[j]),
+    );
+    mappings[fileCol.name] = {
+      qlikField: match.qlikField,
+      confidence: match.confidence,
+      matchType: match.type,
+      reason: match.reason,
+      status: match.confidence >= autoMapThreshold ? 'auto' : 'review',
+    };
+
+    // Log successful mapping
+    console.log(
+      `${fileCol.name} → ${match.qlikField.name} (${Math.round(
+        match.confidence * 100,
+      )}%, ${mappings[fileCol.name].status})`,
+    );
+  });
+
+  console.log(
+    'Smart Matcher complete:',
+    Object.keys(mappings).length,
+    'mappings',
+  );
+  return mappings;
+}
+
+// "Why not" for one column: its runner-up candidates and why each lost
+// Works on the current mappings, so manual changes are explained too
+export function explainAlternatives(
+  columnName,
+  candidates,
+  mappings,
+  limit = RUNNER_UP_COUNT,
+) {
+  const current = mappings[columnName];
+  const currentKey = current ? fieldKey(current.qlikField) : null;
+
+  // Which column holds each mapped Qlik field
+  const owners = new Map(
+    Object.entries(mappings).map(([column, mapping]) => [
+      fieldKey(mapping.qlikField),
+      column,
+    ]),
+  );
+
+  return (candidates[columnName] || [])
+    .filter((candidate) => fieldKey(candidate.qlikField) !== currentKey)
+    .slice(0, limit)
+    .map((candidate) => {
+      const owner = owners.get(fieldKey(candidate.qlikField));
+      let whyNot;
+      if (owner) {
+        whyNot = `assigned to "${owner}" (${Math.round(
+          mappings[owner].confidence * 100,
+        )}%)`;
+      } else if (candidate.confidence <= MIN_MATCH_CONFIDENCE) {
+        whyNot = `below the ${Math.round(MIN_MATCH_CONFIDENCE * 100)}% minimum`;
+      } else if (current && candidate.confidence < current.confidence) {
+        whyNot = `${current.qlikField.name} scored higher`;
+      } else if (current) {
+        // Equal score, or a manual choice over a better-scoring field
+        whyNot = `${current.qlikField.name} was chosen instead`;
+      } else {
+        whyNot = 'not selected';
+      }
+      return { ...candidate, whyNot };
+    });
 }
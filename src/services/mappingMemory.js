@@ -0,0 +1,128 @@
+/**
+ * mappingMemory.js - Remembers confirmed column → field pairs between uploads
+ *
+ * The field last confirmed for each file column is kept in browser storage,
+ * one memory per Qlik app, keyed by the normalised file column name:
+ *   { "athlete_name": { field: "name", fieldName: "name", count: 3, lastUsed } }
+ * Confirming another field for the column replaces the entry; confirming the
+ * same field again raises its count (and the confidence of the suggestion).
+ * The mapping engine checks this first as its "learned" strategy.
+ * Storage can be unavailable (private mode, sandboxed iframes) - the memory
+ * then simply starts empty and nothing is saved.
+ */
+import { fieldKey } from './modelAnalyzer';
+import { normalizeName } from './stringSimilarity';
+
+const STORAGE_KEY = 'smartWriteback.mappingMemory';
+
+// Confidence for a pair confirmed once, raised per further confirmation up to
+// the maximum - stays below an exact name match
+const LEARNED_CONFIDENCE = 0.85;
+const LEARNED_CONFIDENCE_STEP = 0.05;
+const MAX_LEARNED_CONFIDENCE = 0.98;
+
+// One storage entry per app ("default" outside an app, e.g. demo mode)
+function storageKey(appId) {
+  return `${STORAGE_KEY}.${appId || 'default'}`;
+}
+
+/**
+ * Read an app's memory from browser storage
+ * @param {string} appId - Qlik app id (fields differ between apps)
+ * @returns {Object} - Memory object (empty when nothing is stored)
+ */
+export function loadMappingMemory(appId) {
+  try {
+    const stored = window.localStorage.getItem(storageKey(appId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('Mapping memory unavailable:', error.message);
+    return {};
+  }
+}
+
+// Accepted, manual, template and auto-mapped pairs count; "review" suggestions
+// and round-robin "forced" guesses were never looked at
+function isConfirmedByUser(mapping) {
+  return mapping.status !== 'review' && mapping.matchType !== 'forced';
+}
+
+function saveMappingMemory(memory, appId) {
+  try {
+    window.localStorage.setItem(storageKey(appId), JSON.stringify(memory));
+  } catch (error) {
+    console.warn('Could not save mapping memory:', error.message);
+  }
+}
+
+/**
+ * Remember the mappings the user stood behind and save the memory
+ * Suggestions still waiting for review and force-mapped guesses are skipped -
+ * learning them would bring an unchecked guess back as a confident match.
+ * @param {Object} mappings - {fileColumnName: {qlikField, ...}} from ColumnMapper
+ * @param {string} appId - Qlik app id
+ * @returns {Object} - The updated memory
+ */
+export function recordConfirmedMappings(mappings, appId) {
+  const memory = loadMappingMemory(appId);
+  const now = new Date().toISOString();
+
+  Object.entries(mappings).forEach(([columnName, mapping]) => {
+    const column = normalizeName(columnName);
+    if (!column) return; // Nothing to recognise the column by next time
+    if (!isConfirmedByUser(mapping)) return;
+    const field = fieldKey(mapping.qlikField);
+    const previous = memory[column];
+    memory[column] = {
+      field,
+      fieldName: mapping.qlikField.name,
+      // A different field starts over - the old pair is no longer suggested
+      count: previous?.field === field ? previous.count + 1 : 1,
+      lastUsed: now,
+    };
+  });
+
+  saveMappingMemory(memory, appId);
+  return memory;
+}
+
+/**
+ * Drop everything learned so far for an app
+ * @param {string} appId - Qlik app id
+ * @returns {Object} - The (empty) memory
+ */
+export function clearMappingMemory(appId) {
+  saveMappingMemory({}, appId);
+  return {};
+}
+
+/**
+ * Number of file column names with a learned field
+ */
+export function countLearnedColumns(memory) {
+  return Object.keys(memory || {}).length;
+}
+
+/**
+ * Look up a file column / Qlik field pair in the memory
+ * @param {Object} memory - From loadMappingMemory
+ * @param {string} columnName - File column name
+ * @param {Object} qlikField - Qlik field object
+ * @returns {Object|null} - { confidence, reason } or null when the column's
+ *   last confirmed field is a different one
+ */
+export function findLearnedMatch(memory, columnName, qlikField) {
+  const column = normalizeName(columnName);
+  const entry = column && memory?.[column];
+  if (!entry || entry.field !== fieldKey(qlikField)) return null;
+
+  return {
+    confidence: Math.min(
+      LEARNED_CONFIDENCE + (entry.count - 1) * LEARNED_CONFIDENCE_STEP,
+      MAX_LEARNED_CONFIDENCE,
+    ),
+    reason: `Learned from ${entry.count} confirmed upload${
+      entry.count === 1 ? '' : 's'
+    }`,
+  };
+}
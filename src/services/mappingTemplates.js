@@ -0,0 +1,313 @@
+/**
+ * mappingTemplates.js - Named, reusable mapping setups for recurring uploads
+ *
+ * A template records everything the user decided for one file layout:
+ *   { name, headerSignature, columns, expressions, targetTable,
+ *     autoMapThreshold, mappings: { fileColumn: { field, fieldName, transforms } },
+ *     savedAt, version }
+ * Templates live in the extension's properties (mappingTemplates), so every
+ * user of the sheet shares them, and can be exported/imported as JSON.
+ * Uploads are matched by header signature - the file's own column names,
+ * normalised and sorted, so column order and "Athlete Name" vs "athlete_name"
+ * don't matter.
+ */
+import { validateExpression } from './columnExpressions';
+import { fieldKey } from './modelAnalyzer';
+import { normalizeName } from './stringSimilarity';
+import { TRANSFORM_TYPES } from './valueTransforms';
+
+const TEMPLATE_VERSION = 1;
+
+// Marks our export files so unrelated JSON is rejected on import
+const EXPORT_FORMAT = 'smart-writeback-mapping-templates';
+
+// Share of header names two files need in common for a template to be offered
+const MIN_HEADER_OVERLAP = 0.8;
+
+// Normalised column name; names without letters or digits ("#", "%") are
+// kept as written so they don't all collapse into the same empty key
+function headerKey(name) {
+  return normalizeName(name) || String(name).trim();
+}
+
+// Normalised names of the columns read from the file
+function headerNames(columns) {
+  return columns
+    .filter((column) => !column.virtual)
+    .map((column) => headerKey(column.name));
+}
+
+/**
+ * Signature of a file's header (virtual columns are left out)
+ * @param {Array} columns - File columns: [{name, virtual}, ...]
+ * @returns {string} - e.g. "athlete_name|event|time"
+ */
+export function getHeaderSignature(columns) {
+  return headerNames(columns).sort().join('|');
+}
+
+/**
+ * Build a template from the current mapping setup
+ * @param {string} name - Template name shown to users
+ * @param {Object} setup - {fileColumns, mappings, expressions, targetTable, autoMapThreshold}
+ * @returns {Object} - Template
+ */
+export function createTemplate(name, setup) {
+  const mappings = {};
+  Object.entries(setup.mappings).forEach(([fileColumn, mapping]) => {
+    mappings[fileColumn] = {
+      field: fieldKey(mapping.qlikField), // Master items are stored by id
+      fieldName: mapping.qlikField.name, // For display and error messages
+      transforms: mapping.transforms || [],
+    };
+  });
+
+  return {
+    name: name.trim(),
+    headerSignature: getHeaderSignature(setup.fileColumns),
+    columns: setup.fileColumns
+      .filter((column) => !column.virtual)
+      .map((column) => column.name),
+    expressions: setup.expressions || [],
+    targetTable: setup.targetTable || null,
+    autoMapThreshold: setup.autoMapThreshold,
+    mappings,
+    savedAt: new Date().toISOString(),
+    version: TEMPLATE_VERSION,
+  };
+}
+
+/**
+ * Template for an uploaded file
+ * @param {Array} templates - Saved templates
+ * @param {Array} fileColumns - Columns of the uploaded file
+ * @returns {Object|null} - { template, exact } - exact when the header
+ *   signature matches; otherwise the template sharing the most header names
+ *   (at least MIN_HEADER_OVERLAP); null when none fits
+ */
+export function findMatchingTemplate(templates, fileColumns) {
+  const signature = getHeaderSignature(fileColumns);
+  const exact = templates.find((t) => t.headerSignature === signature);
+  if (exact) return { template: exact, exact: true };
+
+  const names = new Set(headerNames(fileColumns));
+  let best = null;
+  templates.forEach((template) => {
+    const templateNames = template.headerSignature.split('|');
+    const shared = templateNames.filter((name) => names.has(name)).length;
+    const overlap = shared / Math.max(names.size, templateNames.length);
+    if (overlap >= MIN_HEADER_OVERLAP && (!best || overlap > best.overlap)) {
+      best = { template, overlap };
+    }
+  });
+  return best && { template: best.template, exact: false };
+}
+
+/**
+ * The template's combine/split expressions, pointed at this file's columns
+ * (sources are matched by normalised name; expressions missing a source are dropped)
+ * @param {Object} template - Saved template
+ * @param {Array} fileColumns - Columns read from the file
+ * @returns {Array} - Expressions ready for applyColumnExpressions
+ */
+export function getTemplateExpressions(template, fileColumns) {
+  const columnsByName = new Map(
+    fileColumns.map((column) => [headerKey(column.name), column.name]),
+  );
+  const resolve = (name) => columnsByName.get(headerKey(name));
+
+  return (template.expressions || []).flatMap((expression) => {
+    if (expression.type === 'combine') {
+      const sources = expression.sources.map(resolve);
+      return sources.every(Boolean) ? [{ ...expression, sources }] : [];
+    }
+    const source = resolve(expression.source);
+    return source ? [{ ...expression, source }] : [];
+  });
+}
+
+/**
+ * Turn a template back into ColumnMapper mappings for the current file
+ * @param {Object} template - Saved template
+ * @param {Array} fileColumns - Columns of the file (including the template's virtual columns)
+ * @param {Array} qlikFields - Fields the mapping may target
+ * @returns {Object} - { mappings, missingFields } - missingFields lists fields
+ *   the app no longer has (those columns are left unmapped)
+ */
+export function applyTemplate(template, fileColumns, qlikFields) {
+  const columnsByName = new Map(
+    fileColumns.map((column) => [headerKey(column.name), column.name]),
+  );
+  const fieldsByKey = new Map(
+    qlikFields.map((field) => [fieldKey(field), field]),
+  );
+
+  const mappings = {};
+  const missingFields = [];
+  Object.entries(template.mappings).forEach(([templateColumn, saved]) => {
+    const fileColumn = columnsByName.get(headerKey(templateColumn));
+    if (!fileColumn) return; // Column not in this file
+    const qlikField = fieldsByKey.get(saved.field);
+    if (!qlikField) {
+      missingFields.push(saved.fieldName);
+      return;
+    }
+    mappings[fileColumn] = {
+      qlikField,
+      confidence: 1.0,
+      matchType: 'template',
+      reason: `From template "${template.name}"`,
+      status: 'accepted', // The user confirmed this pair when saving
+      transforms: saved.transforms || [],
+    };
+  });
+
+  return { mappings, missingFields };
+}
+
+/**
+ * Add a template, replacing one with the same name
+ * @returns {Array} - New template list (sorted by name)
+ */
+export function upsertTemplate(templates, template) {
+  return [...templates.filter((t) => t.name !== template.name), template].sort(
+    (a, b) => a.name.localeCompare(b.name),
+  );
+}
+
+/**
+ * JSON text for sharing templates with other analysts
+ */
+export function exportTemplates(templates) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: TEMPLATE_VERSION, templates },
+    null,
+    2,
+  );
+}
+
+// Combine/split expressions as described in columnExpressions.js
+function isExpressionShape(expression) {
+  const isNameList = (value) => (
+    Array.isArray(value) && value.every((name) => typeof name === 'string')
+  );
+  if (expression?.type === 'combine') {
+    return (
+      isNameList(expression.sources)
+      && typeof expression.name === 'string'
+      && ['string', 'undefined'].includes(typeof expression.separator)
+    );
+  }
+  if (expression?.type === 'split') {
+    return (
+      typeof expression.source === 'string'
+      && ['delimiter', 'regex'].includes(expression.mode)
+      && typeof expression.pattern === 'string'
+      && isNameList(expression.outputs)
+    );
+  }
+  return false;
+}
+
+// What's wrong with one imported column mapping, or null
+function findMappingProblem(column, mapping) {
+  if (!mapping || typeof mapping.field !== 'string' || !mapping.field) {
+    return `the mapping for "${column}" has no field`;
+  }
+  if (mapping.fieldName !== undefined && typeof mapping.fieldName !== 'string') {
+    return `the mapping for "${column}" has an invalid field name`;
+  }
+  const transforms = mapping.transforms || [];
+  const isPipeline = Array.isArray(transforms)
+    && transforms.every((step) => step && TRANSFORM_TYPES[step.type]);
+  if (!isPipeline) {
+    return `the mapping for "${column}" has unknown transform steps`;
+  }
+  return null;
+}
+
+// What's wrong with an imported template's mappings or expressions, or null
+function findTemplateProblem(template) {
+  if (Array.isArray(template.mappings)) return 'mappings must be an object';
+  const mappingProblem = Object.entries(template.mappings)
+    .map(([column, mapping]) => findMappingProblem(column, mapping))
+    .find(Boolean);
+  if (mappingProblem) return mappingProblem;
+
+  const expressions = template.expressions || [];
+  if (!Array.isArray(expressions)) return 'expressions must be a list';
+  const expressionProblem = expressions
+    .map((expression, index) => {
+      const problem = isExpressionShape(expression)
+        ? validateExpression(expression, [])
+        : 'it is not a combine or split expression';
+      return problem && `expression ${index + 1} is invalid: ${problem}`;
+    })
+    .find(Boolean);
+  return expressionProblem || null;
+}
+
+/**
+ * Read templates from exported JSON
+ * Every template, mapping and expression is checked, so a hand-edited or
+ * damaged file is rejected here instead of failing when a template is applied
+ * @param {string} text - Export file content
+ * @returns {Array} - Templates
+ */
+export function parseTemplatesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Template file is not valid JSON: ${error.message}`);
+  }
+  if (
+    !data
+    || data.format !== EXPORT_FORMAT
+    || !Array.isArray(data.templates)
+  ) {
+    throw new Error('Not a mapping template export');
+  }
+  if (data.version > TEMPLATE_VERSION) {
+    throw new Error(
+      'Templates were exported by a newer version of the extension',
+    );
+  }
+
+  data.templates.forEach((template, index) => {
+    const isComplete = template
+      && typeof template.name === 'string'
+      && template.name.trim() !== ''
+      && typeof template.headerSignature === 'string'
+      && template.mappings
+      && typeof template.mappings === 'object';
+    if (!isComplete) {
+      throw new Error(`Template ${index + 1} in the file is incomplete`);
+    }
+    const problem = findTemplateProblem(template);
+    if (problem) {
+      throw new Error(`Template "${template.name}": ${problem}`);
+    }
+  });
+  return data.templates;
+}
+
+// ===== EXTENSION PROPERTIES =====
+
+/**
+ * Save the template list into the extension's properties
+ * @param {Object} model - Nebula object model (useModel)
+ * @param {Array} templates - Complete template list
+ */
+export async function saveTemplates(model, templates) {
+  if (!model) {
+    throw new Error("Templates can't be saved without the extension object");
+  }
+  try {
+    const properties = await model.getProperties();
+    await model.setProperties({ ...properties, mappingTemplates: templates });
+  } catch (error) {
+    // Typically a published app the user can't edit
+    throw new Error(`Could not save templates: ${error.message}`);
+  }
+}
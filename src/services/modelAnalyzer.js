@@ -1,75 +1,559 @@
 // ===== 2. SIMPLE MODEL ANALYZER =====
-// modelAnalyzer.js - Basic Qlik field extraction (connects to Qlik app)
+// modelAnalyzer.js - Qlik field extraction and metadata (connects to Qlik app)
+import DEMO_FIELD_CATALOG from './demoCatalog';
+
+// Most fields we read number formats / sample values for in one session object
+const MAX_FORMAT_FIELDS = 500;
+
+// Distinct values fetched per field for content-based matching
+const SAMPLE_VALUE_COUNT = 50;
+
+// Rows per getListObjectData call when reading a field's whole value list
+// (the engine returns at most 10,000 cells per page)
+const VALUE_PAGE_SIZE = 5000;
+
+// qKeyType values from getTablesAndKeys, weakest first
+const KEY_TYPE_RANK = {
+  NOT_KEY: 0,
+  ANY_KEY: 1, // Shared between tables
+  PRIMARY_KEY: 2, // Unique in at least one table
+  PERFECT_KEY: 3, // Unique and present in every table
+};
+
+// Split described fields into the structure the components use
+function organizeFields(fields, masterDimensions, masterMeasures, tables) {
+  // Categorization - split fields into dimensions vs measures
+  // Measures = numeric fields that aren't keys or dates (times, scores)
+  // Dimensions = everything else (names, categories, IDs, dates)
+  const dimensions = fields.filter((f) => f.type === 'dimension');
+  const measures = fields.filter((f) => f.type === 'measure');
+
+  console.log(
+    'Found fields:',
+    dimensions.length,
+    'dimensions,',
+    measures.length,
+    'measures,',
+    masterDimensions.length + masterMeasures.length,
+    'master items',
+  );
+
+  // Return organized field structure for Smart Matcher
+  return {
+    dimensions, // Text-based fields
+    measures, // Number-based fields
+    masterDimensions, // Library dimensions (source: "master")
+    masterMeasures, // Library measures (source: "master")
+    tables, // Data model tables: [{name, rowCount, fieldNames, keyFields, comment}]
+    // Combined list for matching
+    all: [...dimensions, ...measures, ...masterDimensions, ...masterMeasures],
+  };
+}
+
+// Fetch the items of a DimensionList/MeasureList session object ([] on failure)
+async function readLibraryList(app, properties) {
+  try {
+    const listObject = await app.createSessionObject(properties);
+    try {
+      const layout = await listObject.getLayout();
+      const list = layout.qDimensionList || layout.qMeasureList;
+      return list?.qItems || [];
+    } finally {
+      app.destroySessionObject(listObject.id).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('Master items not available:', error);
+    return [];
+  }
+}
+
+// Build a field-like object for a master item so it can be mapped like a field
+function describeMasterItem(item, type, details) {
+  const title = item.qData.title || item.qMeta?.title || item.qInfo.qId;
+  return {
+    name: title, // Label shown in the library (e.g., "Best Time")
+    type, // "dimension" or "measure"
+    source: 'master', // Raw fields have no source
+    libraryId: item.qInfo.qId, // Referenced as qLibraryId in the hypercube
+    description: item.qData.description || item.qMeta?.description || '',
+    dataType: type === 'measure' ? 'numeric' : 'text',
+    tables: [],
+    tags: item.qData.tags || [],
+    cardinality: null,
+    isKey: false,
+    keyType: 'NOT_KEY',
+    numFormat: null,
+    comment: '',
+    ...details, // expression, fieldDefs / label
+  };
+}
+
+// Read master dimensions and measures through session list objects
+// Returns {masterDimensions, masterMeasures} shaped like our field objects
+async function getMasterItems(app) {
+  const masterDimensions = await readLibraryList(app, {
+    qInfo: { qType: 'DimensionList' },
+    qDimensionListDef: {
+      qType: 'dimension',
+      qData: {
+        title: '/qMetaDef/title',
+        description: '/qMetaDef/description',
+        tags: '/qMetaDef/tags',
+        fieldDefs: '/qDim/qFieldDefs', // Fields (or expressions) behind the item
+        labelExpression: '/qDim/qLabelExpression',
+      },
+    },
+  }).then((items) => items.map((item) => describeMasterItem(item, 'dimension', {
+    expression: (item.qData.fieldDefs || []).join(', '),
+    fieldDefs: item.qData.fieldDefs || [],
+  })));
+
+  const masterMeasures = await readLibraryList(app, {
+    qInfo: { qType: 'MeasureList' },
+    qMeasureListDef: {
+      qType: 'measure',
+      qData: {
+        title: '/qMetaDef/title',
+        description: '/qMetaDef/description',
+        tags: '/qMetaDef/tags',
+        expression: '/qMeasure/qDef', // e.g. "Min([time])"
+        label: '/qMeasure/qLabel',
+      },
+    },
+  }).then((items) => items.map((item) => describeMasterItem(item, 'measure', {
+    expression: item.qData.expression || '',
+    label: item.qData.label || '',
+  })));
+
+  return { masterDimensions, masterMeasures };
+}
+
+// Read the app's field list through a session FieldList object
+// Returns NxFieldDescription items: {qName, qTags, qCardinal, qSrcTables, ...}
+async function getFieldList(app) {
+  const fieldListObject = await app.createSessionObject({
+    qInfo: { qType: 'FieldList' },
+    qFieldListDef: {
+      qShowSystem: false, // Skip $Field, $Table, etc.
+      qShowHidden: false,
+      qShowSrcTables: true, // Which tables each field lives in
+      qShowSemantic: true,
+      qShowDerivedFields: false, // Calendar fields generated from dates
+      qShowImplicit: false,
+    },
+  });
+  try {
+    const layout = await fieldListObject.getLayout();
+    return layout.qFieldList?.qItems || [];
+  } finally {
+    app.destroySessionObject(fieldListObject.id).catch(() => {});
+  }
+}
+
+// Table and per-field details from the data model viewer API
+// Returns {fieldInfo: {fieldName: {tables, keyType, comment, distinctCount, tags}},
+//          tables: [{name, rowCount, fieldNames, keyFields, comment}]}
+async function getTableMetadata(app) {
+  const info = {};
+  const tableList = [];
+  try {
+    const { qtr: tables = [] } = await app.getTablesAndKeys(
+      { qcx: 1000, qcy: 1000 }, // Window size (only used by the viewer layout)
+      { qcx: 0, qcy: 0 }, // Null size
+      30, // Cell height
+      false, // Synthetic mode - report the real tables, not $Syn tables
+      false, // Include system variables
+    );
+
+    tables.forEach((table) => {
+      tableList.push({
+        name: table.qName, // e.g. "Results"
+        rowCount: table.qNoOfRows ?? null,
+        fieldNames: (table.qFields || []).map((field) => field.qName),
+        // Fields linking this table to others
+        keyFields: (table.qFields || [])
+          .filter((field) => field.qKeyType && field.qKeyType !== 'NOT_KEY')
+          .map((field) => field.qName),
+        comment: table.qComment || '',
+      });
+
+      (table.qFields || []).forEach((field) => {
+        const entry = info[field.qName] || {
+          tables: [],
+          keyType: 'NOT_KEY',
+          comment: '',
+          distinctCount: null,
+          tags: [],
+        };
+        entry.tables.push(table.qName);
+
+        // A field is a key if any table uses it as one (keep the strongest kind)
+        if (KEY_TYPE_RANK[field.qKeyType] > KEY_TYPE_RANK[entry.keyType]) {
+          entry.keyType = field.qKeyType;
+        }
+        entry.comment = entry.comment || field.qComment || '';
+        if (field.qnTotalDistinctValues !== undefined) {
+          entry.distinctCount = Math.max(
+            entry.distinctCount || 0,
+            field.qnTotalDistinctValues,
+          );
+        }
+        entry.tags = [...new Set([...entry.tags, ...(field.qTags || [])])];
+        info[field.qName] = entry;
+      });
+    });
+  } catch (error) {
+    console.warn('Table and key metadata not available:', error);
+  }
+  return { fieldInfo: info, tables: tableList };
+}
+
+// Number formats set in the load script (Num#, Date#, SET TimeFormat...)
+// Read from the dimension info of one list object per field
+// Returns {fieldName: qNumFormat}
+async function getNumberFormats(app, fieldNames) {
+  const formats = {};
+  const names = fieldNames.slice(0, MAX_FORMAT_FIELDS);
+  if (names.length === 0) return formats;
+
+  try {
+    // One session object holding a list object per field (no data pages needed)
+    const properties = { qInfo: { qType: 'FieldFormats' } };
+    names.forEach((name, index) => {
+      properties[`field${index}`] = {
+        qListObjectDef: {
+          qDef: { qFieldDefs: [name] },
+          qInitialDataFetch: [],
+        },
+      };
+    });
+
+    const formatObject = await app.createSessionObject(properties);
+    try {
+      const layout = await formatObject.getLayout();
+      names.forEach((name, index) => {
+        const numFormat = layout[`field${index}`]?.qListObject?.qDimensionInfo?.qNumFormat;
+        // qType "U" means the field has no explicit format
+        if (numFormat && numFormat.qType && numFormat.qType !== 'U') {
+          formats[name] = numFormat;
+        }
+      });
+    } finally {
+      app.destroySessionObject(formatObject.id).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('Field number formats not available:', error);
+  }
+  return formats;
+}
+
+// Fetch up to `count` distinct values per field through session list objects
+// Returns {fieldName: ["USA", "AUS", ...]} (fields without data are left out)
+export async function getFieldValueSamples(
+  app,
+  fieldNames,
+  count = SAMPLE_VALUE_COUNT,
+) {
+  const samples = {};
+  const names = fieldNames.slice(0, MAX_FORMAT_FIELDS);
+  if (names.length === 0) return samples;
+
+  try {
+    // One list object per field, each fetching the first page of values
+    const properties = { qInfo: { qType: 'FieldValueSamples' } };
+    names.forEach((name, index) => {
+      properties[`field${index}`] = {
+        qListObjectDef: {
+          qDef: { qFieldDefs: [name] },
+          qInitialDataFetch: [{
+            qTop: 0, qLeft: 0, qWidth: 1, qHeight: count,
+          }],
+        },
+      };
+    });
+
+    const sampleObject = await app.createSessionObject(properties);
+    try {
+      const layout = await sampleObject.getLayout();
+      names.forEach((name, index) => {
+        const pages = layout[`field${index}`]?.qListObject?.qDataPages || [];
+        const values = (pages[0]?.qMatrix || [])
+          .map((row) => row[0]?.qText)
+          .filter((text) => text !== undefined && text !== '' && text !== '-');
+        if (values.length > 0) samples[name] = values;
+      });
+    } finally {
+      app.destroySessionObject(sampleObject.id).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('Field value samples not available:', error);
+  }
+  return samples;
+}
+
+// Build our field object from the field list entry and extra metadata
+function describeField(item, tableInfo = {}, numFormat = null) {
+  const tags = [...new Set([...(item.qTags || []), ...(tableInfo.tags || [])])];
+  const isKey = tags.includes('$key')
+    || (tableInfo.keyType !== undefined && tableInfo.keyType !== 'NOT_KEY');
+
+  // Data type from the engine's tags ($timestamp also carries $date)
+  let dataType = 'text';
+  if (tags.includes('$timestamp')) {
+    dataType = 'timestamp';
+  } else if (tags.includes('$date')) {
+    dataType = 'date';
+  } else if (tags.includes('$numeric') || item.qIsNumeric) {
+    dataType = 'numeric';
+  }
+
+  return {
+    name: item.qName, // Field name (e.g., "athlete_name")
+    // Only plain numbers are aggregated as measures (race_time, points)
+    type: dataType === 'numeric' && !isKey ? 'measure' : 'dimension',
+    dataType, // numeric | date | timestamp | text
+    tables: tableInfo.tables || item.qSrcTables || [], // e.g. ["Results"]
+    tags, // Engine tags: $numeric, $integer, $date, $key, $text, ...
+    cardinality: tableInfo.distinctCount ?? item.qCardinal ?? null, // Distinct values
+    isKey, // Links two tables - editing it changes associations
+    keyType: tableInfo.keyType || (isKey ? 'ANY_KEY' : 'NOT_KEY'),
+    numFormat, // {qType, qFmt, qDec, qThou, ...} or null if unformatted
+    comment: tableInfo.comment || '', // From COMMENT FIELD in the load script
+  };
+}
+
 export async function getQlikFields(app) {
+  console.log('Getting Qlik fields...');
+  if (!app) {
+    throw new Error('No Qlik app is available to read fields from');
+  }
+
+  // Field list with tags, cardinality and source tables
+  // (no fallback - mapping against fields the app doesn't have is worse than an error)
+  let fields;
   try {
-    console.log("Getting Qlik fields...");
+    fields = await getFieldList(app);
+  } catch (error) {
+    throw new Error(`Could not read the app's fields: ${error.message}`);
+  }
+
+  // Extra metadata - each source is optional so a failure only loses detail
+  const { fieldInfo: tableFields, tables } = await getTableMetadata(app);
+  const numFormats = await getNumberFormats(
+    app,
+    fields.map((f) => f.qName),
+  );
+
+  // Combine everything we know about each field
+  const described = fields.map((f) => (
+    describeField(f, tableFields[f.qName], numFormats[f.qName])
+  ));
+
+  // A sample of each field's distinct values (lets "Col7" with USA/AUS match "team")
+  const valueSamples = await getFieldValueSamples(
+    app,
+    described.map((f) => f.name),
+  );
+  const sampled = described.map((f) => ({
+    ...f,
+    sampleValues: valueSamples[f.name] || [],
+  }));
+
+  // Governed business logic from the app's master item library
+  const { masterDimensions, masterMeasures } = await getMasterItems(app);
 
-    // Try to get field list from Qlik app using official API
-    let fields = [];
+  return organizeFields(sampled, masterDimensions, masterMeasures, tables);
+}
+
+// Table list built from each field's tables (demo catalogues without "tables")
+function deriveTables(fields) {
+  const byName = new Map();
+  fields.forEach((field) => {
+    field.tables.forEach((tableName) => {
+      const table = byName.get(tableName) || {
+        name: tableName,
+        rowCount: null,
+        fieldNames: [],
+        keyFields: [],
+        comment: '',
+      };
+      table.fieldNames.push(field.name);
+      if (field.isKey) table.keyFields.push(field.name);
+      byName.set(tableName, table);
+    });
+  });
+  return [...byName.values()];
+}
+
+// Build the field structure from a demo catalogue instead of the engine
+// catalogJson: JSON text from the demoMode property ("" = built-in catalogue)
+export function getDemoQlikFields(catalogJson) {
+  let catalog = DEMO_FIELD_CATALOG;
+  if (catalogJson && catalogJson.trim() !== '') {
     try {
-      // Call Qlik's built-in method to get all fields in the data model
-      const fieldList = await app.getList("FieldList");
-      fields = fieldList.qFieldList?.qItems || []; // Extract the field array
+      catalog = JSON.parse(catalogJson);
     } catch (error) {
-      // If Qlik API fails (demo mode), use mock data instead
-      console.warn("Using mock fields for demo");
-      fields = createMockFields();
+      throw new Error(
+        `Demo field catalogue is not valid JSON: ${error.message}`,
+      );
     }
+  }
 
-    // Simple categorization - split fields into dimensions vs measures
-    // Dimensions = text fields (names, categories) / Measures = number fields (times, scores)
-    const dimensions = fields
-      .filter((f) => !f.qIsNumeric)
-      .map((f) => ({
-        name: f.qName, // Field name (e.g., "athlete_name")
-        type: "dimension", // Mark as dimension for Qlik
-      }));
-
-    const measures = fields
-      .filter((f) => f.qIsNumeric)
-      .map((f) => ({
-        name: f.qName, // Field name (e.g., "race_time")
-        type: "measure", // Mark as measure for Qlik
-      }));
-
-    console.log(
-      "Found fields:",
-      dimensions.length,
-      "dimensions,",
-      measures.length,
-      "measures"
+  // Either {fields: [...], tables: [...]} or just the array of fields
+  const items = Array.isArray(catalog) ? catalog : catalog?.fields;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Demo field catalogue must list at least one field');
+  }
+  console.log('Using demo field catalogue:', items.length, 'fields');
+
+  const fields = [];
+  const masterDimensions = [];
+  const masterMeasures = [];
+  items.forEach((entry) => {
+    const item = typeof entry === 'string' ? { name: entry } : entry;
+    if (!item || !item.name) {
+      throw new Error('Every demo catalogue field needs a name');
+    }
+
+    // Master items: {"source": "master", "type": "measure", "expression": "Min(time)"}
+    if (item.source === 'master') {
+      const type = item.type === 'measure' ? 'measure' : 'dimension';
+      const master = describeMasterItem(
+        {
+          qInfo: { qId: item.libraryId || `demo-${item.name}` },
+          qData: {
+            title: item.name,
+            description: item.description,
+            tags: item.tags,
+          },
+        },
+        type,
+        { expression: item.expression || '' },
+      );
+      (type === 'measure' ? masterMeasures : masterDimensions).push(master);
+      return;
+    }
+
+    const field = describeField(
+      {
+        qName: item.name,
+        qTags: item.tags || [],
+        qIsNumeric: item.dataType === 'numeric' || item.type === 'measure',
+      },
+      {
+        tables: item.tables || [],
+        keyType: item.isKey ? 'ANY_KEY' : 'NOT_KEY',
+        comment: item.comment || '',
+        distinctCount: item.cardinality ?? null,
+        tags: [],
+      },
+      item.numFormat || null,
     );
+    fields.push({
+      ...field,
+      type: item.type || field.type, // Catalogue can force dimension/measure
+      dataType: item.dataType || field.dataType,
+      sampleValues: item.sampleValues || [],
+    });
+  });
 
-    // Return organized field structure for Smart Matcher
-    return {
-      dimensions, // Text-based fields
-      measures, // Number-based fields
-      all: [...dimensions, ...measures], // Combined list for matching
-    };
-  } catch (error) {
-    // Fallback to mock data if everything fails
-    console.warn("Using mock fields:", error);
-    return {
-      dimensions: createMockFields().filter((f) => !f.qIsNumeric),
-      measures: createMockFields().filter((f) => f.qIsNumeric),
-      all: createMockFields(),
-    };
+  // Tables from the catalogue, or derived from the fields' table lists
+  const tables = Array.isArray(catalog.tables)
+    ? catalog.tables.map((table) => ({
+      name: table.name,
+      rowCount: table.rowCount ?? null,
+      fieldNames:
+          table.fieldNames
+          || fields
+            .filter((f) => f.tables.includes(table.name))
+            .map((f) => f.name),
+      keyFields: table.keyFields || [],
+      comment: table.comment || '',
+    }))
+    : deriveTables(fields);
+
+  return organizeFields(fields, masterDimensions, masterMeasures, tables);
+}
+
+// Unique key for a mapping target - master items can share a name with a field
+export function fieldKey(field) {
+  return field.libraryId ? `master:${field.libraryId}` : field.name;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mapping targets for one data model table
+// Raw fields of the table plus master items built on those fields
+export function getFieldsForTable(qlikFields, tableName) {
+  const table = qlikFields.tables.find((t) => t.name === tableName);
+  if (!table) return qlikFields.all;
+
+  const tableFieldNames = new Set(table.fieldNames);
+  return qlikFields.all.filter((field) => {
+    if (field.source !== 'master') {
+      return tableFieldNames.has(field.name);
+    }
+    // Master items: keep those whose definition mentions one of the table's fields
+    return table.fieldNames.some((name) => {
+      const pattern = `(^|[^\\w])\\[?${escapeRegExp(name)}\\]?($|[^\\w])`;
+      return new RegExp(pattern).test(field.expression || '');
+    });
+  });
+}
+
+async function readFieldValues(app, name, maxValues) {
+  const listObject = await app.createSessionObject({
+    qInfo: { qType: 'FieldValues' },
+    qListObjectDef: { qDef: { qFieldDefs: [name] }, qInitialDataFetch: [] },
+  });
+  try {
+    const layout = await listObject.getLayout();
+    const total = layout.qListObject?.qSize?.qcy || 0;
+    const end = Math.min(total, maxValues);
+
+    const pageTops = [];
+    for (let top = 0; top < end; top += VALUE_PAGE_SIZE) pageTops.push(top);
+
+    // Pages are fetched one after the other
+    const values = [];
+    await pageTops.reduce(async (previous, top) => {
+      await previous;
+      const pages = await listObject.getListObjectData('/qListObjectDef', [
+        {
+          qTop: top,
+          qLeft: 0,
+          qWidth: 1,
+          qHeight: Math.min(VALUE_PAGE_SIZE, end - top),
+        },
+      ]);
+      (pages[0]?.qMatrix || []).forEach((row) => {
+        const text = row[0]?.qText;
+        if (text !== undefined && text !== '' && text !== '-') {
+          values.push(text);
+        }
+      });
+    }, Promise.resolve());
+    return { values, total, truncated: total > maxValues };
+  } finally {
+    app.destroySessionObject(listObject.id).catch(() => {});
   }
 }
 
-// Create demo fields when Qlik connection isn't available
-function createMockFields() {
-  return [
-    // Swimming-specific field examples with proper typing
-    { qName: "name", qIsNumeric: false }, // Athlete names (text)
-    { qName: "athlete", qIsNumeric: false }, // Alternative athlete field
-    { qName: "team", qIsNumeric: false }, // Team names (text)
-    { qName: "event", qIsNumeric: false }, // Event names like "100m freestyle"
-    { qName: "heat", qIsNumeric: false }, // Heat numbers/names
-    { qName: "lane", qIsNumeric: false }, // Lane assignments
-    { qName: "time", qIsNumeric: true }, // Race times (numeric)
-    { qName: "place", qIsNumeric: true }, // Finishing position (numeric)
-    { qName: "reaction_time", qIsNumeric: true }, // Start reaction time (numeric)
-    { qName: "distance", qIsNumeric: true }, // Race distance (numeric)
-  ];
+// Read every distinct value of each field, a page at a time, up to maxValues
+// Returns {fieldName: {values: ["USA", ...], total, truncated}} - truncated
+// when the field holds more than maxValues (fields that fail are left out)
+export async function getAllFieldValues(app, fieldNames, maxValues) {
+  const result = {};
+  // One field at a time - a field can hold many thousands of values
+  await fieldNames.reduce(async (previous, name) => {
+    await previous;
+    try {
+      result[name] = await readFieldValues(app, name, maxValues);
+    } catch (error) {
+      console.warn(`Values of ${name} not available:`, error);
+    }
+  }, Promise.resolve());
+  return result;
 }
@@ -0,0 +1,186 @@
+/**
+ * stringSimilarity.js - Name similarity scoring for the mapping engine
+ *
+ * Column and field names are first normalised into stemmed tokens
+ * ("ReactionTimes" / "reaction_time" / "Reaction time" -> ["reaction", "time"]),
+ * then compared three ways:
+ * - tokens: best fuzzy token pairing in both directions (word order doesn't matter)
+ * - edit: Levenshtein distance on the joined names (typos)
+ * - bigram: Dice coefficient of character pairs (shared fragments)
+ */
+
+// Weight of each component in the combined score (sums to 1)
+const COMPONENT_WEIGHTS = { tokens: 0.4, edit: 0.3, bigram: 0.3 };
+
+// Tokens at least this similar count as the same word ("athelete" ~ "athlete")
+const TOKEN_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Split a name into lower-case tokens
+ * Handles camelCase, PascalCase, snake_case, kebab-case, spaces and digits;
+ * letters of any script count ("Zeit_Läufer", "время", "選手名")
+ * @param {string} name - e.g. "swimmerReactionTime_2"
+ * @returns {Array} - e.g. ["swimmer", "reaction", "time", "2"]
+ */
+export function tokenizeName(name) {
+  return String(name)
+    .normalize('NFC') // "a" + combining accent -> one letter
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2') // reactionTime -> reaction Time
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2') // HTMLTable -> HTML Table
+    .replace(/(\p{L})(\p{N})/gu, '$1 $2') // lap2 -> lap 2
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Tokens joined with "_" - a canonical form for exact/contains comparisons
+ * Empty for names without letters or digits ("#", "---"), which never match
+ * @param {string} name - Any column or field name
+ * @returns {string} - e.g. "reaction_time"
+ */
+export function normalizeName(name) {
+  return tokenizeName(name).join('_');
+}
+
+/**
+ * Light suffix stripping so plural/verb forms compare equal
+ * (times -> time, entries -> entry, splits -> split, racing -> rac)
+ * @param {string} token - Lower-case token
+ * @returns {string} - Stemmed token
+ */
+export function stemToken(token) {
+  if (token.length <= 3 || /^[0-9]+$/.test(token)) return token;
+  if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (/(ss|us|is)$/.test(token)) return token; // class, status, basis
+  if (/(xes|ches|shes|sses)$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith('s')) return token.slice(0, -1);
+  if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 4) return token.slice(0, -2);
+  return token;
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Insertions, deletions and substitutions needed
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Single-row dynamic programming
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1, // Deletion
+        current[j - 1] + 1, // Insertion
+        previous[j - 1] + cost, // Substitution
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit distance scaled to 0-1 (1 = identical)
+ */
+export function editSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Dice coefficient of character bigrams (0-1)
+ * "lane" vs "name" share no bigrams; anagrams share few
+ */
+export function bigramSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+  const first = bigrams(a);
+  const second = bigrams(b);
+
+  let shared = 0;
+  first.forEach((count, pair) => {
+    shared += Math.min(count, second.get(pair) || 0);
+  });
+  return (2 * shared) / (a.length - 1 + (b.length - 1));
+}
+
+/**
+ * Fuzzy token overlap in both directions (0-1)
+ * Each token is paired with its most similar token on the other side
+ */
+export function tokenSimilarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const bestPairing = (from, to) => from.reduce((sum, token) => {
+    const best = Math.max(
+      ...to.map((other) => {
+        if (token === other) return 1;
+        const similarity = editSimilarity(token, other);
+        return similarity >= TOKEN_MATCH_THRESHOLD ? similarity : 0;
+      }),
+    );
+    return sum + best;
+  }, 0) / from.length;
+
+  // Average both directions so extra tokens on either side cost something
+  return (bestPairing(tokensA, tokensB) + bestPairing(tokensB, tokensA)) / 2;
+}
+
+/**
+ * Compare two names with every component
+ * @param {string} a - File column name
+ * @param {string} b - Qlik field name
+ * @returns {Object} - { score, components: {tokens, edit, bigram} } all 0-1
+ */
+export function compareNames(a, b) {
+  const tokensA = tokenizeName(a).map(stemToken);
+  const tokensB = tokenizeName(b).map(stemToken);
+  const joinedA = tokensA.join('');
+  const joinedB = tokensB.join('');
+
+  // Names without letters or digits have nothing to compare
+  if (!joinedA || !joinedB) {
+    return { score: 0, components: { tokens: 0, edit: 0, bigram: 0 } };
+  }
+
+  const components = {
+    tokens: tokenSimilarity(tokensA, tokensB),
+    edit: editSimilarity(joinedA, joinedB),
+    bigram: bigramSimilarity(joinedA, joinedB),
+  };
+  const score = Object.entries(COMPONENT_WEIGHTS).reduce(
+    (sum, [component, weight]) => sum + components[component] * weight,
+    0,
+  );
+
+  return { score: Math.round(score * 100) / 100, components };
+}
+
+/**
+ * Human-readable breakdown for mapping reasons
+ * e.g. "tokens 88%, edit 88%, bigram 77%"
+ */
+export function describeComponents(components) {
+  return Object.entries(components)
+    .map(([component, value]) => `${component} ${Math.round(value * 100)}%`)
+    .join(', ');
+}
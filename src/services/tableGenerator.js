@@ -4,6 +4,7 @@
  * Converts confirmed column mappings into Qlik hypercube definitions
  * and generates the structure for the final editable table.
  */
+import { fieldKey } from './modelAnalyzer';
 
 /**
  * Generate hypercube definition from confirmed mappings
@@ -15,10 +16,10 @@
 export function generateHypercubeFromMappings(
   mappings,
   parsedData,
-  qlikFields
+  qlikFields,
 ) {
   try {
-    console.log("Generating hypercube from mappings:", mappings);
+    console.log('Generating hypercube from mappings:', mappings);
 
     const dimensions = [];
     const measures = [];
@@ -28,24 +29,42 @@ export function generateHypercubeFromMappings(
     Object.entries(mappings).forEach(([fileColumn, mapping]) => {
       if (!mapping.qlikField) return;
 
-      const qlikField = mapping.qlikField;
+      const { qlikField } = mapping;
       const fieldName = qlikField.name;
 
       // Create column definition
       const columnDef = {
-        fileColumn: fileColumn,
+        fileColumn,
         qlikField: fieldName,
         qlikFieldObj: qlikField,
-        mapping: mapping,
-        type: qlikField.category || qlikField.type || "field",
+        mapping,
+        type: qlikField.category || qlikField.type || 'field',
       };
 
       allColumns.push(columnDef);
 
-      // Add to appropriate category
-      if (
-        qlikField.category === "dimension" ||
-        qlikField.type === "dimension"
+      // Master items are referenced by library id so their governed
+      // definition (expression, label, formatting) is used as-is
+      if (qlikField.source === 'master' && qlikField.libraryId) {
+        if (qlikField.type === 'measure') {
+          measures.push({
+            qLibraryId: qlikField.libraryId,
+            qDef: {
+              qLabel: fileColumn, // Use file column name as label
+            },
+          });
+        } else {
+          dimensions.push({
+            qLibraryId: qlikField.libraryId,
+            qDef: {
+              qFieldLabels: [fileColumn], // Use file column name as label
+            },
+            qNullSuppression: false,
+          });
+        }
+      } else if (
+        qlikField.category === 'dimension'
+        || qlikField.type === 'dimension'
       ) {
         dimensions.push({
           qDef: {
@@ -54,13 +73,13 @@ export function generateHypercubeFromMappings(
           },
           qNullSuppression: false,
           qOtherTotalSpec: {
-            qOtherMode: "OTHER_OFF",
+            qOtherMode: 'OTHER_OFF',
             qSuppressOther: true,
           },
         });
       } else if (
-        qlikField.category === "measure" ||
-        qlikField.type === "measure"
+        qlikField.category === 'measure'
+        || qlikField.type === 'measure'
       ) {
         measures.push({
           qDef: {
@@ -92,7 +111,7 @@ export function generateHypercubeFromMappings(
       ],
     };
 
-    console.log("Generated hypercube definition:", hypercubeDef);
+    console.log('Generated hypercube definition:', hypercubeDef);
 
     return {
       hypercubeDef,
@@ -101,7 +120,7 @@ export function generateHypercubeFromMappings(
       measureCount: measures.length,
     };
   } catch (error) {
-    console.error("Failed to generate hypercube:", error);
+    console.error('Failed to generate hypercube:', error);
     throw new Error(`Hypercube generation failed: ${error.message}`);
   }
 }
@@ -146,7 +165,7 @@ export function generateTableStructure(hypercubeResult, parsedData) {
       originalRowCount: parsedData.rows?.length || 0,
     };
   } catch (error) {
-    console.error("Failed to generate table structure:", error);
+    console.error('Failed to generate table structure:', error);
     throw new Error(`Table structure generation failed: ${error.message}`);
   }
 }
@@ -172,7 +191,7 @@ export function validateMappingsForTable(mappings) {
   // Check if we have any mappings
   if (validation.summary.totalMappings === 0) {
     validation.isValid = false;
-    validation.errors.push("No column mappings defined");
+    validation.errors.push('No column mappings defined');
     return validation;
   }
 
@@ -183,16 +202,17 @@ export function validateMappingsForTable(mappings) {
   Object.entries(mappings).forEach(([fileCol, mapping]) => {
     if (mapping.qlikField) {
       const fieldName = mapping.qlikField.name;
+      const key = fieldKey(mapping.qlikField); // A master item may share a field's name
 
-      if (usedFields.has(fieldName)) {
+      if (usedFields.has(key)) {
         // This Qlik field is already used by another file column
-        const previousFileCol = usedFields.get(fieldName);
+        const previousFileCol = usedFields.get(key);
         duplicates.push({
           qlikField: fieldName,
           fileColumns: [previousFileCol, fileCol],
         });
       } else {
-        usedFields.set(fieldName, fileCol);
+        usedFields.set(key, fileCol);
       }
     }
   });
@@ -201,7 +221,7 @@ export function validateMappingsForTable(mappings) {
   if (duplicates.length > 0) {
     const duplicateFieldNames = duplicates.map((d) => d.qlikField);
     validation.errors.push(
-      `Duplicate Qlik field mappings: ${duplicateFieldNames.join(", ")}`
+      `Duplicate Qlik field mappings: ${duplicateFieldNames.join(', ')}`,
     );
     validation.isValid = false;
 
@@ -211,8 +231,8 @@ export function validateMappingsForTable(mappings) {
         `Qlik field "${
           duplicate.qlikField
         }" is mapped by multiple file columns: ${duplicate.fileColumns.join(
-          ", "
-        )}`
+          ', ',
+        )}`,
       );
     });
 
@@ -222,14 +242,14 @@ export function validateMappingsForTable(mappings) {
   // Analyze mapping types (only if no duplicates)
   Object.values(mappings).forEach((mapping) => {
     if (!mapping.qlikField) {
-      validation.warnings.push(`Mapping missing Qlik field`);
+      validation.warnings.push('Mapping missing Qlik field');
       return;
     }
 
     const category = mapping.qlikField.category || mapping.qlikField.type;
-    if (category === "dimension") {
+    if (category === 'dimension') {
       validation.summary.dimensionMappings++;
-    } else if (category === "measure") {
+    } else if (category === 'measure') {
       validation.summary.measureMappings++;
     } else {
       validation.summary.unknownMappings++;
@@ -238,17 +258,17 @@ export function validateMappingsForTable(mappings) {
 
   // Validation rules
   if (
-    validation.summary.dimensionMappings === 0 &&
-    validation.summary.unknownMappings === 0
+    validation.summary.dimensionMappings === 0
+    && validation.summary.unknownMappings === 0
   ) {
     validation.warnings.push(
-      "No dimension fields mapped - table may not display properly"
+      'No dimension fields mapped - table may not display properly',
     );
   }
 
   if (validation.summary.measureMappings === 0) {
     validation.warnings.push(
-      "No measure fields mapped - consider adding measures for calculations"
+      'No measure fields mapped - consider adding measures for calculations',
     );
   }
 
@@ -267,10 +287,59 @@ export function generatePropertyUpdates(hypercubeResult) {
     qHyperCubeDef: hypercubeDef,
     // Add any additional property updates needed
     lastUpdated: new Date().toISOString(),
-    mappingSource: "smart-writeback-extension",
+    mappingSource: 'smart-writeback-extension',
   };
 }
 
+/**
+ * Get validation rules for column type
+ */
+function getColumnValidation(type) {
+  switch (type) {
+    case 'numeric':
+      return {
+        required: false,
+        type: 'number',
+        min: null,
+        max: null,
+      };
+    case 'date':
+      return {
+        required: false,
+        type: 'date',
+        format: 'YYYY-MM-DD',
+      };
+    case 'time':
+      return {
+        required: false,
+        type: 'time',
+        format: 'HH:mm:ss',
+      };
+    default:
+      return {
+        required: false,
+        type: 'text',
+        maxLength: 255,
+      };
+  }
+}
+
+/**
+ * Get input type for column
+ */
+function getInputType(type) {
+  switch (type) {
+    case 'numeric':
+      return 'number';
+    case 'date':
+      return 'date';
+    case 'time':
+      return 'time';
+    default:
+      return 'text';
+  }
+}
+
 /**
  * Create editable table configuration
  * @param {Object} tableStructure - Generated table structure
@@ -292,17 +361,16 @@ export function createEditableTableConfig(tableStructure, originalData) {
   }));
 
   // Create initial data rows
-  const editableRows =
-    originalData.rows?.map((row, index) => ({
-      id: `row_${index}`,
-      originalIndex: index,
-      data: headers.reduce((acc, header) => {
-        acc[header.fileColumn] = row[header.fileColumn];
-        return acc;
-      }, {}),
-      isNew: false,
-      isModified: false,
-    })) || [];
+  const editableRows = originalData.rows?.map((row, index) => ({
+    id: `row_${index}`,
+    originalIndex: index,
+    data: headers.reduce((acc, header) => {
+      acc[header.fileColumn] = row[header.fileColumn];
+      return acc;
+    }, {}),
+    isNew: false,
+    isModified: false,
+  })) || [];
 
   return {
     columns: editableColumns,
@@ -317,52 +385,3 @@ export function createEditableTableConfig(tableStructure, originalData) {
     },
   };
 }
-
-/**
- * Get validation rules for column type
- */
-function getColumnValidation(type) {
-  switch (type) {
-    case "numeric":
-      return {
-        required: false,
-        type: "number",
-        min: null,
-        max: null,
-      };
-    case "date":
-      return {
-        required: false,
-        type: "date",
-        format: "YYYY-MM-DD",
-      };
-    case "time":
-      return {
-        required: false,
-        type: "time",
-        format: "HH:mm:ss",
-      };
-    default:
-      return {
-        required: false,
-        type: "text",
-        maxLength: 255,
-      };
-  }
-}
-
-/**
- * Get input type for column
- */
-function getInputType(type) {
-  switch (type) {
-    case "numeric":
-      return "number";
-    case "date":
-      return "date";
-    case "time":
-      return "time";
-    default:
-      return "text";
-  }
-}
@@ -0,0 +1,294 @@
+/**
+ * valueReconciler.js - Matches file values to a Qlik field's existing values
+ *
+ * A file value the field doesn't hold becomes a new dimension member on
+ * writeback ("Great Britain" next to the model's "GBR"). After mapping, the
+ * distinct values of each text dimension are compared with the field's values:
+ * - matched: the field already holds the value
+ * - suggested: a close or abbreviated field value was found
+ * - new: nothing similar - written back as a new member unless the user picks one
+ * - unverified: nothing similar among the values read, but the field holds more
+ *   values than were read, so the value may exist after all
+ * The user's decisions become a lookup step at the end of the mapping's
+ * transform pipeline, so they apply to every row.
+ */
+import { compareNames } from './stringSimilarity';
+import { compilePipeline, parseLookupEntries } from './valueTransforms';
+
+// Most values read per field for reconciliation; fields holding more are
+// compared with this many and flagged as incomplete
+export const MAX_RECONCILE_VALUES = 50000;
+
+// Candidates at or above this score are pre-selected for the user
+export const MIN_SUGGESTION_SCORE = 0.6;
+
+// Scores for the special cases name similarity doesn't capture
+const CASE_ONLY_SCORE = 0.99; // "gbr" vs "GBR"
+const ABBREVIATION_SCORE = 0.8; // "Great Britain" vs "GBR"
+
+// Candidates kept per file value, and the lowest score still listed
+const CANDIDATE_COUNT = 3;
+const MIN_CANDIDATE_SCORE = 0.3;
+
+// Field values compared in full per file value, shortlisted by shared
+// character pairs (keeps thousands of field values fast)
+const SHORTLIST_SIZE = 10;
+
+// Short all-caps codes that may abbreviate a longer value ("GBR")
+const CODE_PATTERN = /^[A-Z]{2,4}$/;
+
+// Words left out of an abbreviation ("United States of America" -> "USA")
+const MINOR_WORDS = new Set(['of', 'and', 'the', 'de', 'la']);
+
+/**
+ * Mappings whose field values are worth reconciling (text dimensions)
+ * @param {Object} mappings - {fileColumnName: {qlikField, transforms, ...}}
+ * @returns {Array} - File column names
+ */
+export function getReconcilableColumns(mappings) {
+  return Object.keys(mappings).filter((fileColumn) => {
+    const field = mappings[fileColumn].qlikField;
+    return field.type === 'dimension' && (field.dataType || 'text') === 'text';
+  });
+}
+
+// Transform steps without an earlier reconciliation lookup
+function withoutReconciliation(transforms) {
+  return (transforms || []).filter((step) => step.source !== 'reconcile');
+}
+
+/**
+ * Distinct values of a mapped column as they will be written back
+ * (after the mapping's transforms, without an earlier reconciliation step)
+ * @param {Array} rows - File rows (including virtual columns)
+ * @param {string} fileColumn - Column name
+ * @param {Array} transforms - The mapping's transform steps
+ * @returns {Array} - [{value, count}, ...] most frequent first
+ */
+export function getDistinctFileValues(rows, fileColumn, transforms) {
+  const run = compilePipeline(withoutReconciliation(transforms));
+  const counts = new Map();
+  rows.forEach((row) => {
+    const value = run(row[fileColumn]);
+    if (value === null || value === undefined || value === '') return;
+    const text = String(value).trim();
+    counts.set(text, (counts.get(text) || 0) + 1);
+  });
+
+  return Array.from(counts, ([value, count]) => ({ value, count })).sort(
+    (a, b) => b.count - a.count || a.value.localeCompare(b.value),
+  );
+}
+
+// ===== VALUE SCORING =====
+
+// Lower-case character pairs of a value ("GBR" -> {"gb", "br"})
+function characterPairs(value) {
+  const text = value.toLowerCase();
+  const pairs = new Set();
+  for (let i = 0; i < text.length - 1; i += 1) {
+    pairs.add(text.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Lookups built once per field so each file value only visits likely matches
+function indexFieldValues(fieldValues) {
+  const byLowerCase = new Map(); // "gbr" -> ["GBR", "Gbr"]
+  const byPair = new Map(); // "gb" -> indexes of the values containing it
+  fieldValues.forEach((value, i) => {
+    const lower = value.toLowerCase();
+    byLowerCase.set(lower, [...(byLowerCase.get(lower) || []), value]);
+    characterPairs(value).forEach((pair) => {
+      if (!byPair.has(pair)) byPair.set(pair, []);
+      byPair.get(pair).push(i);
+    });
+  });
+  return {
+    values: fieldValues,
+    byLowerCase,
+    byPair,
+    codes: fieldValues.filter((value) => CODE_PATTERN.test(value)), // Possible abbreviations
+    shared: new Uint16Array(fieldValues.length), // Pair counts per file value
+  };
+}
+
+// "GBR" abbreviates "Great Britain": a short all-caps code whose letters
+// appear in order in the longer value, starting with its first letter, and
+// which uses every word's initial ("USA" ~ "United States of America")
+function isAbbreviation(short, long) {
+  if (!CODE_PATTERN.test(short) || long.length <= short.length) {
+    return false;
+  }
+  const isSubsequence = (letters, text) => {
+    let position = -1;
+    return letters.every((letter) => {
+      position = text.indexOf(letter, position + 1);
+      return position !== -1;
+    });
+  };
+
+  const letters = long.toUpperCase().replace(/[^A-Z]/g, '');
+  const initials = long
+    .split(/[\s-]+/)
+    .filter((word) => word && !MINOR_WORDS.has(word.toLowerCase()))
+    .map((word) => word[0].toUpperCase());
+  return (
+    letters[0] === short[0]
+    && isSubsequence(short.split(''), letters)
+    && isSubsequence(initials, short)
+  );
+}
+
+// Matches name similarity can't see: "gbr" vs "GBR", "Great Britain" vs "GBR"
+function findSpecialCases(fileValue, index) {
+  const found = new Map(); // Field value -> candidate (first reason wins)
+  const add = (value, score, reason) => {
+    if (!found.has(value)) found.set(value, { value, score, reason });
+  };
+
+  (index.byLowerCase.get(fileValue.toLowerCase()) || []).forEach((value) => {
+    if (value !== fileValue) {
+      add(value, CASE_ONLY_SCORE, 'Same value, different case');
+    }
+  });
+  index.codes.forEach((code) => {
+    if (isAbbreviation(code, fileValue)) {
+      add(code, ABBREVIATION_SCORE, `Abbreviation of "${fileValue}"`);
+    }
+  });
+  // Only a code-like file value can abbreviate the field's values
+  if (CODE_PATTERN.test(fileValue)) {
+    index.values.forEach((value) => {
+      if (isAbbreviation(fileValue, value)) {
+        add(value, ABBREVIATION_SCORE, `"${fileValue}" abbreviates it`);
+      }
+    });
+  }
+  return [...found.values()];
+}
+
+// Field values sharing the most character pairs with the file value
+// (ties keep the field's own order)
+function shortlistByPairs(fileValue, index) {
+  const { shared } = index; // Reused counter, reset below
+  const touched = [];
+  characterPairs(fileValue).forEach((pair) => {
+    (index.byPair.get(pair) || []).forEach((i) => {
+      if (shared[i] === 0) touched.push(i);
+      shared[i] += 1;
+    });
+  });
+
+  // Keep the best few in order without sorting every touched value
+  const best = [];
+  touched.forEach((i) => {
+    const position = best.findIndex(
+      (j) => shared[i] > shared[j] || (shared[i] === shared[j] && i < j),
+    );
+    if (position !== -1) best.splice(position, 0, i);
+    else if (best.length < SHORTLIST_SIZE) best.push(i);
+    if (best.length > SHORTLIST_SIZE) best.pop();
+  });
+  const values = best.map((i) => index.values[i]);
+  touched.forEach((i) => {
+    shared[i] = 0;
+  });
+  return values;
+}
+
+// Every field value worth showing for one file value, best first
+function findCandidates(fileValue, index) {
+  // Case-only differences and abbreviations, found through the index
+  const special = findSpecialCases(fileValue, index);
+
+  // Name similarity only for the values sharing the most character pairs
+  const similar = shortlistByPairs(fileValue, index).map((value) => {
+    const { score } = compareNames(fileValue, value);
+    return { value, score, reason: `Similarity ${Math.round(score * 100)}%` };
+  });
+
+  // Special matches keep their clearer reason over a name score
+  const specialValues = new Set(special.map((candidate) => candidate.value));
+  return [
+    ...special,
+    ...similar.filter((candidate) => !specialValues.has(candidate.value)),
+  ].sort((a, b) => b.score - a.score);
+}
+
+// ===== RECONCILIATION =====
+
+/**
+ * Compare a column's distinct values with the field's existing values
+ * @param {Array} fileValues - From getDistinctFileValues
+ * @param {Array} fieldValues - The Qlik field's values (strings)
+ * @param {boolean} complete - Whether fieldValues holds every value of the
+ *   field; otherwise values without a match are "unverified", not "new"
+ * @returns {Array} - [{value, count, status, candidates: [{value, score, reason}]}]
+ */
+export function reconcileValues(fileValues, fieldValues, complete = true) {
+  const existing = new Set(fieldValues);
+  const index = indexFieldValues(fieldValues);
+
+  return fileValues.map(({ value, count }) => {
+    if (existing.has(value)) {
+      return {
+        value, count, status: 'matched', candidates: [],
+      };
+    }
+
+    const candidates = findCandidates(value, index)
+      .filter((candidate) => candidate.score >= MIN_CANDIDATE_SCORE)
+      .slice(0, CANDIDATE_COUNT);
+
+    let status = complete ? 'new' : 'unverified';
+    if (candidates[0]?.score >= MIN_SUGGESTION_SCORE) status = 'suggested';
+    return {
+      value, count, status, candidates,
+    };
+  });
+}
+
+/**
+ * Pre-selected decisions for a reconciliation result
+ * @param {Array} results - From reconcileValues
+ * @returns {Object} - {fileValue: fieldValue} for every suggested value
+ */
+export function getSuggestedDecisions(results) {
+  return Object.fromEntries(
+    results
+      .filter((result) => result.status === 'suggested')
+      .map((result) => [result.value, result.candidates[0].value]),
+  );
+}
+
+/**
+ * Decisions already stored in a mapping's reconciliation step
+ * @param {Array} transforms - The mapping's transform steps
+ * @returns {Object} - {fileValue: fieldValue}
+ */
+export function getStoredDecisions(transforms) {
+  const step = (transforms || []).find((t) => t.source === 'reconcile');
+  return step ? Object.fromEntries(parseLookupEntries(step.entries)) : {};
+}
+
+/**
+ * Replace the mapping's reconciliation step with the user's decisions
+ * @param {Array} transforms - The mapping's transform steps
+ * @param {Object} decisions - {fileValue: fieldValue} (values kept as-is are left out)
+ * @returns {Array} - Transform steps ending with the lookup step (if any decisions)
+ */
+export function applyReconciliation(transforms, decisions) {
+  const steps = withoutReconciliation(transforms);
+  if (Object.keys(decisions).length === 0) return steps;
+
+  return [
+    ...steps,
+    {
+      type: 'lookup',
+      entries: Object.entries(decisions), // [from, to] pairs keep "=" and line breaks
+      fallback: 'keep', // Values without a decision are written as they are
+      source: 'reconcile', // Marks the step this module owns
+    },
+  ];
+}
@@ -0,0 +1,301 @@
+/**
+ * valueTransforms.js - Per-mapping value transformation pipelines
+ *
+ * A mapping can carry a list of steps (mapping.transforms) applied in order to
+ * every value of its file column when rows enter the editable table:
+ *   [{ type: "trim" }, { type: "case", mode: "upper" },
+ *    { type: "lookup", entries: "USA=United States\nGBR=Great Britain" }]
+ * Lookup entries typed by the user are "from=to" lines; steps built in code
+ * (value reconciliation) hold [from, to] pairs, so any value round-trips.
+ * Steps never throw - a value a step can't handle passes through unchanged.
+ */
+
+// Step types offered in the mapper, with the settings a new step starts with
+export const TRANSFORM_TYPES = {
+  trim: { label: 'Trim spaces', defaults: {} },
+  case: { label: 'Change case', defaults: { mode: 'upper' } },
+  replace: {
+    label: 'Find & replace',
+    defaults: { find: '', replace: '', regex: false },
+  },
+  extract: { label: 'Regex extract', defaults: { pattern: '', group: 1 } },
+  toSeconds: { label: 'Time → seconds (1:23.45 → 83.45)', defaults: {} },
+  fromSeconds: { label: 'Seconds → time (83.45 → 1:23.45)', defaults: {} },
+  scale: { label: 'Multiply (unit conversion)', defaults: { factor: 1 } },
+  date: {
+    label: 'Reformat date',
+    defaults: { from: 'DD/MM/YYYY', to: 'YYYY-MM-DD' },
+  },
+  lookup: {
+    label: 'Lookup table',
+    defaults: { entries: '', fallback: 'keep' },
+  },
+};
+
+/**
+ * New step of a type with its default settings
+ */
+export function createTransform(type) {
+  return { type, ...TRANSFORM_TYPES[type].defaults };
+}
+
+/**
+ * Turn a lookup step's entries into a Map - "from=to" lines ("=" inside a key
+ * can't be expressed) or an array of [from, to] pairs
+ */
+export function parseLookupEntries(entries) {
+  const table = new Map();
+  if (Array.isArray(entries)) {
+    entries.forEach(([from, to]) => table.set(String(from).trim(), to));
+    return table;
+  }
+  String(entries || '')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const separator = line.indexOf('=');
+      if (separator === -1) return;
+      table.set(
+        line.slice(0, separator).trim(),
+        line.slice(separator + 1).trim(),
+      );
+    });
+  return table;
+}
+
+/**
+ * Short description of a step, e.g. 'replace "m" → ""'
+ */
+export function describeTransform(step) {
+  switch (step.type) {
+    case 'case':
+      return `${step.mode} case`;
+    case 'replace':
+      return `replace ${step.regex ? `/${step.find}/` : `"${step.find}"`} → "${
+        step.replace
+      }"`;
+    case 'extract':
+      return `extract /${step.pattern}/`;
+    case 'scale':
+      return `× ${step.factor}`;
+    case 'date':
+      return `${step.from} → ${step.to}`;
+    case 'lookup':
+      return `lookup (${parseLookupEntries(step.entries).size} entries)`;
+    default:
+      return TRANSFORM_TYPES[step.type]?.label || step.type;
+  }
+}
+
+// ===== STEP IMPLEMENTATIONS =====
+// Each returns a value => value function; empty values pass through
+
+// "1:23.45" -> 83.45, "1:02:03.5" -> 3723.5, "58.31" -> 58.31
+function timeToSeconds(text) {
+  const match = text
+    .trim()
+    .match(/^(?:(\d+):)?(?:(\d{1,2}):)?(\d{1,2}(?:[.,]\d+)?)$/);
+  if (!match) return null;
+  const [, first, second, rest] = match;
+  const hours = second !== undefined ? Number(first) : 0;
+  const minutes = second !== undefined ? Number(second) : Number(first || 0);
+  const seconds = Number(rest.replace(',', '.'));
+  return Math.round((hours * 3600 + minutes * 60 + seconds) * 100) / 100;
+}
+
+// 83.45 -> "1:23.45", 58.31 -> "58.31"
+// Rounded to hundredths before splitting, so 59.999 becomes "1:00.00", not "60.00"
+function secondsToTime(total) {
+  const hundredths = Math.round(total * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const seconds = ((hundredths - minutes * 6000) / 100).toFixed(2);
+  if (minutes === 0) return seconds;
+  return `${minutes}:${seconds.padStart(5, '0')}`;
+}
+
+// Date format tokens: YYYY, YY, MM, DD (anything else is a literal)
+const DATE_TOKENS = /YYYY|YY|MM|DD/g;
+
+const DATE_TOKEN_DIGITS = {
+  YYYY: '4', YY: '2', MM: '1,2', DD: '1,2',
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildDateParser(format) {
+  // Literals sit between the tokens: "DD/MM/YYYY" -> ["", "/", "/", ""]
+  const literals = String(format || '').split(DATE_TOKENS);
+  const order = String(format || '').match(DATE_TOKENS) || [];
+  const pattern = literals
+    .map(
+      (literal, i) => escapeRegExp(literal)
+        + (order[i] ? `(\\d{${DATE_TOKEN_DIGITS[order[i]]}})` : ''),
+    )
+    .join('');
+  const regex = new RegExp(`^${pattern}$`);
+
+  return (text) => {
+    const match = regex.exec(text);
+    if (!match) return null;
+    const parts = {};
+    order.forEach((token, i) => {
+      const number = Number(match[i + 1]);
+      if (token === 'YYYY') parts.year = number;
+      if (token === 'YY') parts.year = number + (number < 50 ? 2000 : 1900);
+      if (token === 'MM') parts.month = number;
+      if (token === 'DD') parts.day = number;
+    });
+    // Every part is needed to write the new format
+    const isValid = parts.year !== undefined
+      && parts.month >= 1
+      && parts.month <= 12
+      && parts.day >= 1
+      && parts.day <= 31;
+    return isValid ? parts : null;
+  };
+}
+
+function formatDateParts(parts, format) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return String(format).replace(DATE_TOKENS, (token) => {
+    if (token === 'YYYY') return String(parts.year);
+    if (token === 'YY') return pad(parts.year % 100);
+    if (token === 'MM') return pad(parts.month);
+    return pad(parts.day);
+  });
+}
+
+function safeRegExp(source, flags) {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    return null; // Still being typed in the mapper
+  }
+}
+
+function compileStep(step) {
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  const onText = (fn) => (value) => (isEmpty(value) ? value : fn(String(value)));
+
+  switch (step.type) {
+    case 'trim':
+      return onText((text) => text.trim().replace(/\s+/g, ' '));
+
+    case 'case':
+      return onText((text) => {
+        if (step.mode === 'lower') return text.toLowerCase();
+        if (step.mode === 'title') {
+          return text
+            .toLowerCase()
+            .replace(
+              /(^|[\s\-'])(\p{L})/gu,
+              (match, before, letter) => before + letter.toUpperCase(),
+            );
+        }
+        return text.toUpperCase();
+      });
+
+    case 'replace': {
+      if (!step.find) return (value) => value;
+      const pattern = safeRegExp(
+        step.regex ? step.find : escapeRegExp(step.find),
+        'g',
+      );
+      if (!pattern) return (value) => value;
+      return onText((text) => text.replace(pattern, step.replace ?? ''));
+    }
+
+    case 'extract': {
+      const pattern = safeRegExp(step.pattern, 'i');
+      if (!pattern) return (value) => value;
+      return onText((text) => {
+        const match = pattern.exec(text);
+        if (!match) return text;
+        return match[step.group] ?? match[0];
+      });
+    }
+
+    case 'toSeconds':
+      return (value) => {
+        if (isEmpty(value) || typeof value === 'number') return value;
+        const seconds = timeToSeconds(String(value));
+        return seconds === null ? value : seconds;
+      };
+
+    case 'fromSeconds':
+      return (value) => {
+        const seconds = typeof value === 'number' ? value : Number(value);
+        if (isEmpty(value) || Number.isNaN(seconds)) return value;
+        return secondsToTime(seconds);
+      };
+
+    case 'scale':
+      return (value) => {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (isEmpty(value) || Number.isNaN(number)) return value;
+        // Round away floating point noise (0.1 * 3 = 0.30000000000000004)
+        return Number((number * Number(step.factor)).toPrecision(12));
+      };
+
+    case 'date': {
+      const parse = buildDateParser(step.from);
+      return (value) => {
+        if (isEmpty(value)) return value;
+        const parts = value instanceof Date
+          ? {
+            year: value.getFullYear(),
+            month: value.getMonth() + 1,
+            day: value.getDate(),
+          }
+          : parse(String(value).trim());
+        return parts ? formatDateParts(parts, step.to) : value;
+      };
+    }
+
+    case 'lookup': {
+      const table = parseLookupEntries(step.entries);
+      return (value) => {
+        const key = isEmpty(value) ? '' : String(value).trim();
+        if (table.has(key)) return table.get(key);
+        return step.fallback === 'empty' ? '' : value;
+      };
+    }
+
+    default:
+      return (value) => value;
+  }
+}
+
+// ===== PIPELINES =====
+
+/**
+ * Compile a pipeline once into a value => value function
+ * (regexes and lookup tables are built here, not per value)
+ * @param {Array} steps - Transform steps (empty/undefined = identity)
+ * @returns {Function} - Applies every step in order
+ */
+export function compilePipeline(steps) {
+  if (!steps || steps.length === 0) return (value) => value;
+
+  const compiled = steps.map(compileStep);
+  return (value) => compiled.reduce((current, step) => step(current), value);
+}
+
+/**
+ * Run a pipeline on a single value (previews; use compilePipeline for rows)
+ */
+export function applyPipeline(steps, value) {
+  return compilePipeline(steps)(value);
+}
+
+/**
+ * Before/after pairs for the mapper's preview
+ * @param {Array} steps - Transform steps
+ * @param {Array} values - Sample values of the file column
+ * @returns {Array} - [{before, after}, ...]
+ */
+export function previewPipeline(steps, values) {
+  const run = compilePipeline(steps);
+  return values.map((before) => ({ before, after: run(before) }));
+}
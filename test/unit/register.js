@@ -0,0 +1,9 @@
+/* eslint-env node */
+// Lets mocha load the ES module sources (extensionless imports, modern syntax)
+// Options live here so the nebula build keeps its own Babel setup
+require("@babel/register")({
+  babelrc: false,
+  configFile: false,
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+  ignore: [/node_modules/],
+});